@@ -0,0 +1,133 @@
+import { useEffect, useRef, useState } from "react";
+import { useFetcher, useRevalidator } from "@remix-run/react";
+import { Banner, BlockStack, Button, InlineStack, List, ProgressBar, Text } from "@shopify/polaris";
+import { downloadFile } from "../utils/downloadReport";
+
+// How often the progress of a running job is checked
+const POLL_INTERVAL_MS = 3000;
+
+const ACTION_TITLES = {
+  "set-field": "Setting a pet field",
+  "clear-field": "Clearing a pet field",
+  "add-tags": "Adding tags",
+  "remove-tags": "Removing tags",
+  "send-reminders": "Sending reminders",
+  export: "Exporting customers",
+  "apply-tagging-rules": "Tagging existing customers",
+  "remind-incomplete": "Sending reminders",
+};
+
+// Results listed in the banner at most; the counts include every customer
+const MAX_LISTED_RESULTS = 20;
+
+/**
+ * Counts the results of a job by outcome
+ * @param {Array} results - Job results `{ outcome }`
+ * @returns {Object} `{ succeeded, skipped, failed }`
+ */
+const countOutcomes = (results) =>
+  results.reduce(
+    (counts, result) => ({ ...counts, [result.outcome]: counts[result.outcome] + 1 }),
+    { succeeded: 0, skipped: 0, failed: 0 },
+  );
+
+/**
+ * Shows the progress of a bulk action, then its per-customer results
+ * The job runs in the background, so the banner only checks on its progress. The page data is
+ * reloaded once the job finished, since it may have changed the pets shown.
+ * @param {Object} props
+ * @param {Object} props.job - BulkActionJob row from the page loader
+ * @param {Function} props.onDismiss - Hides the banner of a finished job
+ */
+export function BulkActionBanner({ job, onDismiss }) {
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const [isDownloading, setIsDownloading] = useState(false);
+  // The last status check handled by the effect below, so the page is reloaded once
+  const handledResult = useRef(null);
+
+  const current = fetcher.data?.job || job;
+  const isRunning = current.status === "running";
+  const loadStatus = fetcher.load;
+
+  useEffect(() => {
+    if (!isRunning || fetcher.state !== "idle") return;
+    const timeout = setTimeout(() => loadStatus(`/app/bulk-actions?id=${current.id}`), POLL_INTERVAL_MS);
+    return () => clearTimeout(timeout);
+  }, [isRunning, current.id, fetcher.state, fetcher.data, loadStatus]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.data.job.status === "running" || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    revalidate();
+  }, [fetcher.data, revalidate]);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadFile(`/app/bulk-actions?id=${current.id}&download=1`, `pet-profile-report.${current.params.format}`);
+    } catch (err) {
+      shopify.toast.show(err.message, { isError: true });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const title = ACTION_TITLES[current.action] || "Bulk action";
+  const { total } = current;
+
+  if (isRunning) {
+    return (
+      <Banner tone="info" title={`${title}…`}>
+        <BlockStack gap="200">
+          <Text as="p">{`Processed ${current.processed} of ${total} customers. The action keeps running if you leave this page.`}</Text>
+          <ProgressBar progress={Math.round((current.processed / total) * 100)} size="small" />
+        </BlockStack>
+      </Banner>
+    );
+  }
+
+  if (current.status === "failed") {
+    return (
+      <Banner tone="critical" title={`${title} stopped`} onDismiss={onDismiss}>
+        <p>{`${current.error} ${current.processed} of ${total} customers were processed.`}</p>
+      </Banner>
+    );
+  }
+
+  const counts = countOutcomes(current.results);
+  const listed = current.results.filter((result) => result.outcome !== "succeeded");
+  const summary = [`${counts.succeeded} succeeded`];
+  if (counts.skipped > 0) summary.push(`${counts.skipped} skipped`);
+  if (counts.failed > 0) summary.push(`${counts.failed} failed`);
+
+  return (
+    <Banner
+      tone={counts.failed > 0 ? "warning" : "success"}
+      title={`${title} finished: ${summary.join(", ")}`}
+      onDismiss={onDismiss}
+    >
+      <BlockStack gap="200">
+        {listed.length > 0 && (
+          <List>
+            {listed.slice(0, MAX_LISTED_RESULTS).map((result) => (
+              <List.Item key={result.customerId}>
+                {`${result.name}: ${result.outcome === "failed" ? "failed" : "skipped"}${result.message ? `, ${result.message}` : ""}`}
+              </List.Item>
+            ))}
+          </List>
+        )}
+        {listed.length > MAX_LISTED_RESULTS && (
+          <Text as="p" tone="subdued">{`And ${listed.length - MAX_LISTED_RESULTS} more customers.`}</Text>
+        )}
+        {current.action === "export" && (
+          <InlineStack>
+            <Button onClick={handleDownload} loading={isDownloading}>
+              {`Download ${current.params.format.toUpperCase()}`}
+            </Button>
+          </InlineStack>
+        )}
+      </BlockStack>
+    </Banner>
+  );
+}
@@ -0,0 +1,99 @@
+import { useEffect, useRef } from "react";
+import { useFetcher, useRevalidator } from "@remix-run/react";
+import { Banner, BlockStack, ProgressBar, Text } from "@shopify/polaris";
+
+// How often a running sync is checked on
+const POLL_INTERVAL_MS = 5000;
+const ACTIVE_STATUSES = ["running", "importing"];
+
+/**
+ * Whether a customer sync is still running
+ * @param {Object|null} sync - PetProfileSync row
+ * @returns {boolean} True while Shopify runs the query or its result is imported
+ */
+export const isSyncActive = (sync) => ACTIVE_STATUSES.includes(sync?.status);
+
+/**
+ * "Refresh data" action of the pages showing mirrored customers
+ * Starts a full sync and reloads the page data, so the page shows its progress.
+ * @returns {Object} `{ refresh, isRefreshing }`
+ */
+export function useRefreshData() {
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (fetcher.data.error) shopify.toast.show(fetcher.data.error, { isError: true });
+    revalidate();
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  return {
+    refresh: () => fetcher.submit({}, { method: "post", action: "/app/customer-sync" }),
+    isRefreshing: fetcher.state !== "idle",
+  };
+}
+
+/**
+ * Shows the progress of a customer sync and reloads the page data once it finished
+ * The banner checks on the sync itself, which also imports the result when the
+ * `bulk_operations/finish` webhook didn't arrive.
+ * @param {Object} props
+ * @param {Object|null} props.sync - PetProfileSync row from the page loader
+ */
+export function CustomerSyncBanner({ sync }) {
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  // The last status check handled by the effect below, so the page is reloaded once
+  const handledResult = useRef(null);
+
+  const current = fetcher.data?.sync || sync;
+  const isActive = isSyncActive(current);
+  const loadStatus = fetcher.load;
+
+  useEffect(() => {
+    if (!isActive || fetcher.state !== "idle") return;
+    const timeout = setTimeout(() => loadStatus("/app/customer-sync"), POLL_INTERVAL_MS);
+    return () => clearTimeout(timeout);
+  }, [isActive, fetcher.state, fetcher.data, loadStatus]);
+
+  useEffect(() => {
+    if (!fetcher.data || isSyncActive(fetcher.data.sync) || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    revalidate();
+  }, [fetcher.data, revalidate]);
+
+  if (current?.status === "failed") {
+    return (
+      <Banner tone="critical" title="The customer sync failed">
+        <p>
+          {current.error}
+          {current.completedAt && ` Showing data from ${new Date(current.completedAt).toLocaleString()}.`}
+        </p>
+      </Banner>
+    );
+  }
+  if (!isActive) return null;
+
+  const isImporting = current.status === "importing" && current.importTotal > 0;
+  // The result is read into the app before its customers are imported
+  const isReading = current.status === "importing" && current.importTotal === null;
+
+  let progress = `Shopify is exporting the segment: ${current.objectCount} records so far.`;
+  if (isImporting) progress = `Imported ${current.customerCount} of ${current.importTotal} customers.`;
+  else if (isReading) progress = `Reading the ${current.objectCount} records Shopify exported.`;
+
+  return (
+    <Banner tone="info" title="Syncing customers from the Pet Profile segment">
+      <BlockStack gap="200">
+        <Text as="p">{progress}</Text>
+        {isImporting && (
+          <ProgressBar progress={Math.round((current.customerCount / current.importTotal) * 100)} size="small" />
+        )}
+      </BlockStack>
+    </Banner>
+  );
+}
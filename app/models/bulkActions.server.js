@@ -0,0 +1,511 @@
+/**
+ * Bulk actions on the customers selected in View profiles
+ *
+ * Each action runs as a BulkActionJob. The request that starts a job runs its first step, and
+ * the `/cron/jobs` route runs the next ones, so jobs also finish on hosts where work can't
+ * outlive its request and whether or not the page stays open. A step processes customers until
+ * its time budget is used; a lease keeps two requests from processing the same job.
+ *
+ * Every customer gets a result, so the merchant sees which mutations failed and why. The
+ * backfill of the tagging rules runs as a job too, over every synced customer, and so do the
+ * reminders sent from the dashboard, over every incomplete profile.
+ *
+ * Settings:
+ * BULK_ACTION_STEP_MS          Time one step spends processing customers (default 8000)
+ */
+import db from "../db.server";
+import { isCompleteProfile } from "../utils/customerDataUtils";
+import { PET_NAME_FIELD, getPetField, validatePet } from "../utils/petProfileSchema";
+import { buildReport, reportToCsv, reportToXlsx } from "../utils/report.server";
+import { getFieldConfig } from "./fieldConfig.server";
+import { findPetProfiles, saveMerchantPet } from "./petProfile.server";
+import { getCustomerPets } from "./pets.server";
+import { REMINDER_COOLDOWN_DAYS, sendReminders } from "./reminders.server";
+import { MAX_TAG_LENGTH, applyTaggingRules, getTaggingRules, updateCustomerTags } from "./tagging.server";
+
+export const BULK_ACTIONS = {
+  setField: "set-field",
+  clearField: "clear-field",
+  addTags: "add-tags",
+  removeTags: "remove-tags",
+  sendReminders: "send-reminders",
+  export: "export",
+};
+
+// Applies the tagging rules to every synced customer; started from the customer tags page
+export const TAGGING_BACKFILL_ACTION = "apply-tagging-rules";
+
+// Reminds every synced customer whose profile is incomplete; started from the dashboard
+export const REMINDER_RUN_ACTION = "remind-incomplete";
+
+// View profiles selects at most a page of customers; this leaves room for larger pages
+export const MAX_JOB_CUSTOMERS = 250;
+
+const STEP_MS = Number(process.env.BULK_ACTION_STEP_MS) || 8000;
+// A request that died while holding the lease frees the job after this long
+const LEASE_MS = STEP_MS * 4;
+// Customers passed to one `sendReminders` run
+const REMINDER_BATCH_SIZE = 10;
+// Mirrored profiles loaded at once by the tagging backfill
+const BACKFILL_BATCH_SIZE = 100;
+// Jobs finished longer ago aren't shown on View profiles anymore
+const RECENT_JOB_MS = 24 * 60 * 60 * 1000;
+
+// Every column but the export file, which is only read for its download, and the customer
+// IDs, which a backfill has thousands of
+const JOB_SELECT = {
+  id: true,
+  action: true,
+  params: true,
+  total: true,
+  status: true,
+  processed: true,
+  results: true,
+  error: true,
+  createdAt: true,
+  completedAt: true,
+};
+
+const REMINDER_MESSAGES = {
+  sent: "Reminder sent",
+  complete: "Profile already complete",
+  noConsent: "No email marketing consent",
+  coolDown: `Reminded in the last ${REMINDER_COOLDOWN_DAYS} days`,
+};
+
+/**
+ * Splits comma-separated tags, dropping empty and repeated ones
+ * @param {string} input - Tags as submitted
+ * @returns {Array<string>} Tags
+ */
+const parseTags = (input) => [
+  ...new Set(
+    String(input || "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+  ),
+];
+
+/**
+ * Validates a bulk action submitted from View profiles
+ * @param {Object} input - `{ action, customerIds, petIds, field, value, tags, format }` as submitted;
+ * `petIds` are the `<customerId>/<petId>` row IDs of the selected pets
+ * @param {Array} fields - Configured profile fields
+ * @returns {Object} `{ params, errors }`; `params` are stored on the job when `errors` is empty
+ */
+const validateBulkAction = ({ action, customerIds, petIds, field, value, tags, format }, fields) => {
+  const errors = {};
+
+  if (!Object.values(BULK_ACTIONS).includes(action)) {
+    return { params: null, errors: { form: "Unknown bulk action" } };
+  }
+  if (customerIds.length === 0) {
+    errors.form = "Select at least one customer";
+  } else if (customerIds.length > MAX_JOB_CUSTOMERS) {
+    errors.form = `Select at most ${MAX_JOB_CUSTOMERS} customers`;
+  } else if (customerIds.some((id) => !/^\d+$/.test(id))) {
+    errors.form = "The selection contains an invalid customer ID";
+  }
+
+  let params = {};
+  if (action === BULK_ACTIONS.setField || action === BULK_ACTIONS.clearField) {
+    const petField = getPetField(field, fields);
+    if (!petField) {
+      errors.field = "Choose a profile field";
+    } else if (action === BULK_ACTIONS.setField) {
+      const { pet, errors: valueErrors } = validatePet({ [field]: value }, { partial: true, fields });
+      if (valueErrors[field]) errors.value = valueErrors[field];
+      else if (!pet[field]) errors.value = `Enter a ${petField.label}`;
+      params = { field, value: pet[field] };
+    } else {
+      params = { field, value: "" };
+    }
+    params.petIds = petIds;
+  } else if (action === BULK_ACTIONS.addTags || action === BULK_ACTIONS.removeTags) {
+    const parsed = parseTags(tags);
+    if (parsed.length === 0) errors.tags = "Enter at least one tag";
+    else if (parsed.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+      errors.tags = `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+    }
+    params = { tags: parsed };
+  } else if (action === BULK_ACTIONS.export) {
+    params = { format: format === "xlsx" ? "xlsx" : "csv" };
+  }
+
+  return { params, errors };
+};
+
+/**
+ * Creates a job, processed by `advanceBulkActionJob`
+ * @param {string} shop - Shop domain
+ * @param {string} action - Job action
+ * @param {Object} params - Action parameters
+ * @param {Array<string>} customerIds - Numeric customer IDs
+ * @returns {Promise<Object>} The BulkActionJob row without its export file
+ */
+const createJob = async (shop, action, params, customerIds) => {
+  const job = await db.bulkActionJob.create({
+    data: { shop, action, params, customerIds, total: customerIds.length, status: "running" },
+    select: JOB_SELECT,
+  });
+  console.log(`[bulk-actions] Started ${action} on ${customerIds.length} customers for ${shop}`);
+  return job;
+};
+
+/**
+ * Starts a bulk action on selected customers
+ * @param {string} shop - Shop domain
+ * @param {Object} input - Submitted action, see `validateBulkAction`
+ * @returns {Promise<Object>} `{ job, errors }`; no job is created when `errors` isn't empty
+ */
+export const startBulkActionJob = async (shop, input) => {
+  const fields = await getFieldConfig(shop);
+  const { params, errors } = validateBulkAction(input, fields);
+  if (Object.keys(errors).length > 0) return { job: null, errors };
+
+  const job = await createJob(shop, input.action, params, input.customerIds);
+  return { job, errors: {} };
+};
+
+/**
+ * Starts applying the tagging rules to every synced customer, unless a backfill is running
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `{ job, errors }`; no job is created when `errors` isn't empty
+ */
+export const startTaggingBackfill = async (shop) => {
+  const running = await db.bulkActionJob.findFirst({
+    where: { shop, action: TAGGING_BACKFILL_ACTION, status: "running" },
+    select: JOB_SELECT,
+  });
+  if (running) return { job: running, errors: {} };
+
+  if ((await getTaggingRules(shop)).length === 0) {
+    return { job: null, errors: { form: "Save a tagging rule first" } };
+  }
+  const profiles = await db.petProfile.findMany({
+    where: { shop },
+    select: { customerId: true },
+    orderBy: { customerId: "asc" },
+  });
+  if (profiles.length === 0) return { job: null, errors: { form: "No customers are synced yet" } };
+
+  const job = await createJob(shop, TAGGING_BACKFILL_ACTION, {}, profiles.map((profile) => profile.customerId));
+  return { job, errors: {} };
+};
+
+/**
+ * Starts reminding every synced customer with an incomplete profile, unless a run is in progress
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `{ job, errors }`; no job is created when `errors` isn't empty
+ */
+export const startReminderRun = async (shop) => {
+  const running = await db.bulkActionJob.findFirst({
+    where: { shop, action: REMINDER_RUN_ACTION, status: "running" },
+    select: JOB_SELECT,
+  });
+  if (running) return { job: running, errors: {} };
+
+  const [customers, fields] = await Promise.all([findPetProfiles(shop), getFieldConfig(shop)]);
+  const incomplete = customers.filter((customer) => !isCompleteProfile(customer, fields));
+  if (incomplete.length === 0) return { job: null, errors: { form: "Every synced profile is complete" } };
+
+  const job = await createJob(shop, REMINDER_RUN_ACTION, {}, incomplete.map((customer) => customer.id));
+  return { job, errors: {} };
+};
+
+/**
+ * Loads a job of a shop
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The BulkActionJob row without its export file
+ */
+export const getBulkActionJob = async (shop, id) => {
+  return db.bulkActionJob.findFirst({ where: { id, shop }, select: JOB_SELECT });
+};
+
+/**
+ * Lists the running jobs of every shop that no request is processing
+ * @returns {Promise<Array>} `{ id, shop }` of each job, oldest first
+ */
+export const listDueBulkActionJobs = async () => {
+  const now = new Date();
+  return db.bulkActionJob.findMany({
+    where: { status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, shop: true },
+  });
+};
+
+/**
+ * Loads the job a page shows: the latest one, unless it finished more than a day ago
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} [actions] - Actions of the page's jobs; View profiles' by default
+ * @returns {Promise<Object|null>} The BulkActionJob row without its export file
+ */
+export const getRecentBulkActionJob = async (shop, actions = Object.values(BULK_ACTIONS)) => {
+  const job = await db.bulkActionJob.findFirst({
+    where: { shop, action: { in: actions } },
+    orderBy: { createdAt: "desc" },
+    select: JOB_SELECT,
+  });
+  if (job?.completedAt && Date.now() - job.completedAt.getTime() > RECENT_JOB_MS) return null;
+  return job;
+};
+
+/**
+ * Loads the file of a completed export
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} `{ format, output }`, or null when the job has no file
+ */
+export const getBulkActionExport = async (shop, id) => {
+  const job = await db.bulkActionJob.findFirst({
+    where: { id, shop, action: BULK_ACTIONS.export, status: "completed" },
+    select: { params: true, output: true },
+  });
+  return job?.output ? { format: job.params.format, output: job.output } : null;
+};
+
+/**
+ * Sets or clears a field on the customer's selected pets, or all their pets when none of
+ * them was selected on its own
+ * Values are read from Shopify rather than the mirror, so a stale mirror doesn't overwrite
+ * newer answers. Each pet is saved like a merchant correction, with its change history.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @param {Object} params - `{ field, value, petIds }`
+ * @param {Array} fields - Configured profile fields
+ * @returns {Promise<Object>} `{ outcome, message }`
+ */
+const updatePetField = async (admin, shop, customerId, { field, value, petIds }, fields) => {
+  const { pets } = await getCustomerPets(admin, `gid://shopify/Customer/${customerId}`);
+  if (pets.length === 0) return { outcome: "skipped", message: "No pets added" };
+
+  const selectedKeys = petIds
+    .filter((key) => key.startsWith(`${customerId}/`))
+    .map((key) => key.slice(customerId.length + 1));
+  // A legacy profile has no ID; its row key starts with "legacy"
+  const isSelected = (pet) =>
+    selectedKeys.length === 0 ||
+    selectedKeys.includes(pet.id) ||
+    (!pet.id && selectedKeys.some((key) => key.startsWith("legacy")));
+
+  const targets = pets.filter(isSelected).filter((pet) => (pet[field] || "") !== value);
+  if (targets.length === 0) return { outcome: "skipped", message: "Already up to date" };
+
+  for (const current of targets) {
+    const values = Object.fromEntries([PET_NAME_FIELD, ...fields].map((f) => [f.key, current[f.key] || ""]));
+    const { pet, errors } = validatePet(
+      { ...values, [field]: value, id: current.id, legacy: !current.id },
+      { partial: true, fields },
+    );
+    // Another answer of the pet may no longer be allowed by the field configuration
+    if (Object.keys(errors).length > 0) {
+      return { outcome: "failed", message: `${current.name || "Unnamed pet"}: ${Object.values(errors).join(", ")}` };
+    }
+    await saveMerchantPet(admin, shop, customerId, pet);
+  }
+
+  return { outcome: "succeeded", message: `${targets.length} ${targets.length === 1 ? "pet" : "pets"} updated` };
+};
+
+/**
+ * Adds or removes tags on a customer
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerId - Numeric customer ID
+ * @param {string} action - `add-tags` or `remove-tags`
+ * @param {Array<string>} tags - Tags
+ * @returns {Promise<Object>} `{ outcome, message }`
+ */
+const updateTags = async (admin, customerId, action, tags) => {
+  await updateCustomerTags(
+    admin,
+    `gid://shopify/Customer/${customerId}`,
+    action === BULK_ACTIONS.addTags ? { add: tags } : { remove: tags },
+  );
+  return { outcome: "succeeded", message: null };
+};
+
+/**
+ * Builds the report of the job's customers, in one step since it only reads the mirror
+ * @param {string} shop - Shop domain
+ * @param {Object} job - The BulkActionJob row
+ * @returns {Promise<Object>} `{ results, output }`
+ */
+const exportCustomers = async (shop, job) => {
+  const [customers, fields] = await Promise.all([
+    findPetProfiles(shop, { customerIds: job.customerIds }),
+    getFieldConfig(shop),
+  ]);
+  const report = buildReport(customers, fields);
+  const output =
+    job.params.format === "xlsx"
+      ? Buffer.from(await reportToXlsx(report))
+      : Buffer.from(reportToCsv(report), "utf8");
+
+  const exported = new Set(customers.map((customer) => customer.id));
+  const results = job.customerIds.map((customerId) =>
+    exported.has(customerId)
+      ? { customerId, outcome: "succeeded", message: null }
+      : { customerId, outcome: "skipped", message: "Not in the synced customers" },
+  );
+  return { results, output };
+};
+
+/**
+ * Processes the next customers of a job
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} job - The claimed BulkActionJob row
+ * @param {Array<string>} customerIds - Customers to process, in order
+ * @param {Array} fields - Configured profile fields
+ * @returns {Promise<Array>} Results `{ customerId, outcome, message }`, one per customer; the
+ * step stops early when its time budget is used
+ */
+const processCustomers = async (admin, shop, job, customerIds, fields) => {
+  const deadline = Date.now() + STEP_MS;
+  const results = [];
+
+  if (job.action === BULK_ACTIONS.sendReminders || job.action === REMINDER_RUN_ACTION) {
+    for (let i = 0; i < customerIds.length && Date.now() < deadline; i += REMINDER_BATCH_SIZE) {
+      const batch = customerIds.slice(i, i + REMINDER_BATCH_SIZE);
+      let outcomes = new Map();
+      let batchError = null;
+      try {
+        const summary = await sendReminders(admin, shop, { customerIds: batch });
+        outcomes = new Map(summary.results.map((result) => [result.customerId, result]));
+      } catch (error) {
+        console.error(`[bulk-actions] Reminder batch of job ${job.id} failed:`, error);
+        batchError = error.message;
+      }
+
+      batch.forEach((customerId) => {
+        const result = outcomes.get(customerId);
+        if (batchError) results.push({ customerId, outcome: "failed", message: batchError });
+        else if (!result) results.push({ customerId, outcome: "skipped", message: "Not in the synced customers" });
+        else if (result.outcome === "failed") results.push({ customerId, outcome: "failed", message: result.error });
+        else {
+          results.push({
+            customerId,
+            outcome: result.outcome === "sent" ? "succeeded" : "skipped",
+            message: REMINDER_MESSAGES[result.outcome],
+          });
+        }
+      });
+    }
+    return results;
+  }
+
+  if (job.action === TAGGING_BACKFILL_ACTION) {
+    const rules = await getTaggingRules(shop);
+    for (let i = 0; i < customerIds.length && Date.now() < deadline; i += BACKFILL_BATCH_SIZE) {
+      const batch = customerIds.slice(i, i + BACKFILL_BATCH_SIZE);
+      const customers = new Map(
+        (await findPetProfiles(shop, { customerIds: batch })).map((customer) => [customer.id, customer]),
+      );
+
+      for (const customerId of batch) {
+        if (Date.now() >= deadline) break;
+        const customer = customers.get(customerId);
+        if (!customer) {
+          results.push({ customerId, outcome: "skipped", message: "No longer in the synced customers" });
+          continue;
+        }
+        try {
+          const { add } = await applyTaggingRules(admin, shop, customer.gid, customer.pets, { rules });
+          results.push({ customerId, outcome: "succeeded", message: add.length > 0 ? `Tagged ${add.join(", ")}` : null });
+        } catch (error) {
+          console.error(`[bulk-actions] Tagging failed for customer ${customerId}:`, error);
+          results.push({ customerId, outcome: "failed", message: error.message });
+        }
+      }
+    }
+    return results;
+  }
+
+  for (const customerId of customerIds) {
+    if (Date.now() >= deadline) break;
+    try {
+      const result =
+        job.action === BULK_ACTIONS.setField || job.action === BULK_ACTIONS.clearField
+          ? await updatePetField(admin, shop, customerId, job.params, fields)
+          : await updateTags(admin, customerId, job.action, job.params.tags);
+      results.push({ customerId, ...result });
+    } catch (error) {
+      console.error(`[bulk-actions] ${job.action} failed for customer ${customerId}:`, error);
+      results.push({ customerId, outcome: "failed", message: error.message });
+    }
+  }
+  return results;
+};
+
+/**
+ * Adds the customers' names to their results, for the merchant to recognize them
+ * @param {string} shop - Shop domain
+ * @param {Array} results - Results `{ customerId, outcome, message }`
+ * @returns {Promise<Array>} The results with `name`
+ */
+const withNames = async (shop, results) => {
+  const customers = await findPetProfiles(shop, { customerIds: results.map((result) => result.customerId) });
+  const names = new Map(
+    customers.map((customer) => [
+      customer.id,
+      `${customer.firstName} ${customer.lastName}`.trim() || customer.email || null,
+    ]),
+  );
+  return results.map((result) => ({ ...result, name: names.get(result.customerId) || `Customer ${result.customerId}` }));
+};
+
+/**
+ * Runs the next step of a job
+ * A job another request is processing is returned as is.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The BulkActionJob row without its export file, or null when
+ * the shop has no such job
+ */
+export const advanceBulkActionJob = async (admin, shop, id) => {
+  const now = new Date();
+  const { count } = await db.bulkActionJob.updateMany({
+    where: { id, shop, status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    data: { lockedUntil: new Date(now.getTime() + LEASE_MS) },
+  });
+  if (count === 0) return getBulkActionJob(shop, id);
+  const job = await db.bulkActionJob.findUnique({ where: { id }, select: { ...JOB_SELECT, customerIds: true } });
+
+  try {
+    const data = {};
+    let results;
+    if (job.action === BULK_ACTIONS.export) {
+      ({ results, output: data.output } = await exportCustomers(shop, job));
+    } else {
+      const fields = await getFieldConfig(shop);
+      results = await processCustomers(admin, shop, job, job.customerIds.slice(job.processed), fields);
+    }
+
+    data.processed = job.processed + results.length;
+    data.results = [...job.results, ...(await withNames(shop, results))];
+    if (data.processed >= job.total) {
+      data.status = "completed";
+      data.completedAt = new Date();
+      const failed = data.results.filter((result) => result.outcome === "failed").length;
+      console.log(`[bulk-actions] Finished ${job.action} job ${id} for ${shop}, ${failed} customers failed`);
+    }
+
+    return db.bulkActionJob.update({
+      where: { id },
+      data: { ...data, lockedUntil: null },
+      select: JOB_SELECT,
+    });
+  } catch (error) {
+    console.error(`[bulk-actions] Job ${id} failed for ${shop}:`, error);
+    return db.bulkActionJob.update({
+      where: { id },
+      data: { status: "failed", error: error.message, completedAt: new Date(), lockedUntil: null },
+      select: JOB_SELECT,
+    });
+  }
+};
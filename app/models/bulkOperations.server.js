@@ -0,0 +1,115 @@
+/**
+ * Admin API bulk queries: Shopify runs the query in the background and writes the result
+ * to a JSONL file, without the cost limits of paginated queries
+ *
+ * Each shop runs one bulk query at a time per app. Shopify reports the end of the operation
+ * with the `bulk_operations/finish` webhook; `getBulkOperation` checks on it in case the
+ * webhook is late or missed.
+ */
+import { runGraphql } from "./pets.server";
+
+// Statuses after which the operation won't change anymore
+export const FINISHED_BULK_STATUSES = ["COMPLETED", "CANCELED", "EXPIRED", "FAILED"];
+
+/**
+ * Starts a bulk query
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} query - GraphQL query without variables; connections must use `edges { node }`
+ * @returns {Promise<Object>} The BulkOperation `{ id, status }`
+ */
+export const startBulkQuery = async (admin, query) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    mutation StartBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { query },
+    "bulkOperationRunQuery",
+  );
+  return data.bulkOperationRunQuery.bulkOperation;
+};
+
+/**
+ * Loads the current state of a bulk operation
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} id - BulkOperation GID
+ * @returns {Promise<Object|null>} `{ id, status, errorCode, objectCount, url }` with `objectCount`
+ * as a number, or null when Shopify no longer knows the operation
+ */
+export const getBulkOperation = async (admin, id) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+        }
+      }
+    }`,
+    { id },
+  );
+  if (!data.node?.id) return null;
+  return { ...data.node, objectCount: Number(data.node.objectCount) };
+};
+
+/**
+ * Streams the JSONL result of a completed bulk query, one object per line
+ * Nested connections come as their own lines, after their parent and pointing to it with
+ * `__parentId`. Each object comes with the byte offset its line ends at, so a later read can
+ * resume after it.
+ * @param {string|null} url - Result URL of the operation; null when the query matched nothing
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Byte offset to start reading at, the end of a line
+ * @yields {Object} `{ object, end }`: the parsed object and the offset after its line
+ */
+export async function* readBulkOperationResult(url, { offset = 0 } = {}) {
+  if (!url) return;
+
+  const response = await fetch(url, offset > 0 ? { headers: { Range: `bytes=${offset}-` } } : undefined);
+  // The offset is the end of the file
+  if (response.status === 416) return;
+  if (!response.ok) {
+    throw new Error(`Failed to download the bulk operation result (HTTP ${response.status})`);
+  }
+
+  // A server that ignores the range sends the whole file, so its start is skipped here
+  let skip = response.status === 206 ? 0 : offset;
+  let end = offset;
+  let buffered = Buffer.alloc(0);
+  for await (const chunk of response.body) {
+    let bytes = Buffer.from(chunk);
+    if (skip > 0) {
+      const skipped = Math.min(skip, bytes.length);
+      bytes = bytes.subarray(skipped);
+      skip -= skipped;
+    }
+    buffered = Buffer.concat([buffered, bytes]);
+
+    let newline = buffered.indexOf(0x0a);
+    while (newline >= 0) {
+      const line = buffered.subarray(0, newline).toString("utf8");
+      end += newline + 1;
+      buffered = buffered.subarray(newline + 1);
+      if (line.trim()) yield { object: JSON.parse(line), end };
+      newline = buffered.indexOf(0x0a);
+    }
+  }
+
+  const line = buffered.toString("utf8");
+  if (line.trim()) yield { object: JSON.parse(line), end: end + buffered.length };
+}
@@ -0,0 +1,114 @@
+/**
+ * Keeps the pet profile mirror of a shop backfilled from its Pet Profile segment
+ *
+ * The full sync runs as a bulk operation. Its completion is picked up by the
+ * `bulk_operations/finish` webhook or the status checks of the admin pages, whichever comes
+ * first, and the status checks import the result in steps. The first
+ * completed sync of a shop also lets the metafield value migration run, since it reads
+ * customers from the mirror, and the "Pet Profile" segment be created once its metafield
+ * definition exists. Until then the sync reads every customer.
+ *
+ * Saves through `/pet-profile` and the customer webhooks keep each customer up to date in
+ * between. Full syncs catch what those miss, such as customers joining or leaving the segment:
+ * pages start one when the last is older than the TTL, and merchants can start one themselves.
+ *
+ * Settings:
+ * PET_PROFILE_SYNC_TTL_HOURS   Hours before the mirror is synced again when a page loads (default 24)
+ */
+import { getMetafieldMigration, registerMetafieldDefinitions } from "./metafieldDefinitions.server";
+import {
+  finishPetProfileSync,
+  getPetProfileSync,
+  refreshPetProfileSync,
+  startPetProfileSync,
+} from "./petProfile.server";
+import { ensurePetProfileSegment } from "./segment.server";
+
+const SYNC_TTL_MS = (Number(process.env.PET_PROFILE_SYNC_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Whether a sync is still running
+ * @param {Object|null} sync - The PetProfileSync row
+ * @returns {boolean} True while Shopify runs the query or its result is imported
+ */
+const isSyncActive = (sync) => sync?.status === "running" || sync?.status === "importing";
+
+/**
+ * Registers the metafield definitions once a sync completed, when they waited for it, and
+ * sets up the segment of shops that don't have one yet
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object|null} sync - The PetProfileSync row
+ * @returns {Promise<void>}
+ */
+const afterSync = async (admin, shop, sync) => {
+  if (sync?.status !== "completed") return;
+
+  try {
+    const migration = await getMetafieldMigration(shop);
+    if (migration?.status === "waiting") {
+      await registerMetafieldDefinitions(admin, shop);
+    }
+    // The segment filters on `first_submission` and `has_pets`, which need their definitions
+    // registered first
+    await ensurePetProfileSegment(admin, shop);
+  } catch (err) {
+    console.error(`[definitions] Failed to set up ${shop} after its customer sync:`, err);
+  }
+};
+
+/**
+ * Starts a full sync for shops that have never completed one, or whose last sync started
+ * longer than the TTL ago
+ * The mirror keeps serving its rows while a sync runs. A failed initial sync is started
+ * again; a failed later sync waits for the TTL.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The PetProfileSync row; `completedAt` is null until the first sync
+ * completed
+ */
+export const ensurePetProfilesSynced = async (admin, shop) => {
+  const sync = await getPetProfileSync(shop);
+  const isFresh = sync?.completedAt && Date.now() - sync.startedAt.getTime() < SYNC_TTL_MS;
+  if (isSyncActive(sync) || isFresh) return sync;
+
+  return startPetProfileSync(admin, shop);
+};
+
+/**
+ * Starts a full sync requested by the merchant, unless one is already running
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The PetProfileSync row
+ */
+export const resyncPetProfiles = async (admin, shop) => {
+  const sync = await getPetProfileSync(shop);
+  if (isSyncActive(sync)) return sync;
+
+  return startPetProfileSync(admin, shop);
+};
+
+/**
+ * Checks on the running sync of a shop, for the progress shown in the admin
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The PetProfileSync row
+ */
+export const checkPetProfileSync = async (admin, shop) => {
+  const sync = await refreshPetProfileSync(admin, shop);
+  await afterSync(admin, shop, sync);
+  return sync;
+};
+
+/**
+ * Handles the `bulk_operations/finish` webhook
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object|null>} The PetProfileSync row, or null when the operation wasn't a sync
+ */
+export const handleBulkOperationFinish = async (admin, shop, payload) => {
+  const sync = await finishPetProfileSync(admin, shop, payload);
+  await afterSync(admin, shop, sync);
+  return sync;
+};
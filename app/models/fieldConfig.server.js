@@ -0,0 +1,66 @@
+/**
+ * Pet profile fields configured by each shop on the settings page
+ *
+ * Shops that never saved a configuration use `PET_PROFILE_FIELDS`.
+ */
+import db from "../db.server";
+import { PET_PROFILE_FIELDS, validateFieldConfig } from "../utils/petProfileSchema";
+import { ensurePetFieldDefinitions } from "./pets.server";
+
+/**
+ * Loads the profile fields of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Configured profile fields
+ */
+export const getFieldConfig = async (shop) => {
+  const config = await db.profileFieldConfig.findUnique({ where: { shop } });
+  return config ? config.fields : PET_PROFILE_FIELDS;
+};
+
+/**
+ * Checks whether a shop still uses the default profile fields
+ * @param {string} shop - Shop domain
+ * @returns {Promise<boolean>} True when the shop never saved a configuration
+ */
+export const isDefaultFieldConfig = async (shop) => {
+  const count = await db.profileFieldConfig.count({ where: { shop } });
+  return count === 0;
+};
+
+/**
+ * Validates and saves the profile fields of a shop
+ * New fields are added to the `pet` metaobject definition before the configuration is saved,
+ * so customers can't submit a field the definition doesn't have yet.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {*} fields - Fields submitted on the settings page
+ * @returns {Promise<Object>} `{ fields, errors }`; nothing is saved when `errors` isn't empty
+ */
+export const saveFieldConfig = async (admin, shop, fields) => {
+  const result = validateFieldConfig(fields);
+  if (result.errors.length > 0) return result;
+
+  await ensurePetFieldDefinitions(admin, shop, result.fields);
+  await db.profileFieldConfig.upsert({
+    where: { shop },
+    create: { shop, fields: result.fields },
+    update: { fields: result.fields },
+  });
+
+  console.log(`[field-config] Saved ${result.fields.length} profile fields for ${shop}`);
+  return result;
+};
+
+/**
+ * Restores the default profile fields of a shop
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} The default profile fields
+ */
+export const resetFieldConfig = async (admin, shop) => {
+  await ensurePetFieldDefinitions(admin, shop, PET_PROFILE_FIELDS);
+  await db.profileFieldConfig.deleteMany({ where: { shop } });
+
+  console.log(`[field-config] Restored the default profile fields for ${shop}`);
+  return PET_PROFILE_FIELDS;
+};
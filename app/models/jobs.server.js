@@ -0,0 +1,105 @@
+/**
+ * Background jobs advanced by the `/cron/jobs` route, so they finish whether or not a merchant
+ * keeps an admin page open
+ *
+ * Each kind of job lists its due jobs across shops and advances one of them a step at a time,
+ * under the job's own lease. A run takes steps until its time budget is used; what is left is
+ * picked up by the next run.
+ *
+ * Settings:
+ * CRON_SECRET                  Bearer token the cron route requires
+ * JOBS_RUN_MS                  Time one run of the cron route spends starting steps (default 40000)
+ */
+import { unauthenticated } from "../shopify.server";
+import { advanceBulkActionJob, listDueBulkActionJobs } from "./bulkActions.server";
+import { advanceMetafieldMigration, listDueMetafieldMigrations } from "./metafieldDefinitions.server";
+import { advancePetImportJob, listDuePetImportJobs } from "./petImport.server";
+
+const RUN_MS = Number(process.env.JOBS_RUN_MS) || 40000;
+
+// Kinds of jobs: `listDue` returns `{ id, shop }` for the jobs waiting for a step, and
+// `advance` runs the next step of one
+const JOB_RUNNERS = [
+  {
+    name: "bulk-actions",
+    listDue: listDueBulkActionJobs,
+    advance: (admin, job) => advanceBulkActionJob(admin, job.shop, job.id),
+  },
+  {
+    name: "metafield-migration",
+    listDue: listDueMetafieldMigrations,
+    advance: (admin, job) => advanceMetafieldMigration(admin, job.shop),
+  },
+  {
+    name: "pet-import",
+    listDue: listDuePetImportJobs,
+    advance: (admin, job) => advancePetImportJob(admin, job.shop, job.id),
+  },
+];
+
+/**
+ * Lists the due jobs of every kind, in random order so a long job doesn't always go first
+ * @returns {Promise<Array>} `{ runner, id, shop }` entries
+ */
+const listDueJobs = async () => {
+  const due = (
+    await Promise.all(
+      JOB_RUNNERS.map(async (runner) => (await runner.listDue()).map((job) => ({ ...job, runner }))),
+    )
+  ).flat();
+
+  for (let i = due.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [due[i], due[j]] = [due[j], due[i]];
+  }
+  return due;
+};
+
+/**
+ * Advances the due jobs until the run's time budget is used
+ * Jobs of a shop without an offline session, or whose step threw, are left for the next run.
+ * @returns {Promise<Object>} `{ steps, skipped }` counts
+ */
+export const runDueJobs = async () => {
+  const deadline = Date.now() + RUN_MS;
+  const admins = new Map();
+  // Shops and jobs that failed in this run aren't tried again until the next one
+  const skipped = new Set();
+  let steps = 0;
+
+  const getAdmin = async (shop) => {
+    if (!admins.has(shop)) admins.set(shop, (await unauthenticated.admin(shop)).admin);
+    return admins.get(shop);
+  };
+
+  let due = await listDueJobs();
+  while (Date.now() < deadline) {
+    const pending = due.filter((job) => !skipped.has(job.shop) && !skipped.has(job.id));
+    if (pending.length === 0) break;
+
+    for (const job of pending) {
+      if (Date.now() >= deadline) break;
+
+      let admin;
+      try {
+        admin = await getAdmin(job.shop);
+      } catch (error) {
+        console.error(`[jobs] No admin access to ${job.shop}, skipping its jobs:`, error);
+        skipped.add(job.shop);
+        continue;
+      }
+
+      try {
+        await job.runner.advance(admin, job);
+        steps += 1;
+      } catch (error) {
+        console.error(`[jobs] ${job.runner.name} job ${job.id} of ${job.shop} failed a step:`, error);
+        skipped.add(job.id);
+      }
+    }
+
+    due = await listDueJobs();
+  }
+
+  return { steps, skipped: skipped.size };
+};
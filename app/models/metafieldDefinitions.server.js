@@ -0,0 +1,670 @@
+/**
+ * Typed metafield and metaobject definitions registered when a shop installs or re-authenticates
+ *
+ * Before definitions were registered every value was written as `single_line_text_field`.
+ * A value migration converts those values so they pass the definitions, and records the values
+ * it can't convert in a MetafieldMigration row shown on the settings page. It runs as a job in
+ * steps under a lease, like the customer sync, with its progress saved after every batch.
+ *
+ * Settings:
+ * METAFIELD_MIGRATION_STEP_MS  Time one step spends converting values (default 8000)
+ */
+import db from "../db.server";
+import { PET_FIELDS, normalizePetFieldValue } from "../utils/customerDataUtils";
+import { PET_PROFILE_FIELDS } from "../utils/petProfileSchema";
+import { getFieldConfig } from "./fieldConfig.server";
+import {
+  HAS_PETS_KEY,
+  PETS_KEY,
+  PETS_NAMESPACE,
+  PET_METAOBJECT_TYPE,
+  ensurePetFieldDefinitions,
+  runGraphql,
+  setCustomerMetafields,
+} from "./pets.server";
+import { getPetProfileSync } from "./petProfile.server";
+import { REWARD_CODE_KEY } from "./rewards.server";
+
+// Bump when the definitions change in a way that needs existing values converted again
+// 2: `has_pets` is set on customers whose pets were saved before it existed
+export const METAFIELD_MIGRATION_VERSION = 2;
+
+// Customers read per batch, well under the 250 IDs nodes(ids:) accepts so a batch fits in a
+// step; metafieldsSet accepts at most 25 metafields
+const CUSTOMER_BATCH_SIZE = 100;
+const METAFIELDS_SET_BATCH_SIZE = 25;
+// Failures kept in the report; the rest are only counted
+const MAX_REPORTED_FAILURES = 200;
+
+const MIGRATION_STEP_MS = Number(process.env.METAFIELD_MIGRATION_STEP_MS) || 8000;
+// A request that died while holding the lease frees the migration after this long
+const MIGRATION_LEASE_MS = MIGRATION_STEP_MS * 4;
+
+// What a running migration converts: the `pet` metaobjects first, then the customer metafields
+const MIGRATION_PHASES = {
+  metaobjects: "metaobjects",
+  customers: "customers",
+};
+
+// Customer metafields are read by the customer account extension. They hold health answers, so
+// the storefront can't read them; NONE also takes back the access older definitions granted
+const CUSTOMER_METAFIELD_ACCESS = { customerAccount: "READ", storefront: "NONE" };
+
+/**
+ * Lists the customer metafield definitions in the `variables` namespace
+ * The flat pet fields predate pet metaobjects and only hold legacy single-pet profiles,
+ * so they use the default options.
+ * @param {string} petDefinitionId - ID of the `pet` metaobject definition
+ * @returns {Array} `{ key, name, type, validations, capabilities }` definitions
+ */
+const getCustomerDefinitions = (petDefinitionId) => [
+  {
+    key: PETS_KEY,
+    name: "Pets",
+    type: "list.metaobject_reference",
+    validations: [{ name: "metaobject_definition_id", value: petDefinitionId }],
+  },
+  {
+    key: "first_submission",
+    name: "Pet profile submitted",
+    type: "boolean",
+    validations: [],
+    // The "Pet Profile" segment filters on it
+    capabilities: { adminFilterable: { enabled: true } },
+  },
+  {
+    key: HAS_PETS_KEY,
+    name: "Has pets",
+    type: "boolean",
+    validations: [],
+    // The "Pet Profile" segment filters on it, so customers whose pets were imported or
+    // added by the merchant are included too
+    capabilities: { adminFilterable: { enabled: true } },
+  },
+  {
+    key: REWARD_CODE_KEY,
+    name: "Pet profile reward code",
+    type: "single_line_text_field",
+    validations: [],
+  },
+  ...PET_PROFILE_FIELDS.map((field) => ({
+    key: field.key,
+    name: `${field.label} (legacy)`,
+    type: "single_line_text_field",
+    validations: [{ name: "choices", value: JSON.stringify(field.options.map((option) => option.value)) }],
+  })),
+];
+
+/**
+ * Creates or updates the customer metafield definitions of the app
+ * Runs after `ensurePetFieldDefinitions`, so the `pet` metaobject definition exists.
+ * A definition whose type changed is deleted and created again; its values were already
+ * converted by the value migration.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<void>}
+ */
+const syncCustomerDefinitions = async (admin, shop) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query CustomerMetafieldDefinitions($type: String!, $namespace: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+      }
+      metafieldDefinitions(first: 50, ownerType: CUSTOMER, namespace: $namespace) {
+        nodes {
+          id
+          key
+          type {
+            name
+          }
+        }
+      }
+    }`,
+    { type: PET_METAOBJECT_TYPE, namespace: PETS_NAMESPACE },
+  );
+  const existing = new Map(data.metafieldDefinitions.nodes.map((node) => [node.key, node]));
+
+  for (const definition of getCustomerDefinitions(data.metaobjectDefinitionByType.id)) {
+    try {
+      await syncCustomerDefinition(admin, shop, definition, existing.get(definition.key));
+    } catch (err) {
+      // Values the migration couldn't convert keep a definition from being created or updated
+      console.error(`[definitions] Failed to register ${definition.key} for ${shop}:`, err);
+    }
+  }
+};
+
+/**
+ * Creates, updates or replaces one customer metafield definition
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} definition - Definition from `getCustomerDefinitions`
+ * @param {Object} [current] - The shop's existing definition `{ id, key, type }`
+ * @returns {Promise<void>}
+ */
+const syncCustomerDefinition = async (admin, shop, definition, current) => {
+  if (current && current.type.name === definition.type) {
+    await runGraphql(
+      admin,
+      `#graphql
+      mutation UpdateCustomerDefinition($definition: MetafieldDefinitionUpdateInput!) {
+        metafieldDefinitionUpdate(definition: $definition) {
+          updatedDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      {
+        definition: {
+          namespace: PETS_NAMESPACE,
+          key: definition.key,
+          ownerType: "CUSTOMER",
+          name: definition.name,
+          validations: definition.validations,
+          access: CUSTOMER_METAFIELD_ACCESS,
+          ...(definition.capabilities ? { capabilities: definition.capabilities } : {}),
+        },
+      },
+      "metafieldDefinitionUpdate",
+    );
+    return;
+  }
+
+  if (current) {
+    await runGraphql(
+      admin,
+      `#graphql
+      mutation DeleteCustomerDefinition($id: ID!) {
+        metafieldDefinitionDelete(id: $id, deleteAllAssociatedMetafields: false) {
+          deletedDefinitionId
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { id: current.id },
+      "metafieldDefinitionDelete",
+    );
+    console.log(`[definitions] Replacing ${definition.key} (${current.type.name} => ${definition.type}) for ${shop}`);
+  }
+
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation CreateCustomerDefinition($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      definition: {
+        namespace: PETS_NAMESPACE,
+        key: definition.key,
+        ownerType: "CUSTOMER",
+        name: definition.name,
+        type: definition.type,
+        validations: definition.validations,
+        access: CUSTOMER_METAFIELD_ACCESS,
+        ...(definition.capabilities ? { capabilities: definition.capabilities } : {}),
+      },
+    },
+    "metafieldDefinitionCreate",
+  );
+};
+
+/**
+ * Splits an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Saves the progress of a migration step, adding the values it converted and couldn't convert
+ * @param {string} shop - Shop domain
+ * @param {Object} migration - The MetafieldMigration row the step last saved
+ * @param {Object} report - `{ converted, failures }` since the last save; emptied once saved
+ * @param {Object} [data] - Other columns to update, such as the cursor
+ * @returns {Promise<Object>} The updated MetafieldMigration row
+ */
+const saveProgress = async (shop, migration, report, data = {}) => {
+  const updated = await db.metafieldMigration.update({
+    where: { shop },
+    data: {
+      ...data,
+      convertedCount: { increment: report.converted },
+      failureCount: { increment: report.failures.length },
+      failures: [...migration.failures, ...report.failures].slice(0, MAX_REPORTED_FAILURES),
+    },
+  });
+  report.converted = 0;
+  report.failures = [];
+  return updated;
+};
+
+/**
+ * Converts the choice values of one page of `pet` metaobjects to the configured option values
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array} fields - Configured profile fields
+ * @param {string|null} after - Cursor of the page, null for the first one
+ * @param {Object} report - `{ converted, failures }`, updated in place
+ * @returns {Promise<string|null>} Cursor of the next page, or null after the last one
+ */
+const migratePetMetaobjectPage = async (admin, fields, after, report) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query PetMetaobjects($type: String!, $after: String) {
+      metaobjects(type: $type, first: 100, after: $after) {
+        nodes {
+          id
+          fields {
+            key
+            value
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }`,
+    { type: PET_METAOBJECT_TYPE, after },
+  );
+
+  for (const node of data.metaobjects.nodes) {
+    const updates = [];
+    node.fields.forEach(({ key, value }) => {
+      const field = fields.find((f) => f.key === key);
+      if (!field || !value || field.options.some((option) => option.value === value)) return;
+
+      const converted = normalizePetFieldValue(key, value, fields);
+      if (converted === null) {
+        report.failures.push({ owner: node.id, key, value, reason: "Not one of the options" });
+      } else {
+        updates.push({ key, value: converted });
+      }
+    });
+    if (updates.length === 0) continue;
+
+    try {
+      await runGraphql(
+        admin,
+        `#graphql
+        mutation MigratePet($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+          metaobjectUpdate(id: $id, metaobject: $metaobject) {
+            metaobject {
+              id
+            }
+            userErrors {
+              field
+              message
+              elementKey
+            }
+          }
+        }`,
+        { id: node.id, metaobject: { fields: updates } },
+        "metaobjectUpdate",
+      );
+      report.converted += updates.length;
+    } catch (err) {
+      updates.forEach(({ key, value }) => {
+        report.failures.push({ owner: node.id, key, value, reason: err.message });
+      });
+    }
+  }
+
+  return data.metaobjects.pageInfo.hasNextPage ? data.metaobjects.pageInfo.endCursor : null;
+};
+
+/**
+ * Writes metafields again with a new type
+ * A metafield's type can't change, so each value is deleted and written again. The batch is
+ * saved on the migration before its values are deleted: a step that dies in between leaves it
+ * for the next step, which deletes and writes the batch again. A batch that can't be written
+ * with its new type gets its original values back.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} migration - The MetafieldMigration row the step last saved
+ * @param {Array} batch - `{ metafield, original }` entries, at most `METAFIELDS_SET_BATCH_SIZE`
+ * @param {Object} report - `{ converted, failures }`, updated in place
+ * @returns {Promise<Object>} The updated MetafieldMigration row
+ */
+const retypeMetafields = async (admin, shop, migration, batch, report) => {
+  const saved = await saveProgress(shop, migration, report, { pending: batch });
+
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation DeleteUntypedMetafields($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { metafields: batch.map(({ original: { ownerId, namespace, key } }) => ({ ownerId, namespace, key })) },
+    "metafieldsDelete",
+  );
+
+  try {
+    await setCustomerMetafields(admin, batch.map(({ metafield }) => metafield));
+    report.converted += batch.length;
+  } catch (err) {
+    // Left pending when restoring fails too, so the next step tries again
+    await setCustomerMetafields(admin, batch.map(({ original }) => original));
+    batch.forEach(({ original: { ownerId, key, value } }) => {
+      report.failures.push({ owner: ownerId, key, value, reason: err.message });
+    });
+  }
+
+  return saveProgress(shop, saved, report, { pending: [] });
+};
+
+/**
+ * Converts the flat customer metafields of one batch of mirrored customers: `first_submission`
+ * becomes a boolean, legacy pet fields get the default option values and customers with pets
+ * get `has_pets`
+ * Values already converted are skipped, so a batch a step didn't finish can run again.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} migration - The MetafieldMigration row the step last saved
+ * @param {Array<string>} customerGIDs - Customer GIDs, at most `CUSTOMER_BATCH_SIZE`
+ * @param {Object} report - `{ converted, failures }`, updated in place
+ * @returns {Promise<Object>} The MetafieldMigration row as last saved
+ */
+const migrateCustomerBatch = async (admin, shop, migration, customerGIDs, report) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query CustomerMetafieldValues($ids: [ID!]!, $namespace: String!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          id
+          metafields(first: 20, namespace: $namespace) {
+            nodes {
+              id
+              key
+              type
+              value
+            }
+          }
+        }
+      }
+    }`,
+    { ids: customerGIDs, namespace: PETS_NAMESPACE },
+  );
+
+  // Values whose type changes, `{ metafield, original }`; the rest are written in place
+  const toRetype = [];
+  const toSet = [];
+
+  data.nodes.filter((node) => node?.id).forEach((node) => {
+    const keys = node.metafields.nodes.map((metafield) => metafield.key);
+    if (keys.includes(PETS_KEY) && !keys.includes(HAS_PETS_KEY)) {
+      toSet.push({ ownerId: node.id, namespace: PETS_NAMESPACE, key: HAS_PETS_KEY, type: "boolean", value: "true" });
+    }
+
+    node.metafields.nodes.forEach((metafield) => {
+      const failure = { owner: node.id, key: metafield.key, value: metafield.value };
+
+      if (metafield.key === "first_submission" && metafield.type !== "boolean") {
+        const value = metafield.value.trim().toLowerCase();
+        if (value !== "true" && value !== "false") {
+          report.failures.push({ ...failure, reason: "Not true or false" });
+          return;
+        }
+        const identifier = { ownerId: node.id, namespace: PETS_NAMESPACE, key: metafield.key };
+        toRetype.push({
+          metafield: { ...identifier, type: "boolean", value },
+          original: { ...identifier, type: metafield.type, value: metafield.value },
+        });
+        return;
+      }
+
+      if (!PET_FIELDS.includes(metafield.key) || !metafield.value) return;
+      const field = PET_PROFILE_FIELDS.find((f) => f.key === metafield.key);
+      if (!field || field.options.some((option) => option.value === metafield.value)) return;
+
+      const value = normalizePetFieldValue(metafield.key, metafield.value);
+      if (value === null) {
+        report.failures.push({ ...failure, reason: "Not one of the options" });
+        return;
+      }
+      toSet.push({
+        ownerId: node.id,
+        namespace: PETS_NAMESPACE,
+        key: metafield.key,
+        type: metafield.type,
+        value,
+      });
+    });
+  });
+
+  let saved = migration;
+  for (const batch of chunk(toRetype, METAFIELDS_SET_BATCH_SIZE)) {
+    saved = await retypeMetafields(admin, shop, saved, batch, report);
+  }
+
+  for (const metafields of chunk(toSet, METAFIELDS_SET_BATCH_SIZE)) {
+    try {
+      await setCustomerMetafields(admin, metafields);
+      report.converted += metafields.length;
+    } catch (err) {
+      metafields.forEach(({ ownerId, key, value }) => {
+        report.failures.push({ owner: ownerId, key, value, reason: err.message });
+      });
+    }
+  }
+
+  return saved;
+};
+
+/**
+ * Creates or updates every definition of the app, once existing values were converted
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<void>}
+ */
+const syncDefinitions = async (admin, shop) => {
+  await ensurePetFieldDefinitions(admin, shop, await getFieldConfig(shop));
+  await syncCustomerDefinitions(admin, shop);
+  console.log(`[definitions] Registered metafield definitions for ${shop}`);
+};
+
+/**
+ * Starts converting existing values so they pass the typed definitions
+ * Runs once per shop and `METAFIELD_MIGRATION_VERSION`, as a job advanced by
+ * `advanceMetafieldMigration`. Until the shop's first customer sync completed the migration is
+ * left "waiting", and it starts when the sync completes.
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Run again even when this version already completed
+ * @returns {Promise<Object>} The MetafieldMigration row
+ */
+const startMetafieldMigration = async (shop, { force = false } = {}) => {
+  const previous = await db.metafieldMigration.findUnique({ where: { shop } });
+  if (!force && previous?.version === METAFIELD_MIGRATION_VERSION && previous.status === "completed") {
+    return previous;
+  }
+  if (previous?.status === "running") return previous;
+
+  const sync = await getPetProfileSync(shop);
+  if (!sync?.completedAt) {
+    const waiting = { version: METAFIELD_MIGRATION_VERSION, status: "waiting", error: null };
+    return db.metafieldMigration.upsert({
+      where: { shop },
+      create: { shop, ...waiting },
+      update: waiting,
+    });
+  }
+
+  // `pending` is kept: a batch a failed run left deleted is written again by the first step
+  const start = {
+    version: METAFIELD_MIGRATION_VERSION,
+    status: "running",
+    startedAt: new Date(),
+    completedAt: null,
+    error: null,
+    phase: MIGRATION_PHASES.metaobjects,
+    cursor: null,
+    convertedCount: 0,
+    failureCount: 0,
+    failures: [],
+    lockedUntil: null,
+  };
+  console.log(`[definitions] Starting the value migration for ${shop}`);
+  return db.metafieldMigration.upsert({
+    where: { shop },
+    create: { shop, ...start },
+    update: start,
+  });
+};
+
+/**
+ * Runs the next step of a shop's value migration, and registers the definitions once it completed
+ * The `pet` metaobjects are converted a page at a time, then the mirrored customers a batch at a
+ * time; the cursor of each is saved after every page or batch. A migration another request is
+ * processing is returned as is.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The MetafieldMigration row
+ */
+export const advanceMetafieldMigration = async (admin, shop) => {
+  const now = new Date();
+  const { count } = await db.metafieldMigration.updateMany({
+    where: { shop, status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    data: { lockedUntil: new Date(now.getTime() + MIGRATION_LEASE_MS) },
+  });
+  if (count === 0) return getMetafieldMigration(shop);
+
+  const deadline = now.getTime() + MIGRATION_STEP_MS;
+  const report = { converted: 0, failures: [] };
+  let migration = await getMetafieldMigration(shop);
+
+  try {
+    if (migration.pending.length > 0) {
+      migration = await retypeMetafields(admin, shop, migration, migration.pending, report);
+    }
+
+    const fields = await getFieldConfig(shop);
+    let done = false;
+    while (!done && Date.now() < deadline) {
+      if (migration.phase === MIGRATION_PHASES.metaobjects) {
+        const next = await migratePetMetaobjectPage(admin, fields, migration.cursor, report);
+        migration = await saveProgress(
+          shop,
+          migration,
+          report,
+          next ? { cursor: next } : { phase: MIGRATION_PHASES.customers, cursor: null },
+        );
+        continue;
+      }
+
+      // Customers are taken from the local mirror, which holds every customer with a profile
+      const profiles = await db.petProfile.findMany({
+        where: { shop, ...(migration.cursor ? { customerId: { gt: migration.cursor } } : {}) },
+        orderBy: { customerId: "asc" },
+        take: CUSTOMER_BATCH_SIZE,
+        select: { customerId: true, customerGid: true },
+      });
+      if (profiles.length === 0) {
+        done = true;
+        continue;
+      }
+
+      migration = await migrateCustomerBatch(admin, shop, migration, profiles.map((p) => p.customerGid), report);
+      migration = await saveProgress(shop, migration, report, { cursor: profiles[profiles.length - 1].customerId });
+    }
+
+    if (!done) {
+      return db.metafieldMigration.update({ where: { shop }, data: { lockedUntil: null } });
+    }
+
+    migration = await db.metafieldMigration.update({
+      where: { shop },
+      data: { status: "completed", completedAt: new Date(), phase: null, cursor: null, lockedUntil: null },
+    });
+    console.log(
+      `[definitions] Converted ${migration.convertedCount} values for ${shop}, ${migration.failureCount} could not be converted`,
+    );
+  } catch (err) {
+    console.error(`[definitions] Value migration failed for ${shop}:`, err);
+    return saveProgress(shop, migration, report, { status: "failed", error: err.message, lockedUntil: null });
+  }
+
+  try {
+    await syncDefinitions(admin, shop);
+  } catch (err) {
+    // Retried on the next auth
+    console.error(`[definitions] Failed to register definitions for ${shop}:`, err);
+  }
+  return migration;
+};
+
+/**
+ * Lists the running value migrations that no request is processing
+ * @returns {Promise<Array>} `{ id, shop }` of each migration; the ID is the shop
+ */
+export const listDueMetafieldMigrations = async () => {
+  const now = new Date();
+  const migrations = await db.metafieldMigration.findMany({
+    where: { status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    select: { shop: true },
+  });
+  return migrations.map(({ shop }) => ({ id: shop, shop }));
+};
+
+/**
+ * Registers the app's definitions for a shop, once existing values were converted
+ * Called from the `afterAuth` hook, so it runs on install and whenever the shop re-authenticates.
+ * When values need converting first, the migration is started and `/cron/jobs` runs it; its
+ * last step registers the definitions.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Convert values again, e.g. after fixing reported values
+ * @returns {Promise<Object>} The MetafieldMigration row
+ */
+export const registerMetafieldDefinitions = async (admin, shop, { force = false } = {}) => {
+  const migration = await startMetafieldMigration(shop, { force });
+  if (migration.status !== "completed") {
+    // Typed definitions would reject the values that weren't converted yet
+    console.warn(`[definitions] Skipping definition updates for ${shop} until the value migration completes`);
+    return migration;
+  }
+
+  await syncDefinitions(admin, shop);
+  return migration;
+};
+
+/**
+ * Loads the value migration report of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The MetafieldMigration row, or null when it never ran
+ */
+export const getMetafieldMigration = async (shop) => {
+  return db.metafieldMigration.findUnique({ where: { shop } });
+};
@@ -0,0 +1,485 @@
+/**
+ * Bulk import of pet profiles from a CSV keyed by customer email or ID
+ *
+ * Previews and imports run as PetImportJobs, since looking up and writing thousands of rows takes
+ * longer than a request may run. The request that starts a job runs its first step, and the
+ * `/cron/jobs` route runs the next ones. A step stops when its time budget is used and saves
+ * every row's result, so the page can show them once the job finished.
+ *
+ * Settings:
+ * PET_IMPORT_STEP_MS           Time one step spends looking up customers or writing pets (default 8000)
+ */
+import db from "../db.server";
+import { PET_FIELDS, normalizePetFieldValue, sanitizeMetafieldValue } from "../utils/customerDataUtils";
+import { MAX_PETS, PET_PROFILE_FIELDS, validatePet } from "../utils/petProfileSchema";
+import { getFieldConfig } from "./fieldConfig.server";
+import {
+  deleteCustomerMetafields,
+  deletePetMetaobject,
+  ensurePetDefinitions,
+  findCustomerIdsByEmail,
+  getCustomersPets,
+  setCustomerMetafields,
+  toPetReferenceMetafields,
+  upsertPetMetaobject,
+} from "./pets.server";
+import { upsertPetProfile } from "./petProfile.server";
+import { CHANGE_SOURCES, recordProfileChange } from "./profileHistory.server";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const STEP_MS = Number(process.env.PET_IMPORT_STEP_MS) || 8000;
+// A request that died while holding the lease frees the job after this long
+const LEASE_MS = STEP_MS * 4;
+
+// A job looks up the customers of every row, then writes the pets of the rows it found
+const IMPORT_PHASES = {
+  resolving: "resolving",
+  importing: "importing",
+};
+
+// Every column but the rows, which are only loaded once the job finished
+const JOB_SELECT = {
+  id: true,
+  dryRun: true,
+  keyType: true,
+  status: true,
+  phase: true,
+  summary: true,
+  processed: true,
+  error: true,
+  createdAt: true,
+  completedAt: true,
+};
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_SET_BATCH_SIZE = 25;
+const CUSTOMER_BATCH_SIZE = 25;
+const EMAIL_LOOKUP_BATCH_SIZE = 50;
+const ID_LOOKUP_BATCH_SIZE = 250;
+
+/**
+ * Splits an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Builds a metaobject handle segment from free text
+ * @param {string} text - Text to slugify
+ * @returns {string} Lowercase letters, digits and hyphens
+ */
+const slugify = (text) =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+
+/**
+ * Applies the column mapping to CSV rows and validates every value
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Array<string>>} rows - CSV data rows
+ * @param {Object} mapping - `{ keyType: "email"|"id", keyColumn, name, pet_type, ... }`, values are header names
+ * @param {Array} [fields] - Profile fields configured by the shop
+ * @returns {Array} Row results `{ rowNumber, key, pet, errors, status }`
+ */
+export const validateImportRows = (headers, rows, mapping, fields = PET_PROFILE_FIELDS) => {
+  const columnIndex = (header) => (header ? headers.indexOf(header) : -1);
+  const keyIndex = columnIndex(mapping.keyColumn);
+  const nameIndex = columnIndex(mapping.name);
+
+  return rows.map((cells, index) => {
+    const errors = [];
+    const key = sanitizeMetafieldValue(cells[keyIndex]);
+    // Row 1 is the header, so data starts on row 2 like in a spreadsheet
+    const rowNumber = index + 2;
+
+    if (!key) {
+      errors.push(mapping.keyType === "id" ? "Missing customer ID" : "Missing email");
+    } else if (mapping.keyType === "id" && !/^(gid:\/\/shopify\/Customer\/)?\d+$/.test(key)) {
+      errors.push(`Invalid customer ID "${key}"`);
+    } else if (mapping.keyType !== "id" && !/^[^\s@]+@[^\s@]+$/.test(key)) {
+      errors.push(`Invalid email "${key}"`);
+    }
+
+    // Unmapped columns and empty cells are left out of the pet, so importing into an existing
+    // pet keeps the answers the file doesn't have
+    const pet = {};
+    const name = nameIndex >= 0 ? sanitizeMetafieldValue(cells[nameIndex]) : "";
+    if (name) pet.name = name;
+    fields.forEach(({ key: field }) => {
+      const index = columnIndex(mapping[field]);
+      const raw = index >= 0 ? sanitizeMetafieldValue(cells[index]) : "";
+      if (!raw) return;
+      const value = normalizePetFieldValue(field, raw, fields);
+      if (value === null) {
+        errors.push(`"${raw}" is not an allowed ${field} value`);
+        return;
+      }
+      pet[field] = value;
+    });
+
+    // Values were normalized above, so this only adds checks like the name length
+    errors.push(...Object.values(validatePet(pet, { partial: true, fields }).errors));
+
+    if (errors.length === 0 && !fields.some(({ key }) => pet[key])) {
+      errors.push("No pet values in this row");
+    }
+
+    return {
+      rowNumber,
+      key,
+      pet,
+      errors,
+      status: errors.length > 0 ? "invalid" : "valid",
+    };
+  });
+};
+
+/**
+ * Resolves the customers of a batch of valid rows, marking rows whose customer doesn't exist as invalid
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array} rows - Valid row results from `validateImportRows`, at most a lookup batch
+ * @param {string} keyType - "email" or "id"
+ * @returns {Promise<void>} Every row gets a `customerGID`, null when the customer wasn't found
+ */
+const resolveCustomers = async (admin, rows, keyType) => {
+  const found = new Map();
+
+  if (keyType === "id") {
+    const toGid = (key) => (key.startsWith("gid://") ? key : `gid://shopify/Customer/${key}`);
+    const gids = [...new Set(rows.map((row) => toGid(row.key)))];
+    for (const batch of chunk(gids, ID_LOOKUP_BATCH_SIZE)) {
+      const profiles = await getCustomersPets(admin, batch);
+      profiles.forEach(({ customer }) => found.set(customer.gid, customer.gid));
+    }
+    rows.forEach((row) => {
+      row.customerGID = found.get(toGid(row.key)) || null;
+    });
+  } else {
+    const emails = [...new Set(rows.map((row) => row.key.toLowerCase()))];
+    for (const batch of chunk(emails, EMAIL_LOOKUP_BATCH_SIZE)) {
+      const matches = await findCustomerIdsByEmail(admin, batch);
+      matches.forEach((gid, email) => found.set(email, gid));
+    }
+    rows.forEach((row) => {
+      row.customerGID = found.get(row.key.toLowerCase()) || null;
+    });
+  }
+
+  rows
+    .filter((row) => !row.customerGID)
+    .forEach((row) => {
+      row.errors.push("Customer not found");
+      row.status = "invalid";
+    });
+};
+
+/**
+ * Writes the pets of one batch of customers and refreshes their mirrored profiles
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Map} rowsByCustomer - Customer GID => valid row results
+ * @returns {Promise<void>}
+ */
+const importCustomerBatch = async (admin, shop, rowsByCustomer) => {
+  const profiles = await getCustomersPets(admin, [...rowsByCustomer.keys()]);
+  const references = [];
+  const legacyCustomers = [];
+
+  // Customers deleted since their rows were resolved
+  rowsByCustomer.forEach((rows, customerGID) => {
+    if (profiles.some(({ customer }) => customer.gid === customerGID)) return;
+    rows.forEach((row) => {
+      row.status = "failed";
+      row.errors.push("Customer not found");
+    });
+  });
+
+  for (const { customer, pets } of profiles) {
+    const rows = rowsByCustomer.get(customer.gid);
+    const petIds = pets.filter((pet) => pet.id).map((pet) => pet.id);
+    const legacyPet = pets.find((pet) => pet.legacy);
+
+    // Keep a legacy flat-metafield pet by moving it into a metaobject before adding new pets
+    if (legacyPet) {
+      petIds.push(await upsertPetMetaobject(admin, `pet-${customer.id}-legacy`, legacyPet));
+      legacyCustomers.push(customer.gid);
+    }
+
+    for (const row of rows) {
+      const handle = row.pet.name
+        ? `pet-${customer.id}-${slugify(row.pet.name) || "unnamed"}`
+        : `pet-${customer.id}-row-${row.rowNumber}`;
+      try {
+        const petId = await upsertPetMetaobject(admin, handle, row.pet);
+        if (!petIds.includes(petId)) {
+          // The handle tells an update from a new pet only once upserted, so a new pet past the
+          // cap is deleted again
+          if (petIds.length >= MAX_PETS) {
+            await deletePetMetaobject(admin, petId);
+            row.status = "failed";
+            row.errors.push(`The customer already has ${MAX_PETS} pets`);
+            continue;
+          }
+          petIds.push(petId);
+        }
+        row.petId = petId;
+      } catch (err) {
+        row.status = "failed";
+        row.errors.push(err.message);
+      }
+    }
+
+    if (petIds.length > 0) references.push(...toPetReferenceMetafields(customer.gid, petIds));
+  }
+
+  // Each customer has two reference metafields, so a batch takes more than one call
+  for (const metafields of chunk(references, METAFIELDS_SET_BATCH_SIZE)) {
+    await setCustomerMetafields(admin, metafields);
+  }
+  for (const customerGID of legacyCustomers) {
+    await deleteCustomerMetafields(admin, customerGID, PET_FIELDS);
+  }
+
+  rowsByCustomer.forEach((rows) => {
+    rows.filter((row) => row.status === "valid").forEach((row) => {
+      row.status = "imported";
+    });
+  });
+
+  // The pets are saved in Shopify at this point, so a mirror or history failure doesn't fail the rows
+  try {
+    const updated = await getCustomersPets(admin, [...rowsByCustomer.keys()]);
+    for (const { customer, pets, hasSubmitted } of updated) {
+      const previousPets = profiles.find((profile) => profile.customer.gid === customer.gid)?.pets || [];
+      await db.$transaction(async (tx) => {
+        await upsertPetProfile(shop, customer, pets, { hasSubmitted, tx });
+        await recordProfileChange(shop, customer, previousPets, pets, CHANGE_SOURCES.import, { tx });
+      });
+    }
+  } catch (err) {
+    console.error("[pet-import] Failed to refresh mirrored profiles:", err);
+  }
+};
+
+/**
+ * Counts the rows of an import by status
+ * @param {Array} rows - Row results
+ * @param {string} phase - Phase the job is in
+ * @returns {Object} `{ total, valid, invalid, imported, failed, pending }`; `pending` counts the rows
+ * the phase still has to process
+ */
+const summarizeRows = (rows, phase) => {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    total: rows.length,
+    valid: count("valid"),
+    invalid: count("invalid"),
+    imported: count("imported"),
+    failed: count("failed"),
+    pending: rows.filter(
+      (row) => row.status === "valid" && (phase === IMPORT_PHASES.importing || row.customerGID === undefined),
+    ).length,
+  };
+};
+
+/**
+ * Validates a CSV import and starts the job that looks up its customers and, unless it's a dry
+ * run, writes the valid rows
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {Array<string>} options.headers - CSV header row
+ * @param {Array<Array<string>>} options.rows - CSV data rows
+ * @param {Object} options.mapping - Column mapping, see `validateImportRows`
+ * @param {boolean} options.dryRun - Only validate and resolve customers
+ * @returns {Promise<Object>} The PetImportJob row without its rows
+ */
+export const startPetImportJob = async (shop, { headers, rows, mapping, dryRun }) => {
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows, this file has ${rows.length}`);
+  }
+  if (!mapping.keyColumn || !headers.includes(mapping.keyColumn)) {
+    throw new Error("Choose the column that identifies the customer");
+  }
+  // Two imports adding pets to the same customers would overwrite each other's references
+  if (!dryRun && (await db.petImportJob.count({ where: { shop, dryRun: false, status: "running" } })) > 0) {
+    throw new Error("Another import is still running. Wait for it to finish before starting a new one.");
+  }
+
+  const fields = await getFieldConfig(shop);
+  const results = validateImportRows(headers, rows, mapping, fields);
+  const job = await db.petImportJob.create({
+    data: {
+      shop,
+      dryRun,
+      keyType: mapping.keyType === "id" ? "id" : "email",
+      status: "running",
+      rows: results,
+      summary: summarizeRows(results, IMPORT_PHASES.resolving),
+    },
+    select: JOB_SELECT,
+  });
+  console.log(`[pet-import] Started ${dryRun ? "a preview" : "an import"} of ${results.length} rows for ${shop}`);
+  return job;
+};
+
+/**
+ * Loads an import job of a shop
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The PetImportJob row; its rows are only included once it finished
+ */
+export const getPetImportJob = async (shop, id) => {
+  const job = await db.petImportJob.findFirst({ where: { id, shop }, select: { ...JOB_SELECT, rows: true } });
+  if (job?.status === "running") delete job.rows;
+  return job;
+};
+
+/**
+ * Loads the import of a shop that is still writing pets, for the page to show its progress
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The PetImportJob row without its rows
+ */
+export const getRunningPetImportJob = async (shop) => {
+  return db.petImportJob.findFirst({
+    where: { shop, dryRun: false, status: "running" },
+    orderBy: { createdAt: "desc" },
+    select: JOB_SELECT,
+  });
+};
+
+/**
+ * Lists the running import jobs of every shop that no request is processing
+ * @returns {Promise<Array>} `{ id, shop }` of each job, oldest first
+ */
+export const listDuePetImportJobs = async () => {
+  const now = new Date();
+  return db.petImportJob.findMany({
+    where: { status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, shop: true },
+  });
+};
+
+/**
+ * Looks up the customers of the next rows until the step's time budget is used
+ * @param {Object} admin - Shopify admin API client
+ * @param {Object} job - The claimed PetImportJob row
+ * @param {number} deadline - Time the step ends
+ * @returns {Promise<boolean>} True once every row was looked up
+ */
+const resolveStep = async (admin, job, deadline) => {
+  const batchSize = job.keyType === "id" ? ID_LOOKUP_BATCH_SIZE : EMAIL_LOOKUP_BATCH_SIZE;
+  while (Date.now() < deadline) {
+    const batch = job.rows.filter((row) => row.status === "valid" && row.customerGID === undefined).slice(0, batchSize);
+    if (batch.length === 0) return true;
+    await resolveCustomers(admin, batch, job.keyType);
+  }
+  return false;
+};
+
+/**
+ * Writes the pets of the next customers until the step's time budget is used
+ * A step that dies before saving its progress writes the same customers again, which updates the
+ * pets it created since imports upsert them by handle.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} job - The claimed PetImportJob row; `processed` is advanced
+ * @param {number} deadline - Time the step ends
+ * @returns {Promise<boolean>} True once every customer was written
+ */
+const importStep = async (admin, shop, job, deadline) => {
+  await ensurePetDefinitions(admin, shop);
+
+  // Rows keep their customer once resolved, so the customers' order is the same in every step
+  const rowsByCustomer = new Map();
+  job.rows
+    .filter((row) => row.customerGID)
+    .forEach((row) => {
+      rowsByCustomer.set(row.customerGID, [...(rowsByCustomer.get(row.customerGID) || []), row]);
+    });
+  const customers = [...rowsByCustomer.entries()];
+
+  while (job.processed < customers.length && Date.now() < deadline) {
+    const batchRows = new Map(customers.slice(job.processed, job.processed + CUSTOMER_BATCH_SIZE));
+    try {
+      await importCustomerBatch(admin, shop, batchRows);
+    } catch (err) {
+      console.error("[pet-import] Batch failed:", err);
+      batchRows.forEach((rows) => {
+        rows.filter((row) => row.status !== "failed").forEach((row) => {
+          row.status = "failed";
+          row.errors.push(err.message);
+        });
+      });
+    }
+    job.processed += batchRows.size;
+  }
+  return job.processed >= customers.length;
+};
+
+/**
+ * Runs the next step of an import job
+ * A job another request is processing is returned as is.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The PetImportJob row as returned by `getPetImportJob`, or null
+ * when the shop has no such job
+ */
+export const advancePetImportJob = async (admin, shop, id) => {
+  const now = new Date();
+  const { count } = await db.petImportJob.updateMany({
+    where: { id, shop, status: "running", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    data: { lockedUntil: new Date(now.getTime() + LEASE_MS) },
+  });
+  if (count === 0) return getPetImportJob(shop, id);
+  const job = await db.petImportJob.findUnique({ where: { id }, select: { ...JOB_SELECT, rows: true } });
+
+  try {
+    const deadline = Date.now() + STEP_MS;
+    const data = {};
+    let done = false;
+    if (job.phase === IMPORT_PHASES.resolving) {
+      done = await resolveStep(admin, job, deadline);
+      if (done && !job.dryRun) {
+        data.phase = IMPORT_PHASES.importing;
+        done = false;
+      }
+    } else {
+      done = await importStep(admin, shop, job, deadline);
+    }
+
+    if (done) {
+      data.status = "completed";
+      data.completedAt = new Date();
+      if (!job.dryRun) {
+        const imported = job.rows.filter((row) => row.status === "imported").length;
+        console.log(`[pet-import] Imported ${imported} rows for ${shop}`);
+      }
+    }
+
+    await db.petImportJob.update({
+      where: { id },
+      data: {
+        ...data,
+        rows: job.rows,
+        summary: summarizeRows(job.rows, data.phase || job.phase),
+        processed: job.processed,
+        lockedUntil: null,
+      },
+    });
+  } catch (error) {
+    console.error(`[pet-import] Job ${id} failed for ${shop}:`, error);
+    await db.petImportJob.update({
+      where: { id },
+      data: { status: "failed", error: error.message, completedAt: new Date(), lockedUntil: null },
+    });
+  }
+
+  return getPetImportJob(shop, id);
+};
@@ -0,0 +1,634 @@
+/**
+ * Local Postgres mirror of customer pet profiles
+ *
+ * Rows are written by the `/pet-profile` action, refreshed by the customer webhooks
+ * and backfilled from the Pet Profile segment by a full sync, run as a bulk operation.
+ *
+ * Settings:
+ * PET_PROFILE_IMPORT_STEP_MS   Time one status check spends importing a sync result (default 8000)
+ */
+import db from "../db.server";
+import { toSegmentCustomer } from "../utils/customerDataUtils";
+import {
+  FINISHED_BULK_STATUSES,
+  getBulkOperation,
+  readBulkOperationResult,
+  startBulkQuery,
+} from "./bulkOperations.server";
+import { getCustomerPets, savePet } from "./pets.server";
+import { getFieldConfig } from "./fieldConfig.server";
+import { resolveSyncSegment } from "./segment.server";
+import { CHANGE_SOURCES, recordProfileChange } from "./profileHistory.server";
+import { applyTaggingRules } from "./tagging.server";
+
+// Fields of a pet object that aren't profile field values
+const PET_OBJECT_KEYS = ["id", "name", "legacy"];
+
+/**
+ * Converts a pet object into Pet row data
+ * Only filled-in profile fields get a PetFieldValue row, so the mirror keeps whatever
+ * fields the shop had configured when the pet was saved.
+ * @param {Object} pet - Pet object as returned by `extractCustomerPets`
+ * @param {number} position - Index of the pet in the customer's list
+ * @returns {Object} Pet create input with nested values
+ */
+const toPetRecord = (pet, position) => ({
+  metaobjectId: pet.id || null,
+  position,
+  name: pet.name || null,
+  values: {
+    create: Object.entries(pet)
+      .filter(([key, value]) => !PET_OBJECT_KEYS.includes(key) && typeof value === "string" && value !== "")
+      .map(([key, value]) => ({ key, value })),
+  },
+});
+
+/**
+ * Converts a Pet row back into the pet object shape used by the UI
+ * @param {Object} record - Pet row including `values`
+ * @returns {Object} Pet object
+ */
+const fromPetRecord = (record) => ({
+  id: record.metaobjectId,
+  name: record.name || "",
+  ...Object.fromEntries(record.values.map(({ key, value }) => [key, value])),
+  ...(record.metaobjectId ? {} : { legacy: true }),
+});
+
+// Prisma include that loads a profile with its pets and their field values
+const PROFILE_INCLUDE = { pets: { include: { values: true } } };
+
+/**
+ * Converts a PetProfile row with its pets into the customer shape used by the UI
+ * @param {Object} profile - PetProfile row including `pets`
+ * @returns {Object} Customer object
+ */
+export const toCustomer = (profile) => ({
+  id: profile.customerId,
+  gid: profile.customerGid,
+  firstName: profile.firstName || "",
+  lastName: profile.lastName || "",
+  email: profile.email,
+  hasSubmitted: profile.hasSubmitted,
+  submittedAt: profile.submittedAt,
+  profileUpdatedAt: profile.profileUpdatedAt,
+  updatedAt: profile.updatedAt,
+  pets: [...profile.pets].sort((a, b) => a.position - b.position).map(fromPetRecord),
+});
+
+/**
+ * Creates or replaces the mirrored profile of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - `{ id, gid, firstName, lastName, email, submittedAt, profileUpdatedAt }`
+ * @param {Array} pets - The customer's pets
+ * @param {Object} [options]
+ * @param {boolean} [options.hasSubmitted] - Whether the customer has submitted the profile
+ * @param {Object} [options.tx] - Prisma transaction client to write with
+ * @returns {Promise<Object>} The PetProfile row
+ */
+export const upsertPetProfile = async (shop, customer, pets, { hasSubmitted, tx = db } = {}) => {
+  const details = {
+    customerGid: customer.gid || `gid://shopify/Customer/${customer.id}`,
+    firstName: customer.firstName || null,
+    lastName: customer.lastName || null,
+    email: customer.email || null,
+    ...(hasSubmitted === undefined ? {} : { hasSubmitted }),
+    ...(customer.submittedAt === undefined ? {} : { submittedAt: customer.submittedAt }),
+    ...(customer.profileUpdatedAt === undefined ? {} : { profileUpdatedAt: customer.profileUpdatedAt }),
+  };
+
+  const profile = await tx.petProfile.upsert({
+    where: { shop_customerId: { shop, customerId: String(customer.id) } },
+    create: { shop, customerId: String(customer.id), ...details },
+    update: details,
+  });
+
+  await tx.pet.deleteMany({ where: { profileId: profile.id } });
+  // createMany can't create the nested values, so pets are created one at a time
+  for (const [index, pet] of pets.entries()) {
+    await tx.pet.create({ data: { profileId: profile.id, ...toPetRecord(pet, index) } });
+  }
+
+  return profile;
+};
+
+/**
+ * Removes the mirrored profile of a customer
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<void>}
+ */
+export const deletePetProfile = async (shop, customerId) => {
+  await db.petProfile.deleteMany({ where: { shop, customerId: String(customerId) } });
+};
+
+/**
+ * Re-reads a customer from the Admin API and refreshes their mirrored profile
+ * Customers without pets are only kept when they are already mirrored (segment members)
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerGID - Customer GID
+ * @param {Object} [options]
+ * @param {string} [options.source] - Records the difference with the mirror as a change from this source
+ * @returns {Promise<void>}
+ */
+export const refreshPetProfile = async (admin, shop, customerGID, { source } = {}) => {
+  const { customer, pets, hasSubmitted } = await getCustomerPets(admin, customerGID);
+
+  const existing = await db.petProfile.findUnique({
+    where: { shop_customerId: { shop, customerId: customer.id } },
+    include: PROFILE_INCLUDE,
+  });
+  if (pets.length === 0 && !existing) return;
+
+  await db.$transaction(async (tx) => {
+    await upsertPetProfile(shop, customer, pets, { hasSubmitted, tx });
+    if (source) {
+      const previousPets = existing ? toCustomer(existing).pets : [];
+      await recordProfileChange(shop, customer, previousPets, pets, source, { tx });
+    }
+  });
+};
+
+/**
+ * Saves a pet corrected by a merchant on the customer's profile page
+ * Writes the pet metaobject, refreshes the mirror and records the change as made by the
+ * merchant. Unlike a customer save it doesn't count as a submission, so no reward is claimed.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @param {Object} pet - Validated pet values; no `id` replaces a legacy flat profile
+ * @returns {Promise<Object>} The customer's profile after saving, as returned by `getCustomerPets`
+ */
+export const saveMerchantPet = async (admin, shop, customerId, pet) => {
+  const profile = await savePet(admin, shop, `gid://shopify/Customer/${customerId}`, pet);
+
+  await db.$transaction(async (tx) => {
+    await upsertPetProfile(shop, profile.customer, profile.pets, { hasSubmitted: profile.hasSubmitted, tx });
+    await recordProfileChange(shop, profile.customer, profile.previousPets, profile.pets, CHANGE_SOURCES.merchant, {
+      tx,
+    });
+  });
+
+  // The corrected answers may call for other tags; a failure there doesn't undo the save
+  try {
+    await applyTaggingRules(admin, shop, profile.customer.gid, profile.pets);
+  } catch (error) {
+    console.error(`[tagging] Failed to update the tags of customer ${customerId}:`, error);
+  }
+
+  console.log(`[pet-profile] Merchant saved pet ${pet.id || "(legacy)"} for customer ${customerId} on ${shop}`);
+  return profile;
+};
+
+/**
+ * Loads every mirrored customer of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Object containing customers and metadata, like `fetchCustomersWithPagination`
+ */
+export const getPetProfiles = async (shop) => {
+  const profiles = await db.petProfile.findMany({
+    where: { shop },
+    include: PROFILE_INCLUDE,
+    orderBy: [{ lastName: "asc" }, { firstName: "asc" }],
+  });
+  const customers = profiles.map(toCustomer);
+
+  return {
+    customers,
+    totalCustomers: customers.length,
+    error: null,
+  };
+};
+
+/**
+ * Builds the Prisma filter for the View profiles filters
+ * Pet filters match a customer when any of their pets matches. They are built from the shop's
+ * configured fields, so filters on fields the shop doesn't have are ignored.
+ * @param {string} shop - Shop domain
+ * @param {Object} filters - Filters as returned by `parseProfileFilters`
+ * @returns {Promise<Object>} PetProfile `where` input
+ */
+const buildProfileWhere = async (shop, { query, answers = {}, has = [] }) => {
+  const fields = await getFieldConfig(shop);
+  const isConfigured = (key) => fields.some((field) => field.key === key);
+  const conditions = [];
+
+  if (query) {
+    conditions.push({
+      OR: ["firstName", "lastName", "email"].map((column) => ({
+        [column]: { contains: query, mode: "insensitive" },
+      })),
+    });
+  }
+  const hasValue = (key, value) => ({ pets: { some: { values: { some: { key, value } } } } });
+
+  Object.entries(answers).forEach(([field, values]) => {
+    if (isConfigured(field) && values.length > 0) {
+      conditions.push(hasValue(field, { in: values }));
+    }
+  });
+  has.filter(isConfigured).forEach((field) => {
+    conditions.push(hasValue(field, { not: "" }));
+  });
+
+  return { shop, AND: conditions };
+};
+
+/**
+ * Loads one page of mirrored customers matching the View profiles filters
+ * @param {string} shop - Shop domain
+ * @param {Object} filters - Filters as returned by `parseProfileFilters`
+ * @param {number} pageSize - Customers per page
+ * @returns {Promise<Object>} `{ customers, totalCustomers, shopTotal, page, pageCount }`
+ */
+export const queryPetProfiles = async (shop, filters, pageSize) => {
+  const where = await buildProfileWhere(shop, filters);
+
+  const [totalCustomers, shopTotal] = await Promise.all([
+    db.petProfile.count({ where }),
+    db.petProfile.count({ where: { shop } }),
+  ]);
+
+  const pageCount = Math.max(1, Math.ceil(totalCustomers / pageSize));
+  const page = Math.min(filters.page || 1, pageCount);
+
+  const profiles = await db.petProfile.findMany({
+    where,
+    include: PROFILE_INCLUDE,
+    orderBy: [{ lastName: "asc" }, { firstName: "asc" }, { id: "asc" }],
+    skip: (page - 1) * pageSize,
+    take: pageSize,
+  });
+
+  return {
+    customers: profiles.map(toCustomer),
+    totalCustomers,
+    shopTotal,
+    page,
+    pageCount,
+  };
+};
+
+/**
+ * Loads every mirrored customer matching the View profiles filters or a list of customer IDs
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {Object} [options.filters] - Filters as returned by `parseProfileFilters`
+ * @param {Array<string>} [options.customerIds] - Numeric customer IDs to restrict to
+ * @returns {Promise<Array>} Customer objects
+ */
+export const findPetProfiles = async (shop, { filters = {}, customerIds } = {}) => {
+  const where = await buildProfileWhere(shop, filters);
+  if (customerIds) {
+    where.customerId = { in: customerIds.map(String) };
+  }
+
+  const profiles = await db.petProfile.findMany({
+    where,
+    include: PROFILE_INCLUDE,
+    orderBy: [{ lastName: "asc" }, { firstName: "asc" }, { id: "asc" }],
+  });
+
+  return profiles.map(toCustomer);
+};
+
+// The result of a sync is imported in steps, each run by a status check of the admin pages, so
+// no single request runs for the whole import. A step holds a lease on the sync row; a step
+// that died with its request leaves the lease to expire, and the next check resumes from the
+// last recorded progress.
+const IMPORT_STEP_MS = Number(process.env.PET_PROFILE_IMPORT_STEP_MS) || 8000;
+const IMPORT_LEASE_MS = IMPORT_STEP_MS * 4;
+// Result lines written to the staging table at once
+const STAGE_BATCH_SIZE = 500;
+// Customers loaded from the staging table at once
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * Builds the bulk query of the segment members, or of every customer, with the fields of
+ * `fetchCustomersWithPagination`
+ * Bulk queries take no variables and need `edges` on every connection. The `pets` metafield
+ * has an `id` so its references can be matched to it.
+ * @param {string|null} segmentGID - Segment GID, or null to read every customer
+ * @returns {string} GraphQL query
+ */
+const buildCustomersBulkQuery = (segmentGID) => `{
+  ${segmentGID ? `customerSegmentMembers(segmentId: "${segmentGID}")` : "customers"} {
+    edges {
+      node {
+        id
+        firstName
+        lastName
+        defaultEmailAddress {
+          emailAddress
+        }
+        pets: metafield(namespace: "variables", key: "pets") {
+          id
+          createdAt
+          updatedAt
+          references {
+            edges {
+              node {
+                ... on Metaobject {
+                  id
+                  updatedAt
+                  fields { key value }
+                }
+              }
+            }
+          }
+        }
+        pet_type: metafield(namespace: "variables", key: "pet_type") { value createdAt updatedAt }
+        stress_level: metafield(namespace: "variables", key: "stress_level") { value createdAt updatedAt }
+        drug_usage: metafield(namespace: "variables", key: "drug_usage") { value createdAt updatedAt }
+        pet_age: metafield(namespace: "variables", key: "pet_age") { value createdAt updatedAt }
+        pet_weight: metafield(namespace: "variables", key: "pet_weight") { value createdAt updatedAt }
+      }
+    }
+  }
+}`;
+
+/**
+ * Loads the full sync state of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The PetProfileSync row, or null when the shop never synced
+ */
+export const getPetProfileSync = async (shop) => {
+  return db.petProfileSync.findUnique({ where: { shop } });
+};
+
+/**
+ * Starts a full sync of the mirror from the shop's segment as a bulk operation
+ * The mirror keeps its current rows until the result is imported. Without a segment every
+ * customer is read, and those with a pet profile are kept.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The PetProfileSync row
+ */
+export const startPetProfileSync = async (admin, shop) => {
+  let operation;
+  let segmentId;
+  try {
+    segmentId = await resolveSyncSegment(admin, shop);
+    operation = await startBulkQuery(admin, buildCustomersBulkQuery(segmentId));
+  } catch (error) {
+    console.error(`[pet-profile-sync] Failed to start the bulk sync for ${shop}:`, error);
+    // startedAt counts as an attempt, so a later sync that fails to start waits for the TTL too
+    const failed = { status: "failed", startedAt: new Date(), error: error.message };
+    return db.petProfileSync.upsert({
+      where: { shop },
+      create: { shop, ...failed },
+      update: failed,
+    });
+  }
+
+  console.log(`[pet-profile-sync] Started bulk operation ${operation.id} for ${shop}`);
+
+  const start = {
+    status: "running",
+    startedAt: new Date(),
+    error: null,
+    bulkOperationId: operation.id,
+    segmentId,
+    objectCount: 0,
+    importTotal: null,
+  };
+  return db.petProfileSync.upsert({
+    where: { shop },
+    create: { shop, ...start },
+    update: start,
+  });
+};
+
+/**
+ * Copies the next lines of a sync result into the staging table, until the step's time budget
+ * is used
+ * Every batch of lines records the byte offset it ends at, so the next step downloads the file
+ * from there.
+ * @param {string} shop - Shop domain
+ * @param {string|null} url - Result URL of the operation
+ * @param {number} deadline - Time the step ends
+ * @returns {Promise<boolean>} True once the whole file was staged
+ */
+const stageSyncResult = async (shop, url, deadline) => {
+  const last = await db.petProfileSyncLine.findFirst({
+    where: { shop },
+    orderBy: { position: "desc" },
+    select: { position: true, end: true },
+  });
+  let position = last ? last.position + 1 : 0;
+  let lines = [];
+
+  for await (const { object, end } of readBulkOperationResult(url, { offset: last ? Number(last.end) : 0 })) {
+    lines.push({ shop, position, parentId: object.__parentId || null, data: object, end });
+    position += 1;
+    if (lines.length < STAGE_BATCH_SIZE) continue;
+
+    await db.petProfileSyncLine.createMany({ data: lines });
+    lines = [];
+    if (Date.now() >= deadline) return false;
+  }
+
+  if (lines.length > 0) await db.petProfileSyncLine.createMany({ data: lines });
+  return true;
+};
+
+/**
+ * Loads the next customers of a staged sync result with their pets
+ * Lines come in no guaranteed order past "parents before their children", so the pets are
+ * looked up by the customer and `pets` metafield IDs they point to.
+ * @param {string} shop - Shop domain
+ * @param {number} position - Position of the first line to read
+ * @returns {Promise<Array>} `{ position, customer }` entries, in file order
+ */
+const readStagedCustomers = async (shop, position) => {
+  const lines = await db.petProfileSyncLine.findMany({
+    where: { shop, parentId: null, position: { gte: position } },
+    orderBy: { position: "asc" },
+    take: IMPORT_BATCH_SIZE,
+  });
+  const parentIds = lines.flatMap(({ data }) => [data.id, data.pets?.id].filter(Boolean));
+  const children = await db.petProfileSyncLine.findMany({
+    where: { shop, parentId: { in: parentIds } },
+    orderBy: { position: "asc" },
+  });
+
+  return lines.map(({ position: linePosition, data }) => {
+    const ownIds = [data.id, data.pets?.id].filter(Boolean);
+    if (data.pets) {
+      data.pets.references = { nodes: children.filter((child) => ownIds.includes(child.parentId)).map((child) => child.data) };
+    }
+    return { position: linePosition, customer: toSegmentCustomer(data) };
+  });
+};
+
+/**
+ * Marks a sync whose bulk operation completed as importing, so status checks import its result
+ * Only one caller gets to do this; the webhook and a status check can both see the operation
+ * complete.
+ * @param {string} shop - Shop domain
+ * @param {Object} operation - The completed BulkOperation
+ * @returns {Promise<Object>} The PetProfileSync row
+ */
+const beginPetProfileImport = async (shop, operation) => {
+  const { count } = await db.petProfileSync.updateMany({
+    where: { shop, bulkOperationId: operation.id, status: "running" },
+    data: {
+      status: "importing",
+      resultUrl: operation.url,
+      objectCount: operation.objectCount,
+      customerCount: 0,
+      importTotal: null,
+      importPosition: 0,
+      lockedUntil: null,
+    },
+  });
+  // Lines left by an earlier sync that broke off
+  if (count > 0) await db.petProfileSyncLine.deleteMany({ where: { shop } });
+  return getPetProfileSync(shop);
+};
+
+/**
+ * Imports the next customers of a sync result into the mirror, then removes customers that
+ * left the segment once every customer was imported
+ * The result is first staged line by line; `importTotal` is set once it was, and the customers
+ * are then imported from `importPosition`, with `customerCount` recording how many were imported
+ * so far. A sync without a segment read every customer; only those with a pet profile are kept.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The PetProfileSync row; unchanged when another request holds the lease
+ */
+const advancePetProfileImport = async (shop) => {
+  const now = new Date();
+  const { count } = await db.petProfileSync.updateMany({
+    where: { shop, status: "importing", OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    data: { lockedUntil: new Date(now.getTime() + IMPORT_LEASE_MS) },
+  });
+  if (count === 0) return getPetProfileSync(shop);
+
+  const sync = await getPetProfileSync(shop);
+  const deadline = now.getTime() + IMPORT_STEP_MS;
+  try {
+    // An empty result has no file, but syncs left importing before results were imported in
+    // steps have objects and no file to resume from
+    if (!sync.resultUrl && sync.objectCount > 0) throw new Error("The sync result is no longer available");
+
+    let { importTotal, importPosition: position, customerCount: imported } = sync;
+    if (importTotal === null) {
+      if (!(await stageSyncResult(shop, sync.resultUrl, deadline))) {
+        return db.petProfileSync.update({ where: { shop }, data: { lockedUntil: null } });
+      }
+      importTotal = await db.petProfileSyncLine.count({ where: { shop, parentId: null } });
+    }
+
+    // Profiles saved since the query started are newer than its result
+    const saved = await db.petProfile.findMany({
+      where: { shop, updatedAt: { gte: sync.startedAt } },
+      select: { customerId: true },
+    });
+    const savedIds = new Set(saved.map((profile) => profile.customerId));
+
+    let done = false;
+    while (!done && Date.now() < deadline) {
+      const staged = await readStagedCustomers(shop, position);
+      done = staged.length === 0;
+
+      for (const { position: linePosition, customer } of staged) {
+        if (Date.now() >= deadline) break;
+        const kept = sync.segmentId || customer.pets.length > 0 || customer.submittedAt;
+        if (kept && !savedIds.has(customer.id)) {
+          await db.$transaction((tx) => upsertPetProfile(shop, customer, customer.pets, { tx }));
+        }
+        imported += 1;
+        position = linePosition + 1;
+      }
+    }
+
+    const progress = { importTotal, importPosition: position, customerCount: imported, lockedUntil: null };
+    if (!done) {
+      return db.petProfileSync.update({ where: { shop }, data: progress });
+    }
+
+    // Every customer of the result was upserted since the sync started, so older rows belong to
+    // customers that left it
+    await db.petProfile.deleteMany({ where: { shop, updatedAt: { lt: sync.startedAt } } });
+    await db.petProfileSyncLine.deleteMany({ where: { shop } });
+
+    console.log(`[pet-profile-sync] Synced ${imported} customers for ${shop}`);
+
+    return db.petProfileSync.update({
+      where: { shop },
+      data: { ...progress, status: "completed", completedAt: new Date(), resultUrl: null },
+    });
+  } catch (error) {
+    console.error(`[pet-profile-sync] Failed to import the bulk sync for ${shop}:`, error);
+    const [failed] = await db.$transaction([
+      db.petProfileSync.update({
+        where: { shop },
+        data: { status: "failed", error: error.message, lockedUntil: null },
+      }),
+      db.petProfileSyncLine.deleteMany({ where: { shop } }),
+    ]);
+    return failed;
+  }
+};
+
+/**
+ * Records the state of the sync's bulk operation, marking its result for import once it completed
+ * @param {string} shop - Shop domain
+ * @param {Object} sync - The PetProfileSync row
+ * @param {Object|null} operation - The BulkOperation, null when Shopify no longer knows it
+ * @returns {Promise<Object>} The PetProfileSync row
+ */
+const applyBulkOperation = async (shop, sync, operation) => {
+  if (operation?.status === "COMPLETED") {
+    return beginPetProfileImport(shop, operation);
+  }
+
+  if (!operation || FINISHED_BULK_STATUSES.includes(operation.status)) {
+    const reason = operation ? operation.errorCode || operation.status.toLowerCase() : "not found";
+    console.error(`[pet-profile-sync] Bulk operation ${sync.bulkOperationId} for ${shop} ended: ${reason}`);
+    return db.petProfileSync.update({
+      where: { shop },
+      data: { status: "failed", error: `Shopify couldn't export the segment (${reason})` },
+    });
+  }
+
+  return db.petProfileSync.update({
+    where: { shop },
+    data: { objectCount: operation.objectCount },
+  });
+};
+
+/**
+ * Checks on a running sync, and imports the next step of its result once Shopify finished the query
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The PetProfileSync row
+ */
+export const refreshPetProfileSync = async (admin, shop) => {
+  let sync = await getPetProfileSync(shop);
+  if (sync?.status === "running" && sync.bulkOperationId) {
+    sync = await applyBulkOperation(shop, sync, await getBulkOperation(admin, sync.bulkOperationId));
+  }
+  if (sync?.status !== "importing") return sync;
+
+  return advancePetProfileImport(shop);
+};
+
+/**
+ * Handles the `bulk_operations/finish` webhook of a sync
+ * Only records the operation's state; the result is imported by the status checks.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object|null>} The PetProfileSync row, or null when the operation isn't the
+ * shop's running sync
+ */
+export const finishPetProfileSync = async (admin, shop, payload) => {
+  const sync = await db.petProfileSync.findFirst({
+    where: { shop, bulkOperationId: payload.admin_graphql_api_id, status: "running" },
+  });
+  if (!sync) return null;
+
+  return applyBulkOperation(shop, sync, await getBulkOperation(admin, sync.bulkOperationId));
+};
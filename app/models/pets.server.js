@@ -0,0 +1,718 @@
+/**
+ * Admin API helpers for storing pets as `pet` metaobjects
+ *
+ * Each customer holds a `variables.pets` metafield of type `list.metaobject_reference`
+ * pointing at their `pet` metaobjects.
+ */
+import {
+  PET_FIELDS,
+  extractCustomerPets,
+  extractIdFromGid,
+  extractProfileTimestamps,
+} from "../utils/customerDataUtils";
+import { MAX_PETS, PET_NAME_FIELD, PET_PROFILE_FIELDS } from "../utils/petProfileSchema";
+import { API_ERROR_CODES, createApiError } from "../utils/apiErrors";
+
+export const PET_METAOBJECT_TYPE = "pet";
+export const PETS_NAMESPACE = "variables";
+export const PETS_KEY = "pets";
+// Boolean kept next to the pet references, since segments can't filter on reference lists
+export const HAS_PETS_KEY = "has_pets";
+
+// Shops whose definitions were already checked by this server instance
+const definitionsEnsured = new Set();
+
+// Pets hold health answers and are only read through the app, so the storefront can't list
+// them; NONE also takes back the access older definitions granted
+const PET_METAOBJECT_ACCESS = { storefront: "NONE" };
+
+/**
+ * Builds the metaobject field definition of a profile field
+ * Age and weight are stored as ranges such as "7-12" and "under 20lbs", so every profile
+ * field is a text field restricted to its option values.
+ * @param {Object} field - Field schema
+ * @returns {Object} Field definition input without `type`, usable for creates and updates
+ */
+const toPetFieldDefinition = (field) => ({
+  key: field.key,
+  name: field.label,
+  required: false,
+  validations: field.options
+    ? [{ name: "choices", value: JSON.stringify(field.options.map((option) => option.value)) }]
+    : [{ name: "max", value: String(field.maxLength) }],
+});
+
+/**
+ * Runs an Admin GraphQL operation and throws on top-level or user errors
+ * Failures carry an API error code: `UPSTREAM_UNAVAILABLE` when Shopify can't be reached or
+ * answers with errors, `SHOPIFY_USER_ERROR` when it refuses a mutation. User errors of
+ * metaobject fields are keyed by field in the error's `details.fields`, which is left out
+ * when no user error names a field. Metaobject mutations select `elementKey` for this; other
+ * user error types don't have it.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Operation variables
+ * @param {string} [payloadKey] - Mutation payload key whose `userErrors` should be checked
+ * @returns {Promise<Object>} The `data` of the response
+ */
+export const runGraphql = async (admin, query, variables = {}, payloadKey) => {
+  let result;
+  try {
+    const response = await admin.graphql(query, { variables });
+    result = await response.json();
+  } catch (error) {
+    console.error("[pets] GraphQL request failed:", error);
+    throw createApiError(API_ERROR_CODES.UPSTREAM_UNAVAILABLE, "Failed to reach the Shopify Admin API");
+  }
+
+  if (result.errors) {
+    console.error("[pets] GraphQL errors:", result.errors);
+    throw createApiError(API_ERROR_CODES.UPSTREAM_UNAVAILABLE, "Failed to reach the Shopify Admin API");
+  }
+
+  const userErrors = payloadKey ? result.data?.[payloadKey]?.userErrors : null;
+  if (userErrors && userErrors.length) {
+    console.error(`[pets] ${payloadKey} userErrors:`, userErrors);
+    const fields = Object.fromEntries(
+      userErrors.filter((e) => e.elementKey).map((e) => [e.elementKey, e.message]),
+    );
+    throw createApiError(
+      API_ERROR_CODES.SHOPIFY_USER_ERROR,
+      userErrors.map((e) => e.message).join(", "),
+      Object.keys(fields).length > 0 ? { fields } : {},
+    );
+  }
+
+  return result.data;
+};
+
+/**
+ * Makes sure the `pet` metaobject definition and the customer `pets` metafield
+ * definition exist for the shop, creating them when missing
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain, used to skip repeated checks
+ * @returns {Promise<void>}
+ */
+export const ensurePetDefinitions = async (admin, shop) => {
+  if (definitionsEnsured.has(shop)) return;
+
+  const existing = await runGraphql(
+    admin,
+    `#graphql
+    query PetDefinitions($type: String!, $namespace: String!, $key: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+      }
+      metafieldDefinitions(first: 1, ownerType: CUSTOMER, namespace: $namespace, key: $key) {
+        nodes {
+          id
+        }
+      }
+    }`,
+    { type: PET_METAOBJECT_TYPE, namespace: PETS_NAMESPACE, key: PETS_KEY },
+  );
+
+  let definitionId = existing.metaobjectDefinitionByType?.id;
+
+  if (!definitionId) {
+    const created = await runGraphql(
+      admin,
+      `#graphql
+      mutation CreatePetDefinition($definition: MetaobjectDefinitionCreateInput!) {
+        metaobjectDefinitionCreate(definition: $definition) {
+          metaobjectDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+            elementKey
+          }
+        }
+      }`,
+      {
+        definition: {
+          type: PET_METAOBJECT_TYPE,
+          name: "Pet",
+          displayNameKey: "name",
+          access: PET_METAOBJECT_ACCESS,
+          fieldDefinitions: [PET_NAME_FIELD, ...PET_PROFILE_FIELDS].map((field) => ({
+            ...toPetFieldDefinition(field),
+            type: "single_line_text_field",
+          })),
+        },
+      },
+      "metaobjectDefinitionCreate",
+    );
+    definitionId = created.metaobjectDefinitionCreate.metaobjectDefinition.id;
+    console.log(`[pets] Created pet metaobject definition for ${shop}`);
+  }
+
+  if (existing.metafieldDefinitions.nodes.length === 0) {
+    await runGraphql(
+      admin,
+      `#graphql
+      mutation CreatePetsMetafieldDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      {
+        definition: {
+          name: "Pets",
+          namespace: PETS_NAMESPACE,
+          key: PETS_KEY,
+          ownerType: "CUSTOMER",
+          type: "list.metaobject_reference",
+          validations: [{ name: "metaobject_definition_id", value: definitionId }],
+        },
+      },
+      "metafieldDefinitionCreate",
+    );
+    console.log(`[pets] Created customer pets metafield definition for ${shop}`);
+  }
+
+  definitionsEnsured.add(shop);
+};
+
+/**
+ * Brings the `pet` metaobject definition in line with the configured profile fields
+ * Missing fields are added and the allowed values of existing fields are updated. Fields are
+ * never removed: removing a field from the configuration keeps its stored values.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Array} fields - Configured profile fields
+ * @returns {Promise<void>}
+ */
+export const ensurePetFieldDefinitions = async (admin, shop, fields) => {
+  await ensurePetDefinitions(admin, shop);
+
+  const { metaobjectDefinitionByType: definition } = await runGraphql(
+    admin,
+    `#graphql
+    query PetFieldDefinitions($type: String!) {
+      metaobjectDefinitionByType(type: $type) {
+        id
+        fieldDefinitions {
+          key
+        }
+      }
+    }`,
+    { type: PET_METAOBJECT_TYPE },
+  );
+
+  const existingKeys = definition.fieldDefinitions.map((field) => field.key);
+  const missing = fields.filter((field) => !existingKeys.includes(field.key));
+
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation UpdatePetFields($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+      metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+        metaobjectDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+          elementKey
+        }
+      }
+    }`,
+    {
+      id: definition.id,
+      definition: {
+        access: PET_METAOBJECT_ACCESS,
+        fieldDefinitions: [PET_NAME_FIELD, ...fields].map((field) =>
+          existingKeys.includes(field.key)
+            ? { update: toPetFieldDefinition(field) }
+            : { create: { ...toPetFieldDefinition(field), type: "single_line_text_field" } },
+        ),
+      },
+    },
+    "metaobjectDefinitionUpdate",
+  );
+  if (missing.length > 0) {
+    console.log(`[pets] Added ${missing.map((field) => field.key).join(", ")} to the pet definition for ${shop}`);
+  }
+};
+
+// Customer fields selected wherever pets are loaded
+const CUSTOMER_PETS_SELECTION = `
+  id
+  firstName
+  lastName
+  defaultEmailAddress {
+    emailAddress
+  }
+  pets: metafield(namespace: "variables", key: "pets") {
+    createdAt
+    updatedAt
+    references(first: ${MAX_PETS}) {
+      nodes {
+        ... on Metaobject {
+          id
+          updatedAt
+          fields {
+            key
+            value
+          }
+        }
+      }
+    }
+  }
+  pet_type: metafield(namespace: "variables", key: "pet_type") { value createdAt updatedAt }
+  stress_level: metafield(namespace: "variables", key: "stress_level") { value createdAt updatedAt }
+  drug_usage: metafield(namespace: "variables", key: "drug_usage") { value createdAt updatedAt }
+  pet_age: metafield(namespace: "variables", key: "pet_age") { value createdAt updatedAt }
+  pet_weight: metafield(namespace: "variables", key: "pet_weight") { value createdAt updatedAt }
+  first_submission: metafield(namespace: "variables", key: "first_submission") { value }
+`;
+
+/**
+ * Converts a customer node selected with `CUSTOMER_PETS_SELECTION` into a profile
+ * @param {Object} node - Customer node
+ * @returns {Object} `{ customer, pets, hasSubmitted }`
+ */
+const toCustomerProfile = (node) => ({
+  customer: {
+    id: extractIdFromGid(node.id),
+    gid: node.id,
+    firstName: node.firstName,
+    lastName: node.lastName,
+    email: node.defaultEmailAddress?.emailAddress || null,
+    ...extractProfileTimestamps(node),
+  },
+  pets: extractCustomerPets(node),
+  hasSubmitted: node.first_submission?.value === "true",
+});
+
+/**
+ * Loads a customer's contact details, pets and submission flag
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @returns {Promise<Object>} `{ customer, pets, hasSubmitted }`
+ */
+export const getCustomerPets = async (admin, customerGID) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query CustomerPets($id: ID!) {
+      customer(id: $id) {
+        ${CUSTOMER_PETS_SELECTION}
+      }
+    }`,
+    { id: customerGID },
+  );
+
+  if (!data.customer) throw createApiError(API_ERROR_CODES.NOT_FOUND, "Customer not found");
+
+  return toCustomerProfile(data.customer);
+};
+
+/**
+ * Loads the profiles of several customers at once
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array<string>} customerGIDs - Customer GIDs (at most 250)
+ * @returns {Promise<Array>} Profiles as returned by `getCustomerPets`; unknown customers are skipped
+ */
+export const getCustomersPets = async (admin, customerGIDs) => {
+  if (customerGIDs.length === 0) return [];
+
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query CustomersPets($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          ${CUSTOMER_PETS_SELECTION}
+        }
+      }
+    }`,
+    { ids: customerGIDs },
+  );
+
+  return data.nodes.filter((node) => node?.id).map(toCustomerProfile);
+};
+
+/**
+ * Looks up customers by email address
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array<string>} emails - Email addresses (at most 50)
+ * @returns {Promise<Map>} Lower-cased email => customer GID
+ */
+export const findCustomerIdsByEmail = async (admin, emails) => {
+  const found = new Map();
+  if (emails.length === 0) return found;
+
+  const query = emails.map((email) => `email:"${email.replace(/["\\]/g, "")}"`).join(" OR ");
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query CustomersByEmail($query: String!, $first: Int!) {
+      customers(first: $first, query: $query) {
+        nodes {
+          id
+          defaultEmailAddress {
+            emailAddress
+          }
+        }
+      }
+    }`,
+    { query, first: Math.min(250, emails.length * 2) },
+  );
+
+  data.customers.nodes.forEach((node) => {
+    const email = node.defaultEmailAddress?.emailAddress?.toLowerCase();
+    if (email && !found.has(email)) found.set(email, node.id);
+  });
+
+  return found;
+};
+
+/**
+ * Writes metafields on a customer with `metafieldsSet`
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array} metafields - `MetafieldsSetInput` objects
+ * @returns {Promise<void>}
+ */
+export const setCustomerMetafields = async (admin, metafields) => {
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation SetCustomerMetafields($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { metafields },
+    "metafieldsSet",
+  );
+};
+
+/**
+ * Builds the metafields that reference a customer's pets
+ * @param {string} customerGID - Customer GID
+ * @param {Array<string>} petIds - Metaobject GIDs in display order, at least one
+ * @returns {Array} `MetafieldsSetInput` objects: the references and `has_pets`
+ */
+export const toPetReferenceMetafields = (customerGID, petIds) => [
+  {
+    ownerId: customerGID,
+    namespace: PETS_NAMESPACE,
+    key: PETS_KEY,
+    type: "list.metaobject_reference",
+    value: JSON.stringify(petIds),
+  },
+  { ownerId: customerGID, namespace: PETS_NAMESPACE, key: HAS_PETS_KEY, type: "boolean", value: "true" },
+];
+
+/**
+ * Replaces the customer's list of pet references, deleting the metafields when empty
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @param {Array<string>} petIds - Metaobject GIDs in display order
+ * @returns {Promise<void>}
+ */
+const setPetReferences = async (admin, customerGID, petIds) => {
+  if (petIds.length > 0) {
+    await setCustomerMetafields(admin, toPetReferenceMetafields(customerGID, petIds));
+    return;
+  }
+
+  await deleteCustomerMetafields(admin, customerGID, [PETS_KEY, HAS_PETS_KEY]);
+};
+
+/**
+ * Deletes metafields in the `variables` namespace from a customer
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @param {Array<string>} keys - Metafield keys to delete
+ * @returns {Promise<void>}
+ */
+export const deleteCustomerMetafields = async (admin, customerGID, keys) => {
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation DeleteCustomerMetafields($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      metafields: keys.map((key) => ({ ownerId: customerGID, namespace: PETS_NAMESPACE, key })),
+    },
+    "metafieldsDelete",
+  );
+};
+
+/**
+ * Builds the metaobject fields of a pet
+ * Fields that aren't set on the pet are left out, so updates keep the values of
+ * fields the merchant has removed from the profile configuration, and imports keep
+ * the values of columns the file doesn't have.
+ * @param {Object} pet - Pet values, limited to the configured profile fields
+ * @returns {Array} `MetaobjectFieldInput` objects, including empty values
+ */
+const toMetaobjectFields = (pet) =>
+  Object.keys(pet)
+    .filter((key) => !["id", "legacy"].includes(key))
+    .map((key) => ({ key, value: pet[key] || "" }));
+
+/**
+ * Creates or updates the pet metaobject with the given handle
+ * Used by imports so that importing the same file twice updates the same pets
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} handle - Metaobject handle (lowercase letters, digits and hyphens)
+ * @param {Object} pet - Pet values
+ * @returns {Promise<string>} Metaobject GID
+ */
+export const upsertPetMetaobject = async (admin, handle, pet) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    mutation UpsertPet($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+      metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+          elementKey
+        }
+      }
+    }`,
+    {
+      handle: { type: PET_METAOBJECT_TYPE, handle },
+      metaobject: { fields: toMetaobjectFields(pet) },
+    },
+    "metaobjectUpsert",
+  );
+
+  return data.metaobjectUpsert.metaobject.id;
+};
+
+/**
+ * Deletes a pet metaobject
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} id - Metaobject GID
+ * @returns {Promise<void>}
+ */
+export const deletePetMetaobject = async (admin, id) => {
+  await runGraphql(
+    admin,
+    `#graphql
+    mutation DeletePet($id: ID!) {
+      metaobjectDelete(id: $id) {
+        deletedId
+        userErrors {
+          field
+          message
+          elementKey
+        }
+      }
+    }`,
+    { id },
+    "metaobjectDelete",
+  );
+};
+
+/**
+ * Creates or updates one of the customer's pets
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerGID - Customer GID
+ * @param {Object} pet - Pet values; an `id` updates that pet, `legacy: true` replaces the legacy
+ * flat profile and neither creates a new pet, refused with `VALIDATION_FAILED` at `MAX_PETS`
+ * @returns {Promise<Object>} The customer's profile after saving, as returned by `getCustomerPets`,
+ * plus `previousPets` with the pets before saving
+ */
+export const savePet = async (admin, shop, customerGID, pet) => {
+  await ensurePetDefinitions(admin, shop);
+
+  const { pets } = await getCustomerPets(admin, customerGID);
+  const petIds = pets.filter((p) => p.id).map((p) => p.id);
+  const fields = toMetaobjectFields(pet);
+
+  if (!pet.id && !pet.legacy && pets.length >= MAX_PETS) {
+    const message = `A customer can have at most ${MAX_PETS} pets`;
+    throw createApiError(API_ERROR_CODES.VALIDATION_FAILED, message, {
+      fields: { pet: message },
+      issues: { pet: { rule: "maxPets", max: MAX_PETS } },
+    });
+  }
+
+  if (pet.id) {
+    // Only metaobjects referenced by this customer may be edited through their session
+    if (!petIds.includes(pet.id)) throw createApiError(API_ERROR_CODES.NOT_FOUND, "Pet not found");
+
+    await runGraphql(
+      admin,
+      `#graphql
+      mutation UpdatePet($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+        metaobjectUpdate(id: $id, metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+            elementKey
+          }
+        }
+      }`,
+      { id: pet.id, metaobject: { fields } },
+      "metaobjectUpdate",
+    );
+  } else {
+    // A new pet added next to a legacy flat profile moves the legacy pet into a metaobject
+    // first, like imports do, so removing the flat metafields below doesn't lose it
+    const legacyPet = pets.find((p) => p.legacy);
+    if (legacyPet && !pet.legacy) {
+      petIds.push(await upsertPetMetaobject(admin, `pet-${extractIdFromGid(customerGID)}-legacy`, legacyPet));
+    }
+
+    const created = await runGraphql(
+      admin,
+      `#graphql
+      mutation CreatePet($metaobject: MetaobjectCreateInput!) {
+        metaobjectCreate(metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+            elementKey
+          }
+        }
+      }`,
+      {
+        metaobject: {
+          type: PET_METAOBJECT_TYPE,
+          fields: fields.filter((field) => field.value !== ""),
+        },
+      },
+      "metaobjectCreate",
+    );
+
+    await setPetReferences(admin, customerGID, [
+      ...petIds,
+      created.metaobjectCreate.metaobject.id,
+    ]);
+
+    // The legacy single-pet profile has now been migrated into a metaobject
+    if (legacyPet) {
+      await deleteCustomerMetafields(admin, customerGID, PET_FIELDS);
+    }
+  }
+
+  return { ...(await getCustomerPets(admin, customerGID)), previousPets: pets };
+};
+
+/**
+ * Removes one of the customer's pets and deletes its metaobject
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @param {string|null} petId - Metaobject GID, or null to remove a legacy flat profile
+ * @returns {Promise<Object>} The customer's profile after deleting, as returned by `getCustomerPets`,
+ * plus `previousPets` with the pets before deleting
+ */
+export const deletePet = async (admin, customerGID, petId) => {
+  const { pets } = await getCustomerPets(admin, customerGID);
+
+  if (!petId) {
+    if (!pets.some((p) => p.legacy)) throw createApiError(API_ERROR_CODES.NOT_FOUND, "Pet not found");
+    await deleteCustomerMetafields(admin, customerGID, PET_FIELDS);
+    return { ...(await getCustomerPets(admin, customerGID)), previousPets: pets };
+  }
+
+  const petIds = pets.filter((p) => p.id).map((p) => p.id);
+  if (!petIds.includes(petId)) throw createApiError(API_ERROR_CODES.NOT_FOUND, "Pet not found");
+
+  await setPetReferences(
+    admin,
+    customerGID,
+    petIds.filter((id) => id !== petId),
+  );
+
+  await deletePetMetaobject(admin, petId);
+
+  return { ...(await getCustomerPets(admin, customerGID)), previousPets: pets };
+};
+
+/**
+ * Erases everything the app stored on a customer in Shopify: their pet metaobjects and the
+ * app's metafields in the `variables` namespace
+ * Pets of a deleted customer can no longer be found through the customer, so the metaobject
+ * IDs known to the local mirror are deleted as well.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @param {Array<string>} [knownPetIds] - Metaobject GIDs of the customer's pets from the mirror
+ * @returns {Promise<Object>} `{ deletedPets, customerFound }`
+ */
+export const erasePetData = async (admin, customerGID, knownPetIds = []) => {
+  let pets = [];
+  let customerFound = true;
+  try {
+    ({ pets } = await getCustomerPets(admin, customerGID));
+  } catch (error) {
+    if (error.code !== API_ERROR_CODES.NOT_FOUND) throw error;
+    customerFound = false;
+  }
+
+  const candidateIds = [...new Set([...pets.filter((p) => p.id).map((p) => p.id), ...knownPetIds])];
+  let petIds = [];
+  if (candidateIds.length > 0) {
+    // Only pet metaobjects that still exist, since deleting a missing one is a user error
+    const data = await runGraphql(
+      admin,
+      `#graphql
+      query ExistingPets($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Metaobject {
+            id
+            type
+          }
+        }
+      }`,
+      { ids: candidateIds },
+    );
+    petIds = data.nodes.filter((node) => node?.type === PET_METAOBJECT_TYPE).map((node) => node.id);
+  }
+
+  if (customerFound) {
+    await deleteCustomerMetafields(admin, customerGID, [
+      PETS_KEY,
+      HAS_PETS_KEY,
+      "first_submission",
+      "reward_code",
+      ...PET_FIELDS,
+    ]);
+  }
+
+  for (const id of petIds) {
+    await deletePetMetaobject(admin, id);
+  }
+
+  return { deletedPets: petIds.length, customerFound };
+};
@@ -0,0 +1,238 @@
+/**
+ * GDPR compliance webhooks: customer data requests, customer redaction and shop redaction
+ *
+ * Every webhook is recorded as a PrivacyRequest row with its completion status, so the
+ * shop can prove each request was handled. Shopify retries a webhook that doesn't succeed,
+ * and a retry of a completed webhook is answered without running it again.
+ */
+import db from "../db.server";
+import { API_ERROR_CODES } from "../utils/apiErrors";
+import { erasePetData, getCustomerPets } from "./pets.server";
+import { findPetProfiles } from "./petProfile.server";
+import { getProfileHistory } from "./profileHistory.server";
+
+export const PRIVACY_TOPICS = {
+  dataRequest: "CUSTOMERS_DATA_REQUEST",
+  customerRedact: "CUSTOMERS_REDACT",
+  shopRedact: "SHOP_REDACT",
+};
+
+/**
+ * Records a compliance webhook and runs its handler, storing the outcome
+ * @param {Object} webhook - `{ shop, topic, webhookId, customerId }`
+ * @param {Function} handle - Does the work and resolves with the result to store
+ * @returns {Promise<Object>} The PrivacyRequest row
+ */
+const runPrivacyRequest = async ({ shop, topic, webhookId, customerId = null }, handle) => {
+  const existing = webhookId ? await db.privacyRequest.findUnique({ where: { webhookId } }) : null;
+  if (existing?.status === "completed") return existing;
+
+  const request = existing
+    ? await db.privacyRequest.update({ where: { id: existing.id }, data: { status: "running", error: null } })
+    : await db.privacyRequest.create({ data: { shop, topic, webhookId, customerId, status: "running" } });
+
+  try {
+    const result = await handle();
+    console.log(`[privacy] Completed ${topic} for ${shop}${customerId ? ` (customer ${customerId})` : ""}`);
+    return db.privacyRequest.update({
+      where: { id: request.id },
+      data: { status: "completed", result, completedAt: new Date() },
+    });
+  } catch (error) {
+    console.error(`[privacy] ${topic} failed for ${shop}:`, error);
+    await db.privacyRequest.update({
+      where: { id: request.id },
+      data: { status: "failed", error: error.message },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Compiles everything the app keeps about a customer
+ * @param {Object|undefined} admin - Shopify admin API client; undefined once the app is uninstalled
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<Object>} The customer's pets in Shopify and in the app database, their
+ * change history, reminder emails and discount codes
+ */
+const compileCustomerData = async (admin, shop, customerId) => {
+  const where = { shop, customerId };
+  const [[profile], history, reminders, rewardCodes] = await Promise.all([
+    findPetProfiles(shop, { customerIds: [customerId] }),
+    getProfileHistory(shop, customerId),
+    db.reminderSend.findMany({ where, orderBy: { sentAt: "desc" } }),
+    db.rewardCode.findMany({ where, orderBy: { createdAt: "desc" } }),
+  ]);
+
+  let shopify = null;
+  if (admin) {
+    try {
+      const { pets, hasSubmitted } = await getCustomerPets(admin, `gid://shopify/Customer/${customerId}`);
+      shopify = { pets, hasSubmitted };
+    } catch (error) {
+      // A deleted customer has no Shopify data left to report
+      if (error.code !== API_ERROR_CODES.NOT_FOUND) throw error;
+    }
+  }
+
+  return {
+    customerId,
+    compiledAt: new Date().toISOString(),
+    shopify,
+    profile: profile || null,
+    history: history.map(({ source, changes, createdAt }) => ({ source, changes, createdAt })),
+    reminders: reminders.map(({ email, status, sentAt }) => ({ email, status, sentAt })),
+    rewardCodes: rewardCodes.map(({ code, percentage, createdAt, expiresAt, redeemedAt }) => ({
+      code,
+      percentage,
+      createdAt,
+      expiresAt,
+      redeemedAt,
+    })),
+  };
+};
+
+/**
+ * Handles `customers/data_request`: compiles the customer's data for the merchant to send them
+ * @param {Object|undefined} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload
+ * @param {string} webhookId - Webhook delivery ID
+ * @returns {Promise<Object>} The PrivacyRequest row, whose `result` holds the data
+ */
+export const handleCustomerDataRequest = (admin, shop, payload, webhookId) => {
+  const customerId = String(payload.customer.id);
+  return runPrivacyRequest(
+    { shop, topic: PRIVACY_TOPICS.dataRequest, webhookId, customerId },
+    () => compileCustomerData(admin, shop, customerId),
+  );
+};
+
+/**
+ * Handles `customers/redact`: erases the customer's pets and app metafields in Shopify and
+ * every row the app keeps about them
+ * Once the app is uninstalled Shopify can't be reached; the shop's data is then erased by
+ * `shop/redact`, and only the local rows are erased here.
+ * @param {Object|undefined} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload
+ * @param {string} webhookId - Webhook delivery ID
+ * @returns {Promise<Object>} The PrivacyRequest row, whose `result` summarizes what was erased
+ */
+export const handleCustomerRedact = (admin, shop, payload, webhookId) => {
+  const customerId = String(payload.customer.id);
+  return runPrivacyRequest({ shop, topic: PRIVACY_TOPICS.customerRedact, webhookId, customerId }, async () => {
+    const where = { shop, customerId };
+    const pets = await db.pet.findMany({
+      where: { profile: where, metaobjectId: { not: null } },
+      select: { metaobjectId: true },
+    });
+
+    const shopify = admin
+      ? await erasePetData(admin, `gid://shopify/Customer/${customerId}`, pets.map((pet) => pet.metaobjectId))
+      : { skipped: "The app is uninstalled, so Shopify data is erased with the shop" };
+
+    const [profiles, changes, reminders, reminderClaims, rewardCodes, bulkActionJobs, importJobs] = await db.$transaction([
+      db.petProfile.deleteMany({ where }),
+      db.petProfileChange.deleteMany({ where }),
+      db.reminderSend.deleteMany({ where }),
+      db.reminderClaim.deleteMany({ where }),
+      db.rewardCode.deleteMany({ where }),
+      // Bulk action results and exports name the customer
+      db.bulkActionJob.deleteMany({ where: { shop, customerIds: { has: customerId } } }),
+      // Import results hold the customer's email and pets
+      db.petImportJob.deleteMany({
+        where: { shop, rows: { array_contains: [{ customerGID: `gid://shopify/Customer/${customerId}` }] } },
+      }),
+      db.rateLimit.deleteMany({
+        where: {
+          key: { in: [`pet-profile:customer:${shop}:${customerId}`, `pet-recommendations:customer:${shop}:${customerId}`] },
+        },
+      }),
+      // Compiled data of earlier data requests is personal data too
+      db.privacyRequest.updateMany({
+        where: { ...where, topic: PRIVACY_TOPICS.dataRequest },
+        data: { result: { erased: true } },
+      }),
+    ]);
+
+    return {
+      shopify,
+      deleted: {
+        profiles: profiles.count,
+        changes: changes.count,
+        reminders: reminders.count,
+        reminderClaims: reminderClaims.count,
+        rewardCodes: rewardCodes.count,
+        bulkActionJobs: bulkActionJobs.count,
+        importJobs: importJobs.count,
+      },
+    };
+  });
+};
+
+/**
+ * Handles `shop/redact`, sent 48 hours after a shop uninstalls the app: erases every row the
+ * app keeps for the shop
+ * The PrivacyRequest rows stay as proof, without the compiled data of data requests.
+ * @param {string} shop - Shop domain
+ * @param {string} webhookId - Webhook delivery ID
+ * @returns {Promise<Object>} The PrivacyRequest row
+ */
+export const handleShopRedact = (shop, webhookId) =>
+  runPrivacyRequest({ shop, topic: PRIVACY_TOPICS.shopRedact, webhookId }, async () => {
+    const where = { shop };
+    const results = await db.$transaction([
+      db.petProfile.deleteMany({ where }),
+      db.petProfileChange.deleteMany({ where }),
+      db.petProfileSync.deleteMany({ where }),
+      db.petProfileSyncLine.deleteMany({ where }),
+      db.reminderSend.deleteMany({ where }),
+      db.reminderClaim.deleteMany({ where }),
+      db.rewardCode.deleteMany({ where }),
+      db.rewardSettings.deleteMany({ where }),
+      db.profileFieldConfig.deleteMany({ where }),
+      db.segmentSettings.deleteMany({ where }),
+      db.taggingRules.deleteMany({ where }),
+      db.recommendationRules.deleteMany({ where }),
+      db.metafieldMigration.deleteMany({ where }),
+      db.bulkActionJob.deleteMany({ where }),
+      db.petImportJob.deleteMany({ where }),
+      db.rateLimit.deleteMany({
+        where: { OR: [{ key: { endsWith: `:${shop}` } }, { key: { contains: `:${shop}:` } }] },
+      }),
+      db.session.deleteMany({ where }),
+      db.privacyRequest.updateMany({
+        where: { ...where, topic: PRIVACY_TOPICS.dataRequest },
+        data: { result: { erased: true } },
+      }),
+    ]);
+
+    return { deletedRows: results.slice(0, -1).reduce((sum, result) => sum + result.count, 0) };
+  });
+
+/**
+ * Lists the latest compliance requests of a shop for the settings page
+ * @param {string} shop - Shop domain
+ * @param {number} [limit] - Requests to return
+ * @returns {Promise<Array>} PrivacyRequest rows without their result
+ */
+export const getPrivacyRequests = async (shop, limit = 20) =>
+  db.privacyRequest.findMany({
+    where: { shop },
+    orderBy: { receivedAt: "desc" },
+    take: limit,
+    select: { id: true, topic: true, customerId: true, status: true, error: true, receivedAt: true, completedAt: true },
+  });
+
+/**
+ * Loads a completed data request of a shop, with the compiled data
+ * @param {string} shop - Shop domain
+ * @param {string} id - PrivacyRequest ID
+ * @returns {Promise<Object|null>} The PrivacyRequest row
+ */
+export const getCustomerDataRequest = async (shop, id) =>
+  db.privacyRequest.findFirst({
+    where: { id, shop, topic: PRIVACY_TOPICS.dataRequest, status: "completed" },
+  });
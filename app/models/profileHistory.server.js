@@ -0,0 +1,137 @@
+/**
+ * Change history of customer pet profiles
+ *
+ * Every save writes a PetProfileChange row with the before and after value of each changed field.
+ */
+import db from "../db.server";
+
+export const CHANGE_SOURCES = {
+  customer: "customer",
+  merchant: "merchant",
+  import: "import",
+};
+
+// Pet properties that aren't field values
+const PET_META_KEYS = ["id", "legacy"];
+
+/**
+ * Lists the field keys of a set of pets, name first
+ * Profile fields are configured per shop and can change over time, so the keys
+ * come from the pets themselves rather than the current configuration.
+ * @param {Array} pets - Pet objects
+ * @returns {Array<string>} Field keys
+ */
+const getHistoryFields = (pets) => {
+  const keys = new Set(["name"]);
+  pets.forEach((pet) => {
+    Object.keys(pet)
+      .filter((key) => !PET_META_KEYS.includes(key))
+      .forEach((key) => keys.add(key));
+  });
+  return [...keys];
+};
+
+/**
+ * Lists the field changes between two versions of a customer's pets
+ * Pets are matched by metaobject ID. A legacy flat-metafield pet that was migrated
+ * is matched with the pet that replaced it, so the migration isn't reported as a removal.
+ * @param {Array} beforePets - Pets before the save
+ * @param {Array} afterPets - Pets after the save
+ * @returns {Array} Changes `{ petId, petName, field, before, after }`; `before` is null for
+ * added pets and `after` is null for removed pets
+ */
+export const diffPets = (beforePets, afterPets) => {
+  const beforeIds = new Set(beforePets.filter((pet) => pet.id).map((pet) => pet.id));
+  const legacyPet = beforePets.find((pet) => pet.legacy);
+  const migratedTo = legacyPet && !afterPets.some((pet) => pet.legacy)
+    ? afterPets.find((pet) => pet.id && !beforeIds.has(pet.id))
+    : null;
+
+  const findBefore = (pet) => {
+    if (pet.legacy) return legacyPet || null;
+    if (migratedTo && pet.id === migratedTo.id) return legacyPet;
+    return beforePets.find((before) => before.id && before.id === pet.id) || null;
+  };
+
+  const historyFields = getHistoryFields([...beforePets, ...afterPets]);
+  const changes = [];
+  const matched = new Set();
+
+  afterPets.forEach((pet) => {
+    const before = findBefore(pet);
+    if (before) matched.add(before);
+
+    historyFields.forEach((field) => {
+      const previous = before ? before[field] || "" : null;
+      const next = pet[field] || "";
+      if (previous === next || (previous === null && next === "")) return;
+      changes.push({ petId: pet.id, petName: pet.name || before?.name || "", field, before: previous, after: next });
+    });
+  });
+
+  beforePets
+    .filter((pet) => !matched.has(pet))
+    .forEach((pet) => {
+      historyFields.forEach((field) => {
+        if (!pet[field]) return;
+        changes.push({ petId: pet.id, petName: pet.name || "", field, before: pet[field], after: null });
+      });
+    });
+
+  return changes;
+};
+
+/**
+ * Records a pet profile save when it changed anything
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - `{ id, gid }`
+ * @param {Array} beforePets - Pets before the save
+ * @param {Array} afterPets - Pets after the save
+ * @param {string} source - One of `CHANGE_SOURCES`
+ * @param {Object} [options]
+ * @param {Object} [options.tx] - Prisma transaction client to write with
+ * @returns {Promise<Object|null>} The PetProfileChange row, or null when nothing changed
+ */
+export const recordProfileChange = async (shop, customer, beforePets, afterPets, source, { tx = db } = {}) => {
+  const changes = diffPets(beforePets, afterPets);
+  if (changes.length === 0) return null;
+
+  return tx.petProfileChange.create({
+    data: {
+      shop,
+      customerId: String(customer.id),
+      customerGid: customer.gid || `gid://shopify/Customer/${customer.id}`,
+      source,
+      changes,
+    },
+  });
+};
+
+/**
+ * Loads the change history of a customer, newest first
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<Array>} PetProfileChange rows
+ */
+export const getProfileHistory = async (shop, customerId) => {
+  return db.petProfileChange.findMany({
+    where: { shop, customerId: String(customerId) },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Lists the customers whose profile changed within a time range
+ * @param {string} shop - Shop domain
+ * @param {Object} range - `{ start, end }`, start inclusive and end exclusive
+ * @returns {Promise<Set>} Numeric customer IDs
+ */
+export const getChangedCustomerIds = async (shop, { start, end }) => {
+  const changes = await db.petProfileChange.findMany({
+    where: { shop, createdAt: { gte: start, lt: end } },
+    select: { customerId: true },
+    distinct: ["customerId"],
+  });
+
+  return new Set(changes.map((change) => change.customerId));
+};
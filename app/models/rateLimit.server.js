@@ -0,0 +1,45 @@
+/**
+ * Fixed-window rate limits counted in Postgres, so every server instance shares them
+ */
+import db from "../db.server";
+
+/**
+ * Counts a request against a rate limit key
+ * @param {string} key - What is limited, e.g. `pet-profile:customer:<shop>:<id>`
+ * @param {Object} limit
+ * @param {number} limit.max - Requests allowed per window
+ * @param {number} limit.windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} `{ allowed, retryAfter }`; `retryAfter` is the number of seconds
+ * until the window resets, 0 when the request is allowed
+ */
+export const consumeRateLimit = async (key, { max, windowMs }) => {
+  const now = Date.now();
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+
+  const increment = () =>
+    db.rateLimit.upsert({
+      where: { key_windowStart: { key, windowStart } },
+      create: { key, windowStart, count: 1 },
+      update: { count: { increment: 1 } },
+    });
+
+  let entry;
+  try {
+    entry = await increment();
+  } catch (error) {
+    // Two first requests of a window raced to create the row; the loser counts on it instead
+    if (error.code !== "P2002") throw error;
+    entry = await increment();
+  }
+
+  // The first request of a window clears the key's older windows, so each key keeps one row
+  if (entry.count === 1) {
+    await db.rateLimit.deleteMany({ where: { key, windowStart: { lt: windowStart } } });
+  }
+
+  if (entry.count <= max) return { allowed: true, retryAfter: 0 };
+  return {
+    allowed: false,
+    retryAfter: Math.max(1, Math.ceil((windowStart.getTime() + windowMs - now) / 1000)),
+  };
+};
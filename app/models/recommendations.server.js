@@ -0,0 +1,199 @@
+/**
+ * Products recommended to customers from their pet profile answers
+ *
+ * Each rule maps a combination of answers to a product or a collection, e.g. `health_issues=Hip
+ * and Joint Health` + `pet_type=Dog` + `pet_weight=50+lbs` to a joint care collection. A pet
+ * matches a rule when it has every answer of the rule; rules with more answers are more specific
+ * and come first.
+ */
+import db from "../db.server";
+import { getPetField } from "../utils/petProfileSchema";
+import { runGraphql } from "./pets.server";
+
+export const MAX_RECOMMENDATION_RULES = 50;
+export const RECOMMENDATION_TARGET_TYPES = ["product", "collection"];
+// Products shown per pet at most
+export const MAX_PET_RECOMMENDATIONS = 4;
+// Products read from each recommended collection
+const COLLECTION_PRODUCTS = 8;
+
+/**
+ * Loads the recommendation rules of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Rules `{ conditions, target }`; empty until the merchant saved some
+ */
+export const getRecommendationRules = async (shop) => {
+  const config = await db.recommendationRules.findUnique({ where: { shop } });
+  return config ? config.rules : [];
+};
+
+/**
+ * Validates recommendation rules edited on the product recommendations page
+ * @param {*} rules - Submitted rules
+ * @param {Array} fields - Configured profile fields
+ * @returns {Object} `{ rules, errors }`; `rules` only keeps rule properties and answered
+ * conditions, `errors` lists messages and is empty when the rules are valid
+ */
+export const validateRecommendationRules = (rules, fields) => {
+  if (!Array.isArray(rules)) return { rules: [], errors: ["Rules must be a list"] };
+
+  const errors = [];
+  if (rules.length > MAX_RECOMMENDATION_RULES) errors.push(`Add at most ${MAX_RECOMMENDATION_RULES} rules`);
+
+  const cleaned = rules.map((rule, index) => {
+    const name = `Rule ${index + 1}`;
+    const conditions = {};
+    for (const [key, value] of Object.entries(rule?.conditions || {})) {
+      if (!value) continue;
+      const petField = getPetField(key, fields);
+      if (!petField?.options?.some((option) => option.value === value)) {
+        errors.push(`${name}: "${value}" isn't an answer of ${petField?.label || key}`);
+      }
+      conditions[key] = String(value);
+    }
+    if (Object.keys(conditions).length === 0) errors.push(`${name}: choose at least one answer`);
+
+    const type = String(rule?.target?.type || "");
+    const id = String(rule?.target?.id || "");
+    if (!RECOMMENDATION_TARGET_TYPES.includes(type) || !id.startsWith("gid://shopify/")) {
+      errors.push(`${name}: choose a product or collection`);
+    }
+
+    return { conditions, target: { type, id, title: String(rule?.target?.title || "") } };
+  });
+
+  return { rules: cleaned, errors };
+};
+
+/**
+ * Validates and saves the recommendation rules of a shop
+ * @param {string} shop - Shop domain
+ * @param {*} rules - Rules submitted on the product recommendations page
+ * @param {Array} fields - Configured profile fields
+ * @returns {Promise<Object>} `{ rules, errors }`; nothing is saved when `errors` isn't empty
+ */
+export const saveRecommendationRules = async (shop, rules, fields) => {
+  const result = validateRecommendationRules(rules, fields);
+  if (result.errors.length > 0) return result;
+
+  await db.recommendationRules.upsert({
+    where: { shop },
+    create: { shop, rules: result.rules },
+    update: { rules: result.rules },
+  });
+
+  console.log(`[recommendations] Saved ${result.rules.length} recommendation rules for ${shop}`);
+  return result;
+};
+
+/**
+ * Lists the rules a pet matches, most specific first
+ * @param {Array} rules - Recommendation rules
+ * @param {Object} pet - Pet values
+ * @returns {Array} Matching rules; rules with as many answers keep their saved order
+ */
+export const getMatchingRules = (rules, pet) =>
+  rules
+    .filter((rule) => Object.entries(rule.conditions).every(([key, value]) => pet[key] === value))
+    .sort((a, b) => Object.keys(b.conditions).length - Object.keys(a.conditions).length);
+
+/**
+ * Converts a product node into the shape returned to the extension
+ * @param {Object} node - Product node
+ * @returns {Object|null} `{ id, title, url, imageUrl, imageAlt, price }`, or null when the
+ * product isn't for sale on the online store
+ */
+const toRecommendedProduct = (node) => {
+  if (node?.status !== "ACTIVE" || !node.onlineStoreUrl) return null;
+  return {
+    id: node.id,
+    title: node.title,
+    url: node.onlineStoreUrl,
+    imageUrl: node.featuredImage?.url || null,
+    imageAlt: node.featuredImage?.altText || node.title,
+    price: node.priceRangeV2.minVariantPrice,
+  };
+};
+
+/**
+ * Loads the products of recommended products and collections
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array<string>} ids - Product and collection GIDs
+ * @returns {Promise<Map>} GID => products for sale; deleted targets have no entry
+ */
+const loadTargets = async (admin, ids) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    fragment RecommendedProduct on Product {
+      id
+      title
+      status
+      onlineStoreUrl
+      featuredImage {
+        url
+        altText
+      }
+      priceRangeV2 {
+        minVariantPrice {
+          amount
+          currencyCode
+        }
+      }
+    }
+
+    query RecommendationTargets($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          ...RecommendedProduct
+        }
+        ... on Collection {
+          id
+          products(first: ${COLLECTION_PRODUCTS}) {
+            nodes {
+              ...RecommendedProduct
+            }
+          }
+        }
+      }
+    }`,
+    { ids },
+  );
+
+  const targets = new Map();
+  for (const node of data.nodes) {
+    if (!node?.id) continue;
+    const products = node.products ? node.products.nodes : [node];
+    targets.set(node.id, products.map(toRecommendedProduct).filter(Boolean));
+  }
+  return targets;
+};
+
+/**
+ * Resolves the recommendation rules against a customer's pets
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Array} pets - The customer's pets
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Recommendation rules, loaded when not given
+ * @returns {Promise<Array>} `{ petId, petName, products }` for each pet with at least one product,
+ * at most `MAX_PET_RECOMMENDATIONS` products each
+ */
+export const getRecommendations = async (admin, shop, pets, { rules } = {}) => {
+  const shopRules = rules || (await getRecommendationRules(shop));
+  const matches = pets.map((pet) => ({ pet, rules: getMatchingRules(shopRules, pet) }));
+  const ids = [...new Set(matches.flatMap((match) => match.rules.map((rule) => rule.target.id)))];
+  if (ids.length === 0) return [];
+
+  const targets = await loadTargets(admin, ids);
+  return matches
+    .map(({ pet, rules: petRules }) => {
+      const products = [];
+      for (const product of petRules.flatMap((rule) => targets.get(rule.target.id) || [])) {
+        if (products.length === MAX_PET_RECOMMENDATIONS) break;
+        if (!products.some((p) => p.id === product.id)) products.push(product);
+      }
+      return { petId: pet.id || null, petName: pet.name, products };
+    })
+    .filter((recommendation) => recommendation.products.length > 0);
+};
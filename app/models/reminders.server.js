@@ -0,0 +1,243 @@
+/**
+ * Reminder emails for customers whose pet profile is incomplete
+ *
+ * Reminders are sent by bulk action jobs a few customers at a time. Each recipient is claimed in
+ * the database before their email goes out, so runs on different server instances can't remind
+ * the same customer twice within the cool-down.
+ *
+ * Settings:
+ * REMINDER_COOLDOWN_DAYS       Days before a customer can be reminded again (default 14)
+ * REMINDER_SEND_INTERVAL_MS    Pause between two emails (default 250)
+ */
+import db from "../db.server";
+import { isCompleteProfile } from "../utils/customerDataUtils";
+import { PET_PROFILE_FIELDS } from "../utils/petProfileSchema";
+import { getFieldConfig } from "./fieldConfig.server";
+import { getMailFrom, getMailTransport } from "../utils/mail.server";
+import { runGraphql } from "./pets.server";
+import { findPetProfiles } from "./petProfile.server";
+
+export const REMINDER_COOLDOWN_DAYS = Number(process.env.REMINDER_COOLDOWN_DAYS) || 14;
+const SEND_INTERVAL_MS = Number(process.env.REMINDER_SEND_INTERVAL_MS) || 250;
+
+// nodes(ids:) accepts at most 250 IDs
+const CONSENT_BATCH_SIZE = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Escapes text for use in the HTML email
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Loads the shop name, contact email and customer account profile URL
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `{ name, contactEmail, profileUrl }`
+ */
+const getShopDetails = async (admin, shop) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query ReminderShop {
+      shop {
+        name
+        contactEmail
+        customerAccountsV2 {
+          url
+        }
+      }
+    }`,
+  );
+
+  const accountUrl = data.shop.customerAccountsV2?.url || `https://${shop}/account`;
+
+  return {
+    name: data.shop.name,
+    contactEmail: data.shop.contactEmail,
+    profileUrl: `${accountUrl.replace(/\/$/, "")}/profile`,
+  };
+};
+
+/**
+ * Loads the email marketing state of customers
+ * @param {Object} admin - Shopify admin API client
+ * @param {Array<string>} customerGIDs - Customer GIDs
+ * @returns {Promise<Map>} Customer GID => `{ email, subscribed }`
+ */
+const getEmailConsent = async (admin, customerGIDs) => {
+  const consent = new Map();
+
+  for (let i = 0; i < customerGIDs.length; i += CONSENT_BATCH_SIZE) {
+    const data = await runGraphql(
+      admin,
+      `#graphql
+      query ReminderConsent($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Customer {
+            id
+            defaultEmailAddress {
+              emailAddress
+              marketingState
+            }
+          }
+        }
+      }`,
+      { ids: customerGIDs.slice(i, i + CONSENT_BATCH_SIZE) },
+    );
+
+    data.nodes.filter((node) => node?.id).forEach((node) => {
+      consent.set(node.id, {
+        email: node.defaultEmailAddress?.emailAddress || null,
+        subscribed: node.defaultEmailAddress?.marketingState === "SUBSCRIBED",
+      });
+    });
+  }
+
+  return consent;
+};
+
+/**
+ * Claims a customer for a reminder, unless they were claimed within the cool-down
+ * The claim is a single row per customer, so of two runs claiming at once only one succeeds.
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @param {Date} since - Start of the cool-down
+ * @returns {Promise<Date|null>} Time of the claim, or null when the customer is cooling down
+ */
+const claimRecipient = async (shop, customerId, since) => {
+  const claimedAt = new Date();
+  const { count } = await db.reminderClaim.updateMany({
+    where: { shop, customerId, claimedAt: { lt: since } },
+    data: { claimedAt },
+  });
+  if (count > 0) return claimedAt;
+
+  try {
+    await db.reminderClaim.create({ data: { shop, customerId, claimedAt } });
+    return claimedAt;
+  } catch (err) {
+    // Another run holds the claim
+    if (err.code === "P2002") return null;
+    throw err;
+  }
+};
+
+/**
+ * Renders the reminder email of a customer
+ * @param {Object} customer - Customer object
+ * @param {Object} shopDetails - Shop details from `getShopDetails`
+ * @param {Array} [fields] - Profile fields configured by the shop
+ * @returns {Object} `{ subject, text, html }`
+ */
+export const renderReminderEmail = (customer, { name: shopName, profileUrl }, fields = PET_PROFILE_FIELDS) => {
+  const greeting = customer.firstName ? `Hi ${customer.firstName},` : "Hi,";
+  const missing = customer.pets.length === 0
+    ? []
+    : fields.filter((field) => field.required && customer.pets.some((pet) => !pet[field.key]))
+      .map((field) => field.label);
+  const intro = customer.pets.length === 0
+    ? "You haven't added a pet to your profile yet."
+    : `Your pet profile is still missing: ${missing.join(", ")}.`;
+  const outro = "Completing it helps us recommend the right products for your pets.";
+
+  return {
+    subject: `Complete your pet profile at ${shopName}`,
+    text: [greeting, "", intro, outro, "", `Update your profile: ${profileUrl}`, "", shopName].join("\n"),
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)} ${escapeHtml(outro)}</p>
+<p><a href="${escapeHtml(profileUrl)}">Complete your pet profile</a></p>
+<p>${escapeHtml(shopName)}</p>`,
+  };
+};
+
+/**
+ * Sends reminder emails to customers with incomplete profiles
+ * Customers without email marketing consent, or reminded within the cool-down, are skipped. A
+ * failed email gives the customer's claim back, so a later run can try again.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {Array<string>} options.customerIds - Numeric customer IDs, a few per call since every
+ * email is sent before the call returns
+ * @returns {Promise<Object>} Counts `{ sent, failed, complete, noConsent, coolDown }`, and `results`
+ * with the `{ customerId, outcome, error }` of each customer, `outcome` being one of the count names
+ */
+export const sendReminders = async (admin, shop, { customerIds }) => {
+  const [customers, fields] = await Promise.all([
+    findPetProfiles(shop, { customerIds }),
+    getFieldConfig(shop),
+  ]);
+  const incomplete = customers.filter((customer) => !isCompleteProfile(customer, fields));
+  const summary = {
+    sent: 0,
+    failed: 0,
+    complete: 0,
+    noConsent: 0,
+    coolDown: 0,
+    results: [],
+  };
+  const record = (customer, outcome, error = null) => {
+    summary[outcome] += 1;
+    summary.results.push({ customerId: customer.id, outcome, error });
+  };
+
+  customers.filter((customer) => isCompleteProfile(customer, fields)).forEach((customer) => record(customer, "complete"));
+  if (incomplete.length === 0) return summary;
+
+  const consent = await getEmailConsent(admin, incomplete.map((customer) => customer.gid));
+  const hasConsent = (customer) => {
+    const state = consent.get(customer.gid);
+    return Boolean(state?.subscribed && state.email);
+  };
+  incomplete.filter((customer) => !hasConsent(customer)).forEach((customer) => record(customer, "noConsent"));
+  const eligible = incomplete.filter(hasConsent);
+  if (eligible.length === 0) return summary;
+
+  const shopDetails = await getShopDetails(admin, shop);
+  const transport = getMailTransport();
+  const since = new Date(Date.now() - REMINDER_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  let sending = false;
+
+  for (const customer of eligible) {
+    const claimedAt = await claimRecipient(shop, customer.id, since);
+    if (!claimedAt) {
+      record(customer, "coolDown");
+      continue;
+    }
+
+    if (sending) await sleep(SEND_INTERVAL_MS);
+    sending = true;
+
+    const email = consent.get(customer.gid).email;
+    try {
+      await transport.send({
+        from: `"${shopDetails.name.replace(/"/g, "")}" <${getMailFrom()}>`,
+        replyTo: shopDetails.contactEmail || undefined,
+        to: email,
+        ...renderReminderEmail(customer, shopDetails, fields),
+      });
+    } catch (err) {
+      console.error(`[reminders] Failed to send to customer ${customer.id}:`, err);
+      await db.reminderClaim.deleteMany({ where: { shop, customerId: customer.id, claimedAt } });
+      await db.reminderSend.create({
+        data: { shop, customerId: customer.id, email, status: "failed", error: err.message },
+      });
+      record(customer, "failed", err.message);
+      continue;
+    }
+
+    await db.reminderSend.create({
+      data: { shop, customerId: customer.id, email, status: "sent" },
+    });
+    record(customer, "sent");
+  }
+
+  const { results, ...counts } = summary;
+  console.log(`[reminders] Sent ${summary.sent} reminders for ${shop}`, counts, `(${results.length} customers)`);
+  return summary;
+};
@@ -0,0 +1,234 @@
+/**
+ * Single-use discount codes issued to customers for their first pet profile submission
+ *
+ * Each customer gets at most one code. It only works for that customer, can be used once
+ * and expires after the number of days configured by the merchant.
+ */
+import { randomBytes } from "node:crypto";
+import db from "../db.server";
+import { PETS_NAMESPACE, runGraphql, setCustomerMetafields } from "./pets.server";
+
+export const DEFAULT_REWARD_SETTINGS = { percentage: 20, expiryDays: 30 };
+export const REWARD_CODE_KEY = "reward_code";
+
+// Letters and digits that can't be mistaken for each other when typed
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+// nodes(ids:) accepts at most 250 IDs
+const DISCOUNT_BATCH_SIZE = 250;
+
+/**
+ * Generates a random discount code
+ * @returns {string} e.g. `PET-7KQ2MZ9D`
+ */
+const generateCode = () => {
+  const bytes = randomBytes(CODE_LENGTH);
+  const suffix = [...bytes].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+  return `PET-${suffix}`;
+};
+
+/**
+ * Loads the reward settings of a shop
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {Object} [options.tx] - Prisma transaction client to read with
+ * @returns {Promise<Object>} `{ percentage, expiryDays }`
+ */
+export const getRewardSettings = async (shop, { tx = db } = {}) => {
+  const settings = await tx.rewardSettings.findUnique({ where: { shop } });
+  if (!settings) return DEFAULT_REWARD_SETTINGS;
+  return { percentage: settings.percentage, expiryDays: settings.expiryDays };
+};
+
+/**
+ * Validates and saves the reward settings of a shop
+ * @param {string} shop - Shop domain
+ * @param {Object} input - `{ percentage, expiryDays }` as submitted
+ * @returns {Promise<Object>} `{ settings, errors }`; nothing is saved when `errors` isn't empty
+ */
+export const saveRewardSettings = async (shop, input) => {
+  const percentage = Number(input.percentage);
+  const expiryDays = Number(input.expiryDays);
+  const errors = {};
+
+  if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+    errors.percentage = "Enter a whole percentage between 1 and 100";
+  }
+  if (!Number.isInteger(expiryDays) || expiryDays < 1 || expiryDays > 365) {
+    errors.expiryDays = "Enter a number of days between 1 and 365";
+  }
+
+  const settings = { percentage, expiryDays };
+  if (Object.keys(errors).length > 0) return { settings, errors };
+
+  await db.rewardSettings.upsert({
+    where: { shop },
+    create: { shop, ...settings },
+    update: settings,
+  });
+  return { settings, errors };
+};
+
+/**
+ * Claims the first-submission reward of a customer
+ * Runs in the same transaction as the save of their profile. The unique (shop, customerId) key
+ * makes the claim succeed once per customer, however often the save is replayed. The code is
+ * picked here and created in Shopify afterwards by `issuePendingRewardCode`.
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - `{ id, gid, email }`
+ * @param {Object} [options]
+ * @param {Object} [options.tx] - Prisma transaction client to write with
+ * @returns {Promise<boolean>} True when this call claimed the reward
+ */
+export const claimRewardCode = async (shop, customer, { tx = db } = {}) => {
+  const { percentage, expiryDays } = await getRewardSettings(shop, { tx });
+  const { count } = await tx.rewardCode.createMany({
+    data: [
+      {
+        shop,
+        customerId: String(customer.id),
+        customerGid: customer.gid,
+        email: customer.email || null,
+        code: generateCode(),
+        percentage,
+        expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+      },
+    ],
+    skipDuplicates: true,
+  });
+  return count > 0;
+};
+
+/**
+ * Creates the discount of a claimed reward that isn't in Shopify yet
+ * A claim left pending by a failed call is retried on the customer's next save. Shopify
+ * rejects a second discount with the same code, so concurrent calls can't issue it twice.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<Object|null>} The issued RewardCode row, or null when nothing was pending
+ */
+export const issuePendingRewardCode = async (admin, shop, customerId) => {
+  const reward = await db.rewardCode.findFirst({
+    where: { shop, customerId: String(customerId), discountId: null },
+  });
+  if (!reward) return null;
+
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    mutation CreateRewardCode($basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode {
+          id
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }`,
+    {
+      basicCodeDiscount: {
+        title: `Pet profile reward ${reward.code}`,
+        code: reward.code,
+        startsAt: new Date().toISOString(),
+        endsAt: reward.expiresAt.toISOString(),
+        // `context` replaced the deprecated `customerSelection` in API version 2025-04
+        context: { customers: { add: [reward.customerGid] } },
+        customerGets: {
+          value: { percentage: reward.percentage / 100 },
+          items: { all: true },
+        },
+        usageLimit: 1,
+        appliesOncePerCustomer: true,
+      },
+    },
+    "discountCodeBasicCreate",
+  );
+
+  const issued = await db.rewardCode.update({
+    where: { id: reward.id },
+    data: { discountId: data.discountCodeBasicCreate.codeDiscountNode.id },
+  });
+
+  // Also kept on the customer, so the code shows in the Shopify admin next to their profile
+  await setCustomerMetafields(admin, [
+    {
+      ownerId: reward.customerGid,
+      namespace: PETS_NAMESPACE,
+      key: REWARD_CODE_KEY,
+      type: "single_line_text_field",
+      value: reward.code,
+    },
+  ]);
+
+  console.log(`[rewards] Issued ${reward.code} (${reward.percentage}%) to customer ${customerId} on ${shop}`);
+  return issued;
+};
+
+/**
+ * Lists the codes issued by a shop, newest first, with their redemption status
+ * Codes not yet known to be redeemed are checked against Shopify's usage count.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {string} [options.customerId] - Only list the code of this customer
+ * @returns {Promise<Array>} RewardCode rows with `status` ("pending", "redeemed", "expired", "unused" or "deleted")
+ */
+export const listRewardCodes = async (admin, shop, { customerId } = {}) => {
+  const rewards = await db.rewardCode.findMany({
+    where: { shop, ...(customerId ? { customerId: String(customerId) } : {}) },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const pending = rewards.filter((reward) => reward.discountId && !reward.redeemedAt);
+  const usage = new Map();
+
+  for (let i = 0; i < pending.length; i += DISCOUNT_BATCH_SIZE) {
+    const ids = pending.slice(i, i + DISCOUNT_BATCH_SIZE).map((reward) => reward.discountId);
+    const data = await runGraphql(
+      admin,
+      `#graphql
+      query RewardCodeUsage($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on DiscountCodeNode {
+            id
+            codeDiscount {
+              ... on DiscountCodeBasic {
+                asyncUsageCount
+              }
+            }
+          }
+        }
+      }`,
+      { ids },
+    );
+    data.nodes
+      .filter((node) => node?.id)
+      .forEach((node) => usage.set(node.id, node.codeDiscount?.asyncUsageCount || 0));
+  }
+
+  const redeemed = pending.filter((reward) => usage.get(reward.discountId) > 0);
+  if (redeemed.length > 0) {
+    const redeemedAt = new Date();
+    await db.rewardCode.updateMany({
+      where: { id: { in: redeemed.map((reward) => reward.id) } },
+      data: { redeemedAt },
+    });
+    redeemed.forEach((reward) => {
+      reward.redeemedAt = redeemedAt;
+    });
+  }
+
+  const now = new Date();
+  return rewards.map((reward) => {
+    let status = "unused";
+    if (!reward.discountId) status = "pending";
+    else if (reward.redeemedAt) status = "redeemed";
+    else if (!usage.has(reward.discountId)) status = "deleted";
+    else if (reward.expiresAt < now) status = "expired";
+    return { ...reward, status };
+  });
+};
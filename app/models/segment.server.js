@@ -0,0 +1,269 @@
+/**
+ * Customer segment whose members a shop reports on
+ *
+ * New shops get a "Pet Profile" segment of the customers who submitted a profile or have pets,
+ * found by name or created on install. Merchants can pick another segment, or none: the full
+ * sync then reads every customer and keeps those with a pet profile.
+ *
+ * Settings:
+ * PET_PROFILE_SEGMENT_ID_PROD   Segment of installs set up before segments were stored per shop;
+ *                               used by shops without a stored segment, and adopted as theirs
+ */
+import db from "../db.server";
+import { runGraphql } from "./pets.server";
+
+export const PET_PROFILE_SEGMENT_NAME = "Pet Profile";
+// Filters on the `first_submission` and `has_pets` customer metafields, whose definitions are
+// admin-filterable. `has_pets` covers pets that were imported or added by the merchant.
+export const PET_PROFILE_SEGMENT_QUERY =
+  "metafields.variables.first_submission = true OR metafields.variables.has_pets = true";
+// Query of "Pet Profile" segments created before `has_pets` existed; they're updated to the current one
+const FIRST_SUBMISSION_SEGMENT_QUERY = "metafields.variables.first_submission = true";
+
+export const SEGMENT_DELETED_ERROR =
+  "The customer segment the app reports on no longer exists in Shopify. Choose another segment " +
+  "on the Customer segment page.";
+
+// segments(first:) returns at most 250 segments
+const SEGMENTS_PAGE_SIZE = 250;
+
+/**
+ * Converts a segment ID as entered by the merchant into a GID
+ * @param {string} value - Numeric ID or GID
+ * @returns {string|null} Segment GID, or null when the value isn't a segment ID
+ */
+const toSegmentGid = (value) => {
+  const trimmed = String(value || "").trim();
+  if (/^\d+$/.test(trimmed)) return `gid://shopify/Segment/${trimmed}`;
+  if (/^gid:\/\/shopify\/Segment\/\d+$/.test(trimmed)) return trimmed;
+  return null;
+};
+
+/**
+ * The segment configured for the whole app through `PET_PROFILE_SEGMENT_ID_PROD`
+ * @returns {string|null} Segment GID, or null when it isn't set
+ */
+const getEnvSegmentId = () => toSegmentGid(process.env.PET_PROFILE_SEGMENT_ID_PROD);
+
+/**
+ * Loads the segment settings of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} The SegmentSettings row, or null before the shop was set up
+ */
+export const getSegmentSettings = async (shop) => {
+  return db.segmentSettings.findUnique({ where: { shop } });
+};
+
+/**
+ * Loads a segment from Shopify
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} segmentId - Segment GID
+ * @returns {Promise<Object|null>} `{ id, name, query }`, or null when the segment doesn't exist
+ */
+export const getSegment = async (admin, segmentId) => {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query Segment($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Segment {
+          id
+          name
+          query
+        }
+      }
+    }`,
+    { ids: [segmentId] },
+  );
+  return data.nodes[0]?.id ? data.nodes[0] : null;
+};
+
+/**
+ * Saves the segment a shop reports on
+ * @param {string} shop - Shop domain
+ * @param {string|null} segmentId - Segment GID, or null to read every customer
+ * @returns {Promise<Object>} The SegmentSettings row
+ */
+const saveSegmentSettings = async (shop, segmentId) => {
+  return db.segmentSettings.upsert({
+    where: { shop },
+    create: { shop, segmentId },
+    update: { segmentId },
+  });
+};
+
+/**
+ * Updates a "Pet Profile" segment created before `has_pets` existed to the current query
+ * Segments the merchant edited are left alone.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} segment - `{ id, name, query }`
+ * @returns {Promise<Object>} The segment, updated or as it was
+ */
+const upgradePetProfileSegment = async (admin, shop, segment) => {
+  if (segment.name !== PET_PROFILE_SEGMENT_NAME || segment.query.trim() !== FIRST_SUBMISSION_SEGMENT_QUERY) {
+    return segment;
+  }
+
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    mutation UpdateSegment($id: ID!, $query: String!) {
+      segmentUpdate(id: $id, query: $query) {
+        segment {
+          id
+          name
+          query
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { id: segment.id, query: PET_PROFILE_SEGMENT_QUERY },
+    "segmentUpdate",
+  );
+  console.log(`[segment] Updated segment ${segment.id} for ${shop} to include customers with pets`);
+  return data.segmentUpdate.segment;
+};
+
+/**
+ * Finds the shop's "Pet Profile" segment by name, or creates it, and reports on it
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `{ segment, created }`
+ */
+export const findOrCreatePetProfileSegment = async (admin, shop) => {
+  // The segments query can't filter on an exact name, so the name is matched here
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query Segments($first: Int!) {
+      segments(first: $first) {
+        nodes {
+          id
+          name
+          query
+        }
+      }
+    }`,
+    { first: SEGMENTS_PAGE_SIZE },
+  );
+
+  let segment = data.segments.nodes.find((node) => node.name === PET_PROFILE_SEGMENT_NAME);
+  const created = !segment;
+  if (segment) segment = await upgradePetProfileSegment(admin, shop, segment);
+
+  if (created) {
+    const result = await runGraphql(
+      admin,
+      `#graphql
+      mutation CreateSegment($name: String!, $query: String!) {
+        segmentCreate(name: $name, query: $query) {
+          segment {
+            id
+            name
+            query
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { name: PET_PROFILE_SEGMENT_NAME, query: PET_PROFILE_SEGMENT_QUERY },
+      "segmentCreate",
+    );
+    segment = result.segmentCreate.segment;
+    console.log(`[segment] Created segment ${segment.id} for ${shop}`);
+  }
+
+  await saveSegmentSettings(shop, segment.id);
+  return { segment, created };
+};
+
+/**
+ * Sets up the segment of a newly installed shop
+ * Shops that already chose a segment, or none, keep it; an app-created "Pet Profile" segment
+ * is brought up to the current query. Shops of an install configured through
+ * `PET_PROFILE_SEGMENT_ID_PROD` adopt that segment.
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<void>}
+ */
+export const ensurePetProfileSegment = async (admin, shop) => {
+  const settings = await getSegmentSettings(shop);
+  if (settings) {
+    const segment = settings.segmentId && (await getSegment(admin, settings.segmentId));
+    if (segment) await upgradePetProfileSegment(admin, shop, segment);
+    return;
+  }
+
+  const envSegmentId = getEnvSegmentId();
+  if (envSegmentId && (await getSegment(admin, envSegmentId))) {
+    await saveSegmentSettings(shop, envSegmentId);
+    return;
+  }
+  await findOrCreatePetProfileSegment(admin, shop);
+};
+
+/**
+ * Validates and saves a segment chosen by the merchant
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} input - Segment ID or GID as submitted
+ * @returns {Promise<Object>} `{ segment, errors }`; nothing is saved when `errors` isn't empty
+ */
+export const chooseSegment = async (admin, shop, input) => {
+  const segmentId = toSegmentGid(input);
+  if (!segmentId) {
+    return { segment: null, errors: { segmentId: "Enter the numeric ID from the segment's URL" } };
+  }
+
+  const segment = await getSegment(admin, segmentId);
+  if (!segment) {
+    return { segment: null, errors: { segmentId: "No segment with this ID exists in your store" } };
+  }
+
+  await saveSegmentSettings(shop, segment.id);
+  return { segment, errors: {} };
+};
+
+/**
+ * Stops reporting on a segment: the full sync reads every customer with a pet profile instead
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The SegmentSettings row
+ */
+export const clearSegment = async (shop) => saveSegmentSettings(shop, null);
+
+/**
+ * Finds the segment a shop reports on
+ * Shops without stored settings use `PET_PROFILE_SEGMENT_ID_PROD` when it's set.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `{ segmentId, isSetUp }`; `segmentId` is null to read every customer
+ */
+export const getConfiguredSegment = async (shop) => {
+  const settings = await getSegmentSettings(shop);
+  if (settings) return { segmentId: settings.segmentId, isSetUp: true };
+
+  const segmentId = getEnvSegmentId();
+  return { segmentId, isSetUp: Boolean(segmentId) };
+};
+
+/**
+ * Resolves the segment a full sync should read
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<string|null>} Segment GID, or null to read every customer
+ * @throws {Error} `SEGMENT_DELETED_ERROR` when the configured segment no longer exists
+ */
+export const resolveSyncSegment = async (admin, shop) => {
+  const { segmentId } = await getConfiguredSegment(shop);
+  if (!segmentId) return null;
+
+  if (!(await getSegment(admin, segmentId))) {
+    throw new Error(SEGMENT_DELETED_ERROR);
+  }
+  return segmentId;
+};
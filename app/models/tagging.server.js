@@ -0,0 +1,148 @@
+/**
+ * Customer tags derived from pet profile answers, for email and ads tools that segment on tags
+ *
+ * Each rule maps an answer to a tag, e.g. `pet_type=Dog` to "dog-owner". A customer gets the
+ * tag while any of their pets has the answer. Tags of the rules are managed by the app: when
+ * the answers change, the tags that no longer apply are removed. Tags not named by a rule are
+ * never touched.
+ */
+import db from "../db.server";
+import { getPetField } from "../utils/petProfileSchema";
+import { runGraphql } from "./pets.server";
+
+export const MAX_TAGGING_RULES = 50;
+// Shopify limits customer tags to 255 characters
+export const MAX_TAG_LENGTH = 255;
+
+/**
+ * Loads the tagging rules of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Rules `{ field, value, tag }`; empty until the merchant saved some
+ */
+export const getTaggingRules = async (shop) => {
+  const config = await db.taggingRules.findUnique({ where: { shop } });
+  return config ? config.rules : [];
+};
+
+/**
+ * Validates tagging rules edited on the customer tags page
+ * @param {*} rules - Submitted rules
+ * @param {Array} fields - Configured profile fields
+ * @returns {Object} `{ rules, errors }`; `rules` only keeps rule properties and `errors` lists
+ * messages, empty when the rules are valid
+ */
+export const validateTaggingRules = (rules, fields) => {
+  if (!Array.isArray(rules)) return { rules: [], errors: ["Rules must be a list"] };
+
+  const errors = [];
+  if (rules.length > MAX_TAGGING_RULES) errors.push(`Add at most ${MAX_TAGGING_RULES} rules`);
+
+  const seen = [];
+  const cleaned = rules.map((rule, index) => {
+    const name = `Rule ${index + 1}`;
+    const field = String(rule?.field || "");
+    const value = String(rule?.value || "");
+    const tag = String(rule?.tag || "").trim();
+    const petField = getPetField(field, fields);
+
+    if (!petField?.options) errors.push(`${name}: choose a profile field`);
+    else if (!petField.options.some((option) => option.value === value)) errors.push(`${name}: choose an answer`);
+    if (!tag) errors.push(`${name}: enter a tag`);
+    else if (tag.includes(",")) errors.push(`${name}: tags can't contain commas`);
+    else if (tag.length > MAX_TAG_LENGTH) errors.push(`${name}: tags are limited to ${MAX_TAG_LENGTH} characters`);
+
+    const key = `${field}=${value}→${tag.toLowerCase()}`;
+    if (seen.includes(key)) errors.push(`${name}: the same rule is listed twice`);
+    seen.push(key);
+
+    return { field, value, tag };
+  });
+
+  return { rules: cleaned, errors };
+};
+
+/**
+ * Validates and saves the tagging rules of a shop
+ * Existing customers keep their tags until the backfill runs or they save their profile.
+ * @param {string} shop - Shop domain
+ * @param {*} rules - Rules submitted on the customer tags page
+ * @param {Array} fields - Configured profile fields
+ * @returns {Promise<Object>} `{ rules, errors }`; nothing is saved when `errors` isn't empty
+ */
+export const saveTaggingRules = async (shop, rules, fields) => {
+  const result = validateTaggingRules(rules, fields);
+  if (result.errors.length > 0) return result;
+
+  await db.taggingRules.upsert({
+    where: { shop },
+    create: { shop, rules: result.rules },
+    update: { rules: result.rules },
+  });
+
+  console.log(`[tagging] Saved ${result.rules.length} tagging rules for ${shop}`);
+  return result;
+};
+
+/**
+ * Works out the tags a customer's pets call for
+ * Tags are compared case-insensitively, like Shopify does.
+ * @param {Array} rules - Tagging rules
+ * @param {Array} pets - The customer's pets
+ * @returns {Object} `{ add, remove }` tag lists; a tag another rule still applies is kept
+ */
+export const getTagChanges = (rules, pets) => {
+  const applies = (rule) => pets.some((pet) => pet[rule.field] === rule.value);
+  const add = [...new Set(rules.filter(applies).map((rule) => rule.tag))];
+  const kept = add.map((tag) => tag.toLowerCase());
+  const remove = [...new Set(rules.map((rule) => rule.tag))].filter((tag) => !kept.includes(tag.toLowerCase()));
+  return { add, remove };
+};
+
+/**
+ * Adds and removes tags of a customer
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} customerGID - Customer GID
+ * @param {Object} changes - `{ add, remove }` tag lists; empty lists are skipped
+ * @returns {Promise<void>}
+ */
+export const updateCustomerTags = async (admin, customerGID, { add = [], remove = [] }) => {
+  for (const [mutation, tags] of [
+    ["tagsAdd", add],
+    ["tagsRemove", remove],
+  ]) {
+    if (tags.length === 0) continue;
+    await runGraphql(
+      admin,
+      `#graphql
+      mutation UpdateCustomerTags($id: ID!, $tags: [String!]!) {
+        ${mutation}(id: $id, tags: $tags) {
+          node {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { id: customerGID, tags },
+      mutation,
+    );
+  }
+};
+
+/**
+ * Updates the tags of a customer from their pets
+ * @param {Object} admin - Shopify admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} customerGID - Customer GID
+ * @param {Array} pets - The customer's pets after the change
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Tagging rules, loaded when not given
+ * @returns {Promise<Object>} `{ add, remove }` as applied; both empty when the shop has no rules
+ */
+export const applyTaggingRules = async (admin, shop, customerGID, pets, { rules } = {}) => {
+  const changes = getTagChanges(rules || (await getTaggingRules(shop)), pets);
+  await updateCustomerTags(admin, customerGID, changes);
+  return changes;
+};
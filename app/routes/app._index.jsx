@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import {
   Page,
   Layout,
@@ -23,23 +23,50 @@ import {
   PersonIcon
 } from '@shopify/polaris-icons';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, LineChart, Line } from 'recharts';
-import { useLoaderData } from '@remix-run/react';
+import { useLoaderData, useFetcher, useNavigation, useSearchParams } from '@remix-run/react';
+import { Modal, TitleBar } from '@shopify/app-bridge-react';
 import { authenticate } from '../shopify.server';
-import { fetchCustomersWithPagination, calculateDataQuality, generateDimensionData } from '../utils/customerDataUtils';
+import { calculateDataQuality, generateDimensionData, getAllPets } from '../utils/customerDataUtils';
+import { PET_PROFILE_FIELDS } from '../utils/petProfileSchema';
+import {
+  PERIOD_OPTIONS,
+  compareMetric,
+  getPeriodRanges,
+  isInRange,
+  parsePeriod,
+  summarizePeriod
+} from '../utils/periodMetrics';
+import { getPetProfiles } from '../models/petProfile.server';
+import { ensurePetProfilesSynced } from '../models/customerSync.server';
+import { getChangedCustomerIds } from '../models/profileHistory.server';
+import { getFieldConfig } from '../models/fieldConfig.server';
+import { downloadReport } from '../utils/downloadReport';
+import { REMINDER_COOLDOWN_DAYS } from '../models/reminders.server';
+import { REMINDER_RUN_ACTION, getRecentBulkActionJob } from '../models/bulkActions.server';
+import { BulkActionBanner } from '../components/BulkActionBanner';
+import { CustomerSyncBanner, isSyncActive, useRefreshData } from '../components/CustomerSyncBanner';
 import '@shopify/polaris/build/esm/styles.css';
 
 export const loader = async ({ request }) => {
   const { session, admin } = await authenticate.admin(request);
+  const period = parsePeriod(new URL(request.url).searchParams);
   
   try {
-    const result = await fetchCustomersWithPagination(admin, 1000, 100);
+    const sync = await ensurePetProfilesSynced(admin, session.shop);
+    const fields = await getFieldConfig(session.shop);
+    // Until the first sync completed there is nothing to report; the page shows its progress instead
+    const result = sync.completedAt
+      ? await getPetProfiles(session.shop)
+      : { error: isSyncActive(sync) ? null : sync.error || 'Initial customer sync has not completed' };
     
-    if (result.error) {
+    if (!sync.completedAt || result.error) {
       return { 
         customers: [],
         totalCustomers: 0,
         shop: session.shop,
+        period,
         error: result.error,
+        sync,
         dataQuality: {
           completeProfiles: 0,
           incompleteProfiles: 0,
@@ -48,15 +75,40 @@ export const loader = async ({ request }) => {
       };
     }
 
-    const dataQuality = calculateDataQuality(result.customers);
+    // A customer counts towards a period when they submitted or changed their profile in it.
+    // Pets are compared in their current state, since earlier values only exist in the change history.
+    const ranges = getPeriodRanges(period);
+    const [changedNow, changedBefore, reminderJob] = await Promise.all([
+      getChangedCustomerIds(session.shop, ranges.current),
+      getChangedCustomerIds(session.shop, ranges.previous),
+      getRecentBulkActionJob(session.shop, [REMINDER_RUN_ACTION])
+    ]);
+    const activeIn = (range, changedIds) => result.customers.filter(c =>
+      isInRange(c.submittedAt, range) ||
+      isInRange(c.profileUpdatedAt, range) ||
+      changedIds.has(c.id)
+    );
+    const customers = activeIn(ranges.current, changedNow);
+    const previousCustomers = activeIn(ranges.previous, changedBefore);
 
     return { 
-      customers: result.customers,
-      totalCustomers: result.totalCustomers,
+      customers,
+      totalCustomers: customers.length,
       shop: session.shop,
+      period,
       error: null,
-      dataQuality,
-      paginationInfo: result.paginationInfo
+      fields,
+      dataQuality: calculateDataQuality(customers, fields),
+      comparison: {
+        current: summarizePeriod(customers, ranges.current, fields),
+        previous: summarizePeriod(previousCustomers, ranges.previous, fields)
+      },
+      // Reminders go to every incomplete profile, not only those active in the period
+      reminderCandidates: calculateDataQuality(result.customers, fields).incompleteProfiles,
+      reminderJob,
+      lastSyncedAt: sync.completedAt,
+      sync,
+      reminderCooldownDays: REMINDER_COOLDOWN_DAYS
     };
 
   } catch (error) {
@@ -66,6 +118,7 @@ export const loader = async ({ request }) => {
       customers: [],
       totalCustomers: 0,
       shop: session.shop,
+      period,
       error: error.message,
       dataQuality: {
         completeProfiles: 0,
@@ -79,71 +132,93 @@ export const loader = async ({ request }) => {
 const COLORS = ['#00848E', '#FFA500', '#E3002B', '#FFD700', '#9C6ADE', '#50B83C'];
 
 export default function Dashboard() {
-  const { customers, totalCustomers, shop, error, dataQuality, paginationInfo } = useLoaderData();
-  const [selectedPeriod, setSelectedPeriod] = useState('30');
-  const [showToast, setShowToast] = useState(false);
+  const {
+    customers,
+    totalCustomers,
+    period: selectedPeriod,
+    error,
+    fields = PET_PROFILE_FIELDS,
+    dataQuality,
+    comparison,
+    reminderCandidates,
+    reminderCooldownDays,
+    reminderJob,
+    lastSyncedAt,
+    sync
+  } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const isLoadingPeriod = navigation.state === 'loading' && navigation.location?.pathname === '/app';
+  const [exporting, setExporting] = useState(false);
+  const reminderFetcher = useFetcher();
+  const { refresh, isRefreshing } = useRefreshData();
+  const [dismissedJobId, setDismissedJobId] = useState(null);
 
-  const periodOptions = [
-    { label: 'Last 7 days', value: '7' },
-    { label: 'Last 30 days', value: '30' },
-    { label: 'Last 90 days', value: '90' },
-    { label: 'Last year', value: '365' }
-  ];
+  // The run itself shows its progress in a banner, from the reloaded page data
+  useEffect(() => {
+    if (reminderFetcher.data?.error) {
+      shopify.toast.show(reminderFetcher.data.error, { isError: true });
+    }
+  }, [reminderFetcher.data]);
 
-  // Show warning if we hit the limit
-  React.useEffect(() => {
-    if (paginationInfo?.hasMore && paginationInfo?.totalFetched >= paginationInfo?.maxCustomers) {
-      setShowToast(true);
+  const handleSendReminders = () => {
+    shopify.modal.hide('reminder-modal');
+    reminderFetcher.submit({}, { method: 'post', action: '/app/reminders' });
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await downloadReport({ format });
+      shopify.toast.show('Report downloaded');
+    } catch (err) {
+      shopify.toast.show(err.message, { isError: true });
+    } finally {
+      setExporting(false);
     }
-  }, [paginationInfo]);
+  };
+
+  // The loader scopes every metric to the period, so changing it reloads the page data
+  const handlePeriodChange = (value) => setSearchParams({ period: value });
+  const periodLabel = PERIOD_OPTIONS.find(option => option.value === selectedPeriod).label.toLowerCase();
+  const comparisons = comparison && {
+    customers: compareMetric(comparison.current.customers, comparison.previous.customers),
+    newProfiles: compareMetric(comparison.current.newProfiles, comparison.previous.newProfiles),
+    pets: compareMetric(comparison.current.pets, comparison.previous.pets),
+    completeness: compareMetric(comparison.current.completeness, comparison.previous.completeness, { points: true })
+  };
 
   // Calculate real data from customers
   const customerData = useMemo(() => {
     if (error || customers.length === 0) {
       return {
         totalCustomers: 0,
+        totalPets: 0,
         verifiedEmails: 0,
         unverifiedEmails: 0,
-        missingMetafields: {},
-        monthlyTrends: []
+        missingMetafields: {}
       };
     }
 
+    // Pet fields are counted per pet, since each customer can own several animals
+    const pets = getAllPets(customers);
+
     const verifiedEmails = customers.filter(c => c.verifiedEmail).length;
     const unverifiedEmails = totalCustomers - verifiedEmails;
     
-    const missingMetafields = {
-      pet_type: customers.filter(c => !c.pet_type || c.pet_type.trim() === '').length,
-      pet_weight: customers.filter(c => !c.pet_weight || c.pet_weight.trim() === '').length,
-      drug_usage: customers.filter(c => !c.drug_usage || c.drug_usage.trim() === '').length,
-      stress_level: customers.filter(c => !c.stress_level || c.stress_level.trim() === '').length,
-      pet_age: customers.filter(c => !c.pet_age || c.pet_age.trim() === '').length
-    };
-
-    // Calculate monthly trends (simplified - using creation dates)
-    const now = new Date();
-    const monthlyTrends = [];
-    for (let i = 5; i >= 0; i--) {
-      const monthDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const monthName = monthDate.toLocaleDateString('en-US', { month: 'short' });
-      const monthCustomers = customers.filter(c => {
-        const customerDate = new Date(c.createdAt);
-        return customerDate.getMonth() === monthDate.getMonth() && 
-               customerDate.getFullYear() === monthDate.getFullYear();
-      });
-      const verified = monthCustomers.filter(c => c.verifiedEmail).length;
-      const unverified = monthCustomers.length - verified;
-      monthlyTrends.push({ month: monthName, verified, unverified });
-    }
+    const missingMetafields = Object.fromEntries(fields.map(({ key }) => [
+      key,
+      pets.filter(p => !p[key] || p[key].trim() === '').length
+    ]));
 
     return {
       totalCustomers,
+      totalPets: pets.length,
       verifiedEmails,
       unverifiedEmails,
-      missingMetafields,
-      monthlyTrends
+      missingMetafields
     };
-  }, [customers, totalCustomers, error]);
+  }, [customers, totalCustomers, error, fields]);
 
   // Calculate completion percentages
   const emailVerificationRate = customerData.totalCustomers > 0 
@@ -151,33 +226,42 @@ export default function Dashboard() {
     : '0.0';
 
   const overallDataCompleteness = useMemo(() => {
-    const totalFields = customerData.totalCustomers * 5; // 5 fields total
-    const missingTotal = Object.values(customerData.missingMetafields).reduce((a, b) => a + b, 0) + customerData.unverifiedEmails;
+    const totalFields = customerData.totalPets * fields.length;
+    const missingTotal = Object.values(customerData.missingMetafields).reduce((a, b) => a + b, 0);
     return totalFields > 0 ? ((totalFields - missingTotal) / totalFields * 100).toFixed(1) : '0.0';
-  }, [customerData]);
+  }, [customerData, fields]);
 
   // Prepare pie chart data
   const metafieldPieData = Object.entries(customerData.missingMetafields).map(([key, value], index) => ({
-    name: key.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()),
+    name: fields.find(field => field.key === key)?.label || key,
     value,
-    color: COLORS[index]
+    color: COLORS[index % COLORS.length]
   }));
 
-  const [selectedDimension, setSelectedDimension] = useState('pet_age');
+  const [selectedDimension, setSelectedDimension] = useState(
+    () => fields.some(field => field.key === 'pet_age') ? 'pet_age' : fields[0]?.key
+  );
 
-  const dimensionOptions = [
-    { label: 'Pet Age', value: 'pet_age' },
-    { label: 'Drug Usage', value: 'drug_usage' },
-    { label: 'Pet Weight', value: 'pet_weight' },
-    { label: 'Pet Species', value: 'pet_type' },
-    { label: 'Stress Level', value: 'stress_level' }
-  ];
+  const dimensionOptions = fields.map(field => ({ label: field.label, value: field.key }));
   
   // Calculate real dimension data based on actual customer data
   const dimensionData = useMemo(() => {
-    return generateDimensionData(customers);
-  }, [customers]);
+    return generateDimensionData(customers, fields);
+  }, [customers, fields]);
   
+  // The first sync of a newly installed shop is still running
+  if (!lastSyncedAt && isSyncActive(sync)) {
+    return (
+      <Page title="Customer Data Analytics">
+        <Layout>
+          <Layout.Section>
+            <CustomerSyncBanner sync={sync} />
+          </Layout.Section>
+        </Layout>
+      </Page>
+    );
+  }
+
   // Show error state if there's an error
   if (error) {
     return (
@@ -196,37 +280,63 @@ export default function Dashboard() {
   return (
       <Page
         title="Customer Data Analytics"
-        subtitle="Monitor email verification and pet profile completeness"
+        subtitle={`Monitor email verification and pet profile completeness · Data last updated ${new Date(lastSyncedAt).toLocaleString()}`}
         primaryAction={{
           content: 'Export Report',
           icon: ExportIcon,
-          onAction: () => {shopify.toast.show('Button does not work right now.',{isError:true})}
+          loading: exporting,
+          onAction: () => handleExport('xlsx')
         }}
+        actionGroups={[
+          {
+            title: 'Export as',
+            actions: [
+              { content: 'Excel (XLSX)', onAction: () => handleExport('xlsx') },
+              { content: 'CSV', onAction: () => handleExport('csv') }
+            ]
+          }
+        ]}
         secondaryActions={[
+          {
+            content: 'Refresh data',
+            loading: isRefreshing,
+            disabled: isSyncActive(sync),
+            onAction: refresh
+          },
           {
             content: 'Send Reminders',
-            onAction: () => {shopify.toast.show('Button does not work right now.',{isError:true})}
+            icon: EmailIcon,
+            loading: reminderFetcher.state !== 'idle',
+            disabled: !reminderCandidates || reminderJob?.status === 'running',
+            onAction: () => shopify.modal.show('reminder-modal')
           }
         ]}
       >
+        <Modal id="reminder-modal">
+          <p style={{ padding: '16px' }}>
+            Email {reminderCandidates} customers with incomplete pet profiles a link to
+            their profile page. Customers who haven't agreed to email marketing, or were reminded
+            in the last {reminderCooldownDays} days, are skipped.
+          </p>
+          <TitleBar title="Send reminders">
+            <button variant="primary" onClick={handleSendReminders}>Send reminders</button>
+            <button onClick={() => shopify.modal.hide('reminder-modal')}>Cancel</button>
+          </TitleBar>
+        </Modal>
         <Layout>
-          {/* Data Quality Warning */}
-          {showToast && (
+          {(isSyncActive(sync) || sync?.status === 'failed') && (
+            <Layout.Section>
+              <CustomerSyncBanner sync={sync} />
+            </Layout.Section>
+          )}
+
+          {reminderJob && reminderJob.id !== dismissedJobId && (
             <Layout.Section>
-              <Banner
-                title="Large Dataset Detected"
-                status="warning"
-                action={{
-                  content: 'View All',
-                  onAction: () => setShowToast(false)
-                }}
-                onDismiss={() => setShowToast(false)}
-              >
-                <p>
-                  Found {paginationInfo?.totalFetched} customers. For better performance with large datasets, 
-                  consider implementing server-side pagination or data caching.
-                </p>
-              </Banner>
+              <BulkActionBanner
+                key={reminderJob.id}
+                job={reminderJob}
+                onDismiss={() => setDismissedJobId(reminderJob.id)}
+              />
             </Layout.Section>
           )}
 
@@ -241,13 +351,16 @@ export default function Dashboard() {
               }}
             >
               <p>
-                Overall data completeness is at {overallDataCompleteness}%. 
+                For profiles submitted or updated in the {periodLabel}, data completeness is at {overallDataCompleteness}%. 
                 {dataQuality.completeProfiles > 0 && (
                   <span> {dataQuality.completeProfiles} customers have complete profiles.</span>
                 )}
                 {dataQuality.incompleteProfiles > 0 && (
                   <span> {dataQuality.incompleteProfiles} customers have incomplete data.</span>
                 )}
+                {dataQuality.customersWithoutPets > 0 && (
+                  <span> {dataQuality.customersWithoutPets} customers have not added a pet yet.</span>
+                )}
               </p>
             </Banner>
           </Layout.Section>
@@ -261,9 +374,12 @@ export default function Dashboard() {
                     <Text variant="headingMd" as="h3">Time Period:</Text>
                     <div style={{ minWidth: '150px' }}>
                       <Select
-                        options={periodOptions}
+                        label="Time period"
+                        labelHidden
+                        options={PERIOD_OPTIONS}
                         value={selectedPeriod}
-                        onChange={setSelectedPeriod}
+                        onChange={handlePeriodChange}
+                        disabled={isLoadingPeriod}
                       />
                     </div>
                   </InlineStack>
@@ -289,11 +405,17 @@ export default function Dashboard() {
                     {customerData.totalCustomers.toLocaleString()}
                   </Text>
                   <Text variant="bodyMd" as="p" tone="subdued">
-                    Total Customers
+                    Active Customers
                   </Text>
-                  <div style={{ marginTop: '16px' }}>
-                    <Badge tone="success">+12% this month</Badge>
-                  </div>
+                  {comparisons && (
+                    <div style={{ marginTop: '16px' }}>
+                      <Tooltip content={`Compared with the ${comparison.previous.customers} customers active in the previous period`}>
+                        <Badge tone={comparisons.customers.tone}>{`${comparisons.customers.label} vs previous period`}</Badge>
+                      </Tooltip>
+                      <Badge tone="info">{`${comparison.current.newProfiles} new (${comparisons.newProfiles.label})`}</Badge>
+                      <Badge tone="info">{`${customerData.totalPets.toLocaleString()} pets (${comparisons.pets.label})`}</Badge>
+                    </div>
+                  )}
                 </div>
               </Card>
               <Card>
@@ -328,6 +450,11 @@ export default function Dashboard() {
                   <div style={{ marginTop: '16px' }}>
                     <ProgressBar progress={parseFloat(overallDataCompleteness)} size="small" />
                   </div>
+                  {comparisons && (
+                    <div style={{ marginTop: '8px' }}>
+                      <Badge tone={comparisons.completeness.tone}>{`${comparisons.completeness.label} vs previous period`}</Badge>
+                    </div>
+                  )}
                 </div>
               </Card>
             </InlineGrid>
@@ -370,18 +497,18 @@ export default function Dashboard() {
 
                 {/* Dynamic Chart Section */}
                 {(() => {
-                  const categories = dimensionData[selectedDimension];
-                  const totalCustomers = categories.reduce((sum, d) => sum + d.customers, 0);
+                  const categories = dimensionData[selectedDimension] || [];
+                  const totalPets = categories.reduce((sum, d) => sum + d.pets, 0);
 
                   // Adjust height based on both customer volume and number of categories
                   const getDynamicChartHeight = () => {
                     const baseHeight = 280;
                     const heightByCategoryCount = categories.length * 40;
-                    const heightByCustomerVolume = totalCustomers / 20;
+                    const heightByPetVolume = totalPets / 20;
                     const buffer = 60; // added buffer to always provide extra room
                     return Math.max(
                       320,
-                      Math.min(650, baseHeight + heightByCategoryCount + heightByCustomerVolume + buffer)
+                      Math.min(650, baseHeight + heightByCategoryCount + heightByPetVolume + buffer)
                     );
                   };
 
@@ -407,7 +534,7 @@ export default function Dashboard() {
                           />
                           <Tooltip />
                           <Bar
-                            dataKey="customers"
+                            dataKey="pets"
                             fill="#006fbb"
                             radius={[4, 4, 0, 0]}
                             label={({ x, y, width, value }) => (
@@ -418,7 +545,7 @@ export default function Dashboard() {
                                 textAnchor="middle"
                                 fontSize={12}
                               >
-                                {Math.round(value)} customers
+                                {Math.round(value)} pets
                               </text>
                             )}
                           />
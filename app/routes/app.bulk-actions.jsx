@@ -0,0 +1,60 @@
+import { authenticate } from "../shopify.server";
+import {
+  advanceBulkActionJob,
+  getBulkActionExport,
+  getBulkActionJob,
+  startBulkActionJob,
+} from "../models/bulkActions.server";
+
+// Resource route of the View profiles bulk actions.
+// GET ?id=<jobId> returns the job's progress; add &download=1 for the file of a completed export.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const searchParams = new URL(request.url).searchParams;
+  const id = searchParams.get("id") || "";
+
+  if (searchParams.get("download")) {
+    const file = await getBulkActionExport(session.shop, id);
+    if (!file) throw new Response("Export not found", { status: 404 });
+
+    const filename = `pet-profile-report-${new Date().toISOString().slice(0, 10)}.${file.format}`;
+    return new Response(file.output, {
+      headers: {
+        "Content-Type":
+          file.format === "xlsx"
+            ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            : "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  }
+
+  const job = await getBulkActionJob(session.shop, id);
+  if (!job) throw new Response("Bulk action not found", { status: 404 });
+  return { job };
+};
+
+// POST `action`, repeated `customerId` and `petId` fields, and the action's `field`, `value`,
+// `tags` or `format` to start a job. The job's first step runs right away, so small jobs are
+// done by the time the page shows them; `/cron/jobs` runs the rest.
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const { job, errors } = await startBulkActionJob(session.shop, {
+      action: formData.get("action"),
+      customerIds: formData.getAll("customerId").map(String),
+      petIds: formData.getAll("petId").map(String),
+      field: String(formData.get("field") || ""),
+      value: String(formData.get("value") || ""),
+      tags: String(formData.get("tags") || ""),
+      format: formData.get("format"),
+    });
+    if (!job) return { job, errors };
+    return { job: await advanceBulkActionJob(admin, session.shop, job.id), errors };
+  } catch (error) {
+    console.error("[bulk-actions] Failed to start a bulk action:", error);
+    return { job: null, errors: { form: error.message } };
+  }
+};
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { checkPetProfileSync, resyncPetProfiles } from "../models/customerSync.server";
+
+// Resource route polled by the admin pages while a customer sync runs. Each request checks on
+// the bulk operation, then imports the next part of its result once Shopify finished.
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  const sync = await checkPetProfileSync(admin, session.shop);
+  return { sync };
+};
+
+// "Refresh data": starts a full sync unless one is already running
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  const sync = await resyncPetProfiles(admin, session.shop);
+  return { sync, error: sync.status === "failed" ? sync.error : null };
+};
@@ -0,0 +1,186 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  TextField,
+  Button,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Banner,
+  Badge,
+  DataTable,
+  EmptyState,
+  Link,
+} from "@shopify/polaris";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useRef } from "react";
+import { authenticate } from "../shopify.server";
+import { getRewardSettings, listRewardCodes, saveRewardSettings } from "../models/rewards.server";
+
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  try {
+    const [settings, codes] = await Promise.all([
+      getRewardSettings(session.shop),
+      listRewardCodes(admin, session.shop),
+    ]);
+    return { settings, codes, error: null };
+  } catch (error) {
+    console.error("[rewards] Failed to load discount codes:", error);
+    return { settings: await getRewardSettings(session.shop), codes: [], error: error.message };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent !== "save-settings") return { intent, errors: { form: "Unknown action" } };
+
+  const { errors } = await saveRewardSettings(session.shop, {
+    percentage: formData.get("percentage"),
+    expiryDays: formData.get("expiryDays"),
+  });
+  return { intent, errors };
+};
+
+const STATUS_BADGES = {
+  pending: { label: "Not created yet", tone: "attention" },
+  redeemed: { label: "Redeemed", tone: "success" },
+  unused: { label: "Unused", tone: "info" },
+  expired: { label: "Expired" },
+  deleted: { label: "Deleted in Shopify", tone: "warning" },
+};
+
+export default function DiscountCodesPage() {
+  const { settings, codes, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [percentage, setPercentage] = useState(String(settings.percentage));
+  const [expiryDays, setExpiryDays] = useState(String(settings.expiryDays));
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSaving = fetcher.state !== "idle";
+  const errors = fetcher.data?.errors || {};
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (Object.keys(fetcher.data.errors).length === 0) shopify.toast.show("Reward settings saved");
+  }, [fetcher.state, fetcher.data]);
+
+  const redeemedCount = codes.filter((code) => code.status === "redeemed").length;
+
+  return (
+    <Page title="Discount codes" subtitle="Codes issued to customers for their first pet profile">
+      <Layout>
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Couldn't check which codes were redeemed">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <fetcher.Form method="post">
+              <input type="hidden" name="intent" value="save-settings" />
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Reward</Text>
+                <Text as="p" tone="subdued">
+                  Each customer gets a unique code the first time they submit their pet profile.
+                  It can only be used once, by that customer. Changes apply to codes issued from
+                  now on.
+                </Text>
+                {errors.form && (
+                  <Banner tone="critical">
+                    <p>{errors.form}</p>
+                  </Banner>
+                )}
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField
+                      label="Discount"
+                      name="percentage"
+                      type="number"
+                      min={1}
+                      max={100}
+                      suffix="%"
+                      value={percentage}
+                      onChange={setPercentage}
+                      error={errors.percentage}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Expires after"
+                      name="expiryDays"
+                      type="number"
+                      min={1}
+                      max={365}
+                      suffix="days"
+                      value={expiryDays}
+                      onChange={setExpiryDays}
+                      error={errors.expiryDays}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+                <InlineStack>
+                  <Button submit variant="primary" loading={isSaving}>
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </fetcher.Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Issued codes</Text>
+                {codes.length > 0 && (
+                  <Text as="p" tone="subdued">{`${redeemedCount} of ${codes.length} redeemed`}</Text>
+                )}
+              </InlineStack>
+              {codes.length === 0 ? (
+                <EmptyState heading="No codes issued yet" image="">
+                  <p>Codes appear here once customers submit their first pet profile.</p>
+                </EmptyState>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "numeric", "text", "text", "text"]}
+                  headings={["Customer", "Code", "Discount", "Issued", "Expires", "Status"]}
+                  rows={codes.map((code) => [
+                    <Link key={code.id} url={`/app/profiles/${code.customerId}`} removeUnderline>
+                      {code.email || `Customer ${code.customerId}`}
+                    </Link>,
+                    code.code,
+                    `${code.percentage}%`,
+                    new Date(code.createdAt).toLocaleDateString(),
+                    new Date(code.expiresAt).toLocaleDateString(),
+                    <Badge key={code.id} tone={STATUS_BADGES[code.status].tone}>
+                      {STATUS_BADGES[code.status].label}
+                    </Badge>,
+                  ])}
+                />
+              )}
+              {codes.some((code) => code.status === "pending") && (
+                <Text as="p" tone="subdued">
+                  Codes not created yet couldn't be created in Shopify when the customer submitted
+                  their profile. They are created the next time the customer saves a pet.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
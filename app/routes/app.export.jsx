@@ -0,0 +1,43 @@
+import { authenticate } from "../shopify.server";
+import { findPetProfiles } from "../models/petProfile.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+import { parseProfileFilters } from "../utils/profileFilters";
+import { buildReport, reportToCsv, reportToXlsx } from "../utils/report.server";
+
+// Resource route that downloads the pet profile report.
+// ?format=csv|xlsx, optional View profiles filters, or repeated ?id=<customerId> for selected rows.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const searchParams = new URL(request.url).searchParams;
+
+  const format = searchParams.get("format") === "xlsx" ? "xlsx" : "csv";
+  const customerIds = searchParams.getAll("id");
+
+  const [customers, fields] = await Promise.all([
+    findPetProfiles(session.shop, {
+      filters: parseProfileFilters(searchParams),
+      customerIds: customerIds.length > 0 ? customerIds : undefined,
+    }),
+    getFieldConfig(session.shop),
+  ]);
+  const report = buildReport(customers, fields);
+  const filename = `pet-profile-report-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  console.log(`Exporting ${customers.length} customers as ${format} for ${session.shop}`);
+
+  if (format === "xlsx") {
+    return new Response(await reportToXlsx(report), {
+      headers: {
+        "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  }
+
+  return new Response(reportToCsv(report), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+};
@@ -0,0 +1,376 @@
+import {
+  Page,
+  Layout,
+  Card,
+  DropZone,
+  Select,
+  Button,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  Banner,
+  Badge,
+  DataTable,
+  ProgressBar,
+} from "@shopify/polaris";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useMemo, useCallback, useEffect } from "react";
+import { authenticate } from "../shopify.server";
+import { parseCsv, toCsvLines } from "../utils/csv";
+import {
+  advancePetImportJob,
+  getPetImportJob,
+  getRunningPetImportJob,
+  startPetImportJob,
+  MAX_IMPORT_ROWS,
+} from "../models/petImport.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+
+// GET ?id=<jobId> returns the progress of an import job, and its rows once it finished
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const id = new URL(request.url).searchParams.get("id");
+  if (id) {
+    const job = await getPetImportJob(session.shop, id);
+    if (!job) throw new Response("Import not found", { status: 404 });
+    return { job };
+  }
+
+  const [fields, runningJob] = await Promise.all([
+    getFieldConfig(session.shop),
+    getRunningPetImportJob(session.shop),
+  ]);
+  return { maxRows: MAX_IMPORT_ROWS, fields, runningJob };
+};
+
+// The job's first step runs right away, so small files are done by the time the page shows
+// them; `/cron/jobs` runs the rest
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    const [headers = [], ...rows] = parseCsv(String(formData.get("csv") || ""));
+    const mapping = JSON.parse(String(formData.get("mapping") || "{}"));
+
+    const job = await startPetImportJob(session.shop, {
+      headers,
+      rows,
+      mapping,
+      dryRun: intent !== "import",
+    });
+
+    return { job: await advancePetImportJob(admin, session.shop, job.id), error: null };
+  } catch (error) {
+    console.error("[pet-import] Import failed:", error);
+    return { job: null, error: error.message };
+  }
+};
+
+// Rows shown on the page; the downloadable report always contains every row
+const PREVIEW_ROWS = 200;
+
+// How often the progress of a running job is checked
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_TONES = {
+  valid: "info",
+  imported: "success",
+  invalid: "critical",
+  failed: "critical",
+};
+
+/**
+ * Lists the columns of the downloadable results report
+ * @param {Array} fields - Configured profile fields
+ * @returns {Array} Column definitions `{ key, header }`
+ */
+const getResultColumns = (fields) => [
+  { key: "rowNumber", header: "Row" },
+  { key: "key", header: "Customer" },
+  { key: "status", header: "Status" },
+  { key: "name", header: "Pet Name" },
+  ...fields.map((field) => ({ key: field.key, header: field.label })),
+  { key: "errors", header: "Errors" },
+];
+
+/**
+ * Guesses which CSV column holds a value by comparing normalised header names
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<string>} candidates - Acceptable names
+ * @returns {string} Matching header, or "" when none matches
+ */
+const guessColumn = (headers, candidates) => {
+  const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const wanted = candidates.map(normalize);
+  return headers.find((header) => wanted.includes(normalize(header))) || "";
+};
+
+export default function ImportProfilesPage() {
+  const { maxRows, fields, runningJob } = useLoaderData();
+  const fetcher = useFetcher();
+  const statusFetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [csvText, setCsvText] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
+  const [mapping, setMapping] = useState({ keyType: "email", keyColumn: "", name: "" });
+  // The mapping the last preview ran with, so an import always matches what was previewed
+  const [previewedMapping, setPreviewedMapping] = useState(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingIntent = fetcher.formData?.get("intent");
+  // The job the page started, or an import still running from an earlier visit, with the
+  // latest progress checked for it
+  const startedJob = fetcher.data ? fetcher.data.job : runningJob;
+  const job = statusFetcher.data?.job?.id === startedJob?.id ? statusFetcher.data.job : startedJob;
+  const isRunning = job?.status === "running";
+  const loadStatus = statusFetcher.load;
+
+  useEffect(() => {
+    if (!isRunning || statusFetcher.state !== "idle") return;
+    const timeout = setTimeout(() => loadStatus(`/app/import?id=${job.id}`), POLL_INTERVAL_MS);
+    return () => clearTimeout(timeout);
+  }, [isRunning, job?.id, statusFetcher.state, statusFetcher.data, loadStatus]);
+
+  const handleDrop = useCallback(async (_dropFiles, acceptedFiles) => {
+    const [csvFile] = acceptedFiles;
+    if (!csvFile) return;
+
+    const text = await csvFile.text();
+    const [headerRow = [], ...rows] = parseCsv(text);
+    const trimmedHeaders = headerRow.map((header) => header.trim());
+
+    setFile(csvFile);
+    setCsvText(text);
+    setHeaders(trimmedHeaders);
+    setRowCount(rows.length);
+    setPreviewedMapping(null);
+
+    const emailColumn = guessColumn(trimmedHeaders, ["email", "email address", "customer email"]);
+    const nextMapping = {
+      keyType: emailColumn ? "email" : "id",
+      keyColumn: emailColumn || guessColumn(trimmedHeaders, ["customer id", "customer_id", "id"]),
+      name: guessColumn(trimmedHeaders, ["name", "pet name", "pet_name"]),
+    };
+    fields.forEach((field) => {
+      nextMapping[field.key] = guessColumn(trimmedHeaders, [field.key, field.label]);
+    });
+    setMapping(nextMapping);
+  }, [fields]);
+
+  const handleMappingChange = (key) => (value) => {
+    setMapping((prev) => ({ ...prev, [key]: value }));
+    setPreviewedMapping(null);
+  };
+
+  const submit = (intent) => {
+    if (intent === "preview") setPreviewedMapping(mapping);
+    fetcher.submit(
+      { intent, csv: csvText, mapping: JSON.stringify(mapping) },
+      { method: "post" },
+    );
+  };
+
+  const columnOptions = useMemo(
+    () => [
+      { label: "— Don't import —", value: "" },
+      ...headers.map((header) => ({ label: header, value: header })),
+    ],
+    [headers],
+  );
+
+  const downloadResults = () => {
+    const rows = job.rows.map((row) => ({
+      rowNumber: row.rowNumber,
+      key: row.key,
+      status: row.status,
+      ...row.pet,
+      errors: row.errors.join("; "),
+    }));
+    const blob = new Blob([toCsvLines(getResultColumns(fields), rows).join("\r\n")], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `pet-profile-import-${job.dryRun ? "preview" : "results"}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  const canImport =
+    job?.dryRun &&
+    job.status === "completed" &&
+    job.summary.valid > 0 &&
+    previewedMapping !== null;
+
+  return (
+    <Page
+      title="Import pet profiles"
+      subtitle="Load pet data from a CSV keyed by customer email or ID"
+      backAction={{ content: "Dashboard", url: "/app" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">1. Upload a CSV file</Text>
+              <DropZone accept=".csv,text/csv" type="file" allowMultiple={false} onDrop={handleDrop}>
+                {file ? (
+                  <div style={{ padding: "16px" }}>
+                    <Text as="p">
+                      {file.name} — {rowCount} rows, {headers.length} columns
+                    </Text>
+                  </div>
+                ) : (
+                  <DropZone.FileUpload actionHint={`Up to ${maxRows} rows, with a header row`} />
+                )}
+              </DropZone>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {headers.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">2. Map columns</Text>
+                <InlineGrid columns={2} gap="300">
+                  <Select
+                    label="Identify customers by"
+                    options={[
+                      { label: "Email", value: "email" },
+                      { label: "Customer ID", value: "id" },
+                    ]}
+                    value={mapping.keyType}
+                    onChange={handleMappingChange("keyType")}
+                  />
+                  <Select
+                    label={mapping.keyType === "id" ? "Customer ID column" : "Email column"}
+                    options={[{ label: "Select a column", value: "" }, ...columnOptions.slice(1)]}
+                    value={mapping.keyColumn}
+                    onChange={handleMappingChange("keyColumn")}
+                  />
+                  <Select
+                    label="Pet Name"
+                    options={columnOptions}
+                    value={mapping.name}
+                    onChange={handleMappingChange("name")}
+                  />
+                  {fields.map((field) => (
+                    <Select
+                      key={field.key}
+                      label={`${field.label} (${field.key})`}
+                      options={columnOptions}
+                      value={mapping[field.key]}
+                      onChange={handleMappingChange(field.key)}
+                    />
+                  ))}
+                </InlineGrid>
+                <InlineStack gap="200">
+                  <Button
+                    onClick={() => submit("preview")}
+                    loading={isSubmitting && submittingIntent === "preview"}
+                    disabled={!mapping.keyColumn || isSubmitting || isRunning}
+                  >
+                    Preview (dry run)
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={() => submit("import")}
+                    loading={isSubmitting && submittingIntent === "import"}
+                    disabled={!canImport || isSubmitting}
+                  >
+                    {canImport ? `Import ${job.summary.valid} valid rows` : "Import"}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Import failed">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {job?.status === "failed" && (
+          <Layout.Section>
+            <Banner tone="critical" title={job.dryRun ? "Preview stopped" : "Import stopped"}>
+              <p>{job.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {isRunning && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">
+                  {job.phase === "resolving" ? "Looking up customers…" : "Importing pets…"}
+                </Text>
+                <Text as="p">
+                  {`${job.summary.total - job.summary.pending} of ${job.summary.total} rows processed.`}
+                  {!job.dryRun && " The import keeps running if you leave this page."}
+                </Text>
+                <ProgressBar
+                  progress={Math.round(((job.summary.total - job.summary.pending) / job.summary.total) * 100)}
+                  size="small"
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {job?.status === "completed" && job.rows && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">
+                    {job.dryRun ? "3. Preview" : "3. Import results"}
+                  </Text>
+                  <Button onClick={downloadResults}>Download report</Button>
+                </InlineStack>
+                <InlineStack gap="200">
+                  <Badge>{`${job.summary.total} rows`}</Badge>
+                  {job.dryRun ? (
+                    <Badge tone="info">{`${job.summary.valid} valid`}</Badge>
+                  ) : (
+                    <>
+                      <Badge tone="success">{`${job.summary.imported} imported`}</Badge>
+                      <Badge tone="critical">{`${job.summary.failed} failed`}</Badge>
+                    </>
+                  )}
+                  <Badge tone="critical">{`${job.summary.invalid} invalid`}</Badge>
+                </InlineStack>
+                {job.rows.length > PREVIEW_ROWS && (
+                  <Text as="p" tone="subdued">
+                    Showing the first {PREVIEW_ROWS} rows. Download the report for every row.
+                  </Text>
+                )}
+                <DataTable
+                  columnContentTypes={["numeric", "text", "text", "text", "text"]}
+                  headings={["Row", "Customer", "Status", "Pet", "Errors"]}
+                  rows={job.rows.slice(0, PREVIEW_ROWS).map((row) => [
+                    row.rowNumber,
+                    row.key,
+                    <Badge key="status" tone={STATUS_TONES[row.status]}>{row.status}</Badge>,
+                    [row.pet.name, ...fields.map((field) => row.pet[field.key])].filter(Boolean).join(" · "),
+                    row.errors.join("; "),
+                  ])}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -23,6 +23,12 @@ export default function App() {
           Home
         </Link>
          <Link to="/app/view-profiles">View profiles</Link>
+         <Link to="/app/import">Import profiles</Link>
+         <Link to="/app/discounts">Discount codes</Link>
+         <Link to="/app/segment">Customer segment</Link>
+         <Link to="/app/tags">Customer tags</Link>
+         <Link to="/app/recommendations">Product recommendations</Link>
+         <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { getCustomerDataRequest } from "../models/privacy.server";
+
+// Resource route that downloads the data compiled for a customers/data_request webhook,
+// for the merchant to send to the customer
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const dataRequest = await getCustomerDataRequest(session.shop, params.requestId);
+  if (!dataRequest) throw new Response("Not found", { status: 404 });
+
+  const filename = `customer-${dataRequest.customerId}-pet-data.json`;
+  return new Response(JSON.stringify(dataRequest.result, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+};
@@ -0,0 +1,410 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Divider,
+  EmptyState,
+  FormLayout,
+  Select,
+  TextField,
+  Button,
+  ButtonGroup,
+} from "@shopify/polaris";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { Fragment, useEffect, useRef, useState } from "react";
+import { authenticate } from "../shopify.server";
+import { getPetCompleteness, getProfileCompleteness } from "../utils/customerDataUtils";
+import { PET_NAME_FIELD, getOptionLabel, validatePet } from "../utils/petProfileSchema";
+import { findPetProfiles, saveMerchantPet } from "../models/petProfile.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+import { getProfileHistory } from "../models/profileHistory.server";
+import { listRewardCodes } from "../models/rewards.server";
+
+export const loader = async ({ request, params }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const customerId = params.customerId;
+
+  const [[customer], history, fields] = await Promise.all([
+    findPetProfiles(session.shop, { customerIds: [customerId] }),
+    getProfileHistory(session.shop, customerId),
+    getFieldConfig(session.shop),
+  ]);
+
+  if (!customer && history.length === 0) {
+    throw new Response("Customer not found", { status: 404 });
+  }
+
+  let rewardCodes = [];
+  let rewardError = null;
+  try {
+    rewardCodes = await listRewardCodes(admin, session.shop, { customerId });
+  } catch (error) {
+    console.error("[rewards] Failed to load the customer's discount code:", error);
+    rewardError = error.message;
+  }
+
+  return {
+    customerId,
+    customer: customer || null,
+    history,
+    fields,
+    rewardCodes,
+    rewardError,
+    shop: session.shop,
+  };
+};
+
+// Merchants correct a pet's fields, e.g. after the customer called support
+export const action = async ({ request, params }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const petId = String(formData.get("petId") || "") || null;
+
+  if (intent !== "save-pet") return { intent, petId, errors: { form: "Unknown action" } };
+
+  const [[customer], fields] = await Promise.all([
+    findPetProfiles(session.shop, { customerIds: [params.customerId] }),
+    getFieldConfig(session.shop),
+  ]);
+  // Only the customer's own pets can be edited; legacy profiles have no ID
+  if (!customer?.pets.some((pet) => (pet.id || null) === petId)) {
+    return { intent, petId, errors: { form: "This pet no longer exists. Reload the page to see the current pets." } };
+  }
+
+  let values = {};
+  try {
+    values = JSON.parse(String(formData.get("pet") || "{}"));
+  } catch {
+    return { intent, petId, errors: { form: "The form couldn't be read" } };
+  }
+
+  // Fields may stay empty, so a merchant can correct one value of an incomplete profile
+  const { pet, errors } = validatePet({ ...values, id: petId, legacy: !petId }, { partial: true, fields });
+  if (Object.keys(errors).length > 0) return { intent, petId, errors };
+
+  try {
+    await saveMerchantPet(admin, session.shop, params.customerId, pet);
+    return { intent, petId, errors: {} };
+  } catch (error) {
+    console.error(`[pet-profile] Failed to save pet ${petId} for customer ${params.customerId}:`, error);
+    return { intent, petId, errors: { form: error.message, ...error.details?.fields } };
+  }
+};
+
+const SOURCE_BADGES = {
+  customer: { label: "Customer", tone: "info" },
+  merchant: { label: "Merchant", tone: "attention" },
+  import: { label: "CSV import", tone: "magic" },
+};
+
+const REWARD_BADGES = {
+  pending: { label: "Not created yet", tone: "attention" },
+  redeemed: { label: "Redeemed", tone: "success" },
+  unused: { label: "Unused", tone: "info" },
+  expired: { label: "Expired" },
+  deleted: { label: "Deleted in Shopify", tone: "warning" },
+};
+
+const completenessTone = (completeness) =>
+  completeness === 100 ? "success" : completeness >= 60 ? "warning" : "critical";
+
+/**
+ * Describes one field change of a history entry
+ * Fields removed from the configuration since the change are shown by key.
+ * @param {Object} change - `{ field, before, after }`
+ * @param {Array} fields - Configured profile fields
+ * @returns {string} e.g. `Pet Age: 1-6 → 7-12`
+ */
+const describeChange = ({ field, before, after }, fields) => {
+  const label = field === "name" ? "Name" : fields.find((f) => f.key === field)?.label || field;
+  if (before === null) return `${label} set to "${after}"`;
+  if (after === null) return `${label} removed (was "${before}")`;
+  return `${label}: "${before || "empty"}" → "${after || "empty"}"`;
+};
+
+/**
+ * Groups the field changes of a history entry by pet
+ * @param {Array} changes - Field changes
+ * @returns {Array} `{ key, petName, status, changes }` per pet
+ */
+const groupByPet = (changes) => {
+  const groups = new Map();
+  changes.forEach((change) => {
+    const key = change.petId || "legacy";
+    if (!groups.has(key)) {
+      groups.set(key, { key, petName: change.petName, changes: [] });
+    }
+    groups.get(key).changes.push(change);
+  });
+
+  return [...groups.values()].map((group) => ({
+    ...group,
+    status: group.changes.every((c) => c.before === null)
+      ? "added"
+      : group.changes.every((c) => c.after === null)
+        ? "removed"
+        : "updated",
+  }));
+};
+
+/**
+ * Lists the choices of a choice field, keeping a stored value that is no longer allowed so the
+ * merchant sees it and picks a valid one
+ * @param {Object} field - Field schema
+ * @param {string} value - Current value
+ * @returns {Array} `{ label, value }` choices
+ */
+const fieldChoices = (field, value) => {
+  const choices = [
+    { label: "Not answered", value: "" },
+    ...field.options.map((option) => ({ label: option.label, value: option.value })),
+  ];
+  if (value && !field.options.some((option) => option.value === value)) {
+    choices.push({ label: `${value} (not an option)`, value });
+  }
+  return choices;
+};
+
+/**
+ * One pet with its field values, and a form to correct them
+ * @param {Object} props
+ * @param {Object} props.pet - Pet object
+ * @param {Array} props.fields - Configured profile fields
+ */
+function PetCard({ pet, fields }) {
+  const fetcher = useFetcher();
+  const [isEditing, setIsEditing] = useState(false);
+  const [values, setValues] = useState({});
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSaving = fetcher.state !== "idle";
+  const errors = (isEditing && fetcher.data?.errors) || {};
+  const completeness = getPetCompleteness(pet, fields);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (Object.keys(fetcher.data.errors).length > 0) return;
+    setIsEditing(false);
+    shopify.toast.show("Pet saved");
+  }, [fetcher.state, fetcher.data]);
+
+  const startEditing = () => {
+    setValues(Object.fromEntries([PET_NAME_FIELD, ...fields].map((field) => [field.key, pet[field.key] || ""])));
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save-pet", petId: pet.id || "", pet: JSON.stringify(values) },
+      { method: "post" },
+    );
+  };
+
+  const setValue = (key) => (value) => setValues((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingMd" as="h2">{pet.name || "Unnamed pet"}</Text>
+            <Badge tone={completenessTone(completeness)}>{`${completeness}% Complete`}</Badge>
+            {pet.legacy && <Badge>Legacy profile</Badge>}
+          </InlineStack>
+          {!isEditing && <Button onClick={startEditing}>Edit</Button>}
+        </InlineStack>
+
+        {isEditing ? (
+          <FormLayout>
+            {errors.form && (
+              <Banner tone="critical">
+                <p>{errors.form}</p>
+              </Banner>
+            )}
+            {pet.legacy && (
+              <Text as="p" tone="subdued">
+                Saving moves this profile from the legacy customer metafields to a pet entry.
+              </Text>
+            )}
+            {[PET_NAME_FIELD, ...fields].map((field) =>
+              field.options ? (
+                <Select
+                  key={field.key}
+                  label={field.label}
+                  options={fieldChoices(field, values[field.key])}
+                  value={values[field.key]}
+                  onChange={setValue(field.key)}
+                  error={errors[field.key]}
+                />
+              ) : (
+                <TextField
+                  key={field.key}
+                  label={field.label}
+                  value={values[field.key]}
+                  onChange={setValue(field.key)}
+                  maxLength={field.maxLength}
+                  error={errors[field.key]}
+                  autoComplete="off"
+                />
+              ),
+            )}
+            <ButtonGroup>
+              <Button variant="primary" onClick={handleSave} loading={isSaving}>
+                Save
+              </Button>
+              <Button onClick={() => setIsEditing(false)} disabled={isSaving}>
+                Cancel
+              </Button>
+            </ButtonGroup>
+          </FormLayout>
+        ) : (
+          <BlockStack gap="100">
+            {fields.map((field) => (
+              <InlineStack key={field.key} align="space-between" gap="200">
+                <Text as="span" tone="subdued">{field.label}</Text>
+                <Text as="span">
+                  {pet[field.key] ? getOptionLabel(field.key, pet[field.key], { fields }) : "Not answered"}
+                </Text>
+              </InlineStack>
+            ))}
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function CustomerProfilePage() {
+  const { customerId, customer, history, fields, rewardCodes, rewardError, shop } = useLoaderData();
+
+  const name = customer
+    ? `${customer.firstName} ${customer.lastName}`.trim() || customer.email || `Customer ${customerId}`
+    : `Customer ${customerId}`;
+  const shopDomain = shop.replace(".myshopify.com", "");
+  const completeness = customer ? getProfileCompleteness(customer, fields) : 0;
+
+  return (
+    <Page
+      title={name}
+      subtitle={customer?.email || undefined}
+      backAction={{ content: "View profiles", url: "/app/view-profiles" }}
+      secondaryActions={[
+        {
+          content: "Open in Shopify admin",
+          url: `https://admin.shopify.com/store/${shopDomain}/customers/${customerId}`,
+          external: true,
+        },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {!customer || customer.pets.length === 0 ? (
+              <Card>
+                <EmptyState heading="No pets added" image="">
+                  <p>Pets appear here once the customer adds them to their profile.</p>
+                </EmptyState>
+              </Card>
+            ) : (
+              customer.pets.map((pet, index) => (
+                <PetCard key={pet.id || `legacy-${index}`} pet={pet} fields={fields} />
+              ))
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Change history</Text>
+                {history.length === 0 ? (
+                  <EmptyState heading="No changes recorded yet" image="">
+                    <p>Changes appear here when the customer, an import or a merchant edits these pets.</p>
+                  </EmptyState>
+                ) : (
+                  history.map((entry, index) => {
+                    const source = SOURCE_BADGES[entry.source] || { label: entry.source };
+                    return (
+                      <Fragment key={entry.id}>
+                        {index > 0 && <Divider />}
+                        <BlockStack gap="200">
+                          <InlineStack gap="200" blockAlign="center">
+                            <Text as="span" fontWeight="semibold">
+                              {new Date(entry.createdAt).toLocaleString()}
+                            </Text>
+                            <Badge tone={source.tone}>{source.label}</Badge>
+                          </InlineStack>
+                          {groupByPet(entry.changes).map((group) => (
+                            <BlockStack key={group.key} gap="100">
+                              <Text as="p" variant="bodySm" tone="subdued">
+                                {`${group.petName || "Unnamed pet"} — ${group.status}`}
+                              </Text>
+                              {group.changes.map((change) => (
+                                <Text as="p" key={change.field}>
+                                  {describeChange(change, fields)}
+                                </Text>
+                              ))}
+                            </BlockStack>
+                          ))}
+                        </BlockStack>
+                      </Fragment>
+                    );
+                  })
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Profile</Text>
+              <InlineStack align="space-between">
+                <Text as="span" tone="subdued">Completeness</Text>
+                <Badge tone={completenessTone(completeness)}>{`${completeness}%`}</Badge>
+              </InlineStack>
+              <InlineStack align="space-between">
+                <Text as="span" tone="subdued">Submitted</Text>
+                <Text as="span">
+                  {customer?.submittedAt ? new Date(customer.submittedAt).toLocaleDateString() : "Not yet"}
+                </Text>
+              </InlineStack>
+              {customer?.profileUpdatedAt && (
+                <InlineStack align="space-between">
+                  <Text as="span" tone="subdued">Last updated</Text>
+                  <Text as="span">{new Date(customer.profileUpdatedAt).toLocaleDateString()}</Text>
+                </InlineStack>
+              )}
+              <Divider />
+              <Text variant="headingSm" as="h3">Discount code</Text>
+              {rewardError && (
+                <Text as="p" tone="critical">{`Couldn't check the code in Shopify: ${rewardError}`}</Text>
+              )}
+              {rewardCodes.length === 0 ? (
+                <Text as="p" tone="subdued">No code issued yet</Text>
+              ) : (
+                rewardCodes.map((reward) => (
+                  <BlockStack key={reward.id} gap="100">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="span" fontWeight="semibold">{reward.code}</Text>
+                      <Badge tone={REWARD_BADGES[reward.status].tone}>{REWARD_BADGES[reward.status].label}</Badge>
+                    </InlineStack>
+                    <Text as="p" tone="subdued">
+                      {`${reward.percentage}% off · expires ${new Date(reward.expiresAt).toLocaleDateString()}`}
+                    </Text>
+                  </BlockStack>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,215 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Select,
+  Button,
+  Badge,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Box,
+  Banner,
+  EmptyState,
+} from "@shopify/polaris";
+import { DeleteIcon, PlusIcon } from "@shopify/polaris-icons";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useRef } from "react";
+import { authenticate } from "../shopify.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+import {
+  MAX_PET_RECOMMENDATIONS,
+  MAX_RECOMMENDATION_RULES,
+  getRecommendationRules,
+  saveRecommendationRules,
+} from "../models/recommendations.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [rules, fields] = await Promise.all([
+    getRecommendationRules(session.shop),
+    getFieldConfig(session.shop),
+  ]);
+
+  return { rules, fields, maxRules: MAX_RECOMMENDATION_RULES, maxProducts: MAX_PET_RECOMMENDATIONS };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const fields = await getFieldConfig(session.shop);
+    const rules = JSON.parse(String(formData.get("rules") || "[]"));
+    const { errors } = await saveRecommendationRules(session.shop, rules, fields);
+    return { errors };
+  } catch (error) {
+    console.error("[recommendations] Failed to save recommendation rules:", error);
+    return { errors: [error.message] };
+  }
+};
+
+// Local IDs used as React keys, since new rules have no answers or target yet
+let nextLocalId = 0;
+const withLocalIds = (rules) => rules.map((rule) => ({ ...rule, localId: nextLocalId++ }));
+
+// Drops the local IDs before the rules are submitted
+const withoutLocalIds = (rules) => rules.map(({ localId, ...rule }) => rule);
+
+export default function ProductRecommendationsPage() {
+  const { rules: savedRules, fields, maxRules, maxProducts } = useLoaderData();
+  const fetcher = useFetcher();
+  const [rules, setRules] = useState(() => withLocalIds(savedRules));
+  const [isDirty, setIsDirty] = useState(false);
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const errors = fetcher.data?.errors || [];
+  // Only answers chosen from a list can be matched reliably
+  const choiceFields = fields.filter((field) => field.options);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (fetcher.data.errors.length > 0) return;
+
+    setRules(withLocalIds(savedRules));
+    setIsDirty(false);
+    shopify.toast.show("Recommendations saved");
+  }, [fetcher.state, fetcher.data, savedRules]);
+
+  const updateRules = (update) => {
+    setRules(update);
+    setIsDirty(true);
+  };
+
+  const updateRule = (ruleIndex, changes) =>
+    updateRules((prev) => prev.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule)));
+
+  const setCondition = (ruleIndex, key, value) =>
+    updateRules((prev) =>
+      prev.map((rule, i) => {
+        if (i !== ruleIndex) return rule;
+        const { [key]: _, ...conditions } = rule.conditions;
+        return { ...rule, conditions: value ? { ...conditions, [key]: value } : conditions };
+      }),
+    );
+
+  const addRule = () =>
+    updateRules((prev) => [...prev, { conditions: {}, target: { type: "", id: "", title: "" }, localId: nextLocalId++ }]);
+
+  const pickTarget = async (ruleIndex, type) => {
+    const selection = await shopify.resourcePicker({ type, multiple: false });
+    if (!selection?.length) return;
+    updateRule(ruleIndex, { target: { type, id: selection[0].id, title: selection[0].title } });
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ rules: JSON.stringify(withoutLocalIds(rules)) }, { method: "post" });
+  };
+
+  const answerOptions = (field) => [
+    { label: "Any", value: "" },
+    ...field.options.map((option) => ({ label: option.label, value: option.value })),
+  ];
+
+  return (
+    <Page
+      title="Product recommendations"
+      subtitle="Recommend products to customers from their pet profile answers"
+      backAction={{ content: "Dashboard", url: "/app" }}
+      primaryAction={{
+        content: "Save",
+        onAction: handleSave,
+        loading: isSubmitting,
+        disabled: !isDirty || isSubmitting,
+      }}
+    >
+      <Layout>
+        {errors.length > 0 && (
+          <Layout.Section>
+            <Banner tone="critical" title="The recommendations weren't saved">
+              <ul style={{ margin: 0, paddingLeft: "20px" }}>
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <BlockStack gap="100">
+                <Text variant="headingMd" as="h2">Recommendation rules</Text>
+                <Text as="p" tone="subdued">
+                  {`Customers see "Recommended for" their pet on the pet profile page when the pet has
+                  every answer of a rule. Rules with more answers come first, and up to ${maxProducts}
+                  products are shown per pet. Only active products on the online store are shown.`}
+                </Text>
+              </BlockStack>
+
+              {rules.length === 0 ? (
+                <EmptyState heading="No recommendation rules yet" image="">
+                  <p>Add a rule such as Hip and Joint Health + Dog + 50+ lbs → your joint care collection.</p>
+                </EmptyState>
+              ) : (
+                rules.map((rule, ruleIndex) => (
+                  <Box key={rule.localId} padding="300" borderWidth="025" borderColor="border" borderRadius="200">
+                    <BlockStack gap="300">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <Text variant="headingSm" as="h3">{`Rule ${ruleIndex + 1}`}</Text>
+                        <Button
+                          icon={DeleteIcon}
+                          tone="critical"
+                          variant="plain"
+                          accessibilityLabel="Remove rule"
+                          onClick={() => updateRules((prev) => prev.filter((_, i) => i !== ruleIndex))}
+                        />
+                      </InlineStack>
+
+                      <InlineGrid columns={{ xs: 1, md: 3 }} gap="200">
+                        {choiceFields.map((field) => (
+                          <Select
+                            key={field.key}
+                            label={field.label}
+                            options={answerOptions(field)}
+                            value={rule.conditions[field.key] || ""}
+                            onChange={(value) => setCondition(ruleIndex, field.key, value)}
+                          />
+                        ))}
+                      </InlineGrid>
+
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="span" fontWeight="semibold">Recommend</Text>
+                        {rule.target.id ? (
+                          <>
+                            <Badge>{rule.target.type === "collection" ? "Collection" : "Product"}</Badge>
+                            <Text as="span">{rule.target.title}</Text>
+                          </>
+                        ) : (
+                          <Text as="span" tone="subdued">Nothing chosen yet</Text>
+                        )}
+                        <Button onClick={() => pickTarget(ruleIndex, "product")}>Choose product</Button>
+                        <Button onClick={() => pickTarget(ruleIndex, "collection")}>Choose collection</Button>
+                      </InlineStack>
+                    </BlockStack>
+                  </Box>
+                ))
+              )}
+
+              <InlineStack>
+                <Button icon={PlusIcon} onClick={addRule} disabled={rules.length >= maxRules || choiceFields.length === 0}>
+                  Add rule
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
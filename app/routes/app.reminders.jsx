@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { advanceBulkActionJob, startReminderRun } from "../models/bulkActions.server";
+
+// Resource route that starts reminding every customer with an incomplete profile. The job's first
+// step runs right away; `/cron/jobs` runs the rest. Reminders for a View profiles selection are
+// sent by the `send-reminders` bulk action instead.
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  try {
+    const { job, errors } = await startReminderRun(session.shop);
+    if (!job) return { job, error: errors.form };
+    return { job: await advanceBulkActionJob(admin, session.shop, job.id), error: null };
+  } catch (error) {
+    console.error("[reminders] Starting reminders failed:", error);
+    return { job: null, error: error.message };
+  }
+};
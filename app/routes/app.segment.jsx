@@ -0,0 +1,228 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  TextField,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Badge,
+} from "@shopify/polaris";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useRef } from "react";
+import { authenticate } from "../shopify.server";
+import {
+  PET_PROFILE_SEGMENT_NAME,
+  PET_PROFILE_SEGMENT_QUERY,
+  chooseSegment,
+  clearSegment,
+  findOrCreatePetProfileSegment,
+  getConfiguredSegment,
+  getSegment,
+} from "../models/segment.server";
+import { resyncPetProfiles } from "../models/customerSync.server";
+
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  const { segmentId, isSetUp } = await getConfiguredSegment(session.shop);
+  const defaultSegment = { name: PET_PROFILE_SEGMENT_NAME, query: PET_PROFILE_SEGMENT_QUERY };
+  if (!segmentId) {
+    return { status: isSetUp ? "none" : "not-set-up", segment: null, defaultSegment, error: null };
+  }
+
+  try {
+    const segment = await getSegment(admin, segmentId);
+    return { status: segment ? "active" : "deleted", segment, defaultSegment, error: null };
+  } catch (error) {
+    console.error("[segment] Failed to load the segment:", error);
+    return { status: "active", segment: { id: segmentId }, defaultSegment, error: error.message };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  let errors = {};
+  try {
+    if (intent === "find-or-create") {
+      await findOrCreatePetProfileSegment(admin, session.shop);
+    } else if (intent === "choose") {
+      ({ errors } = await chooseSegment(admin, session.shop, formData.get("segmentId")));
+    } else if (intent === "clear") {
+      await clearSegment(session.shop);
+    } else {
+      return { intent, errors: { form: "Unknown action" } };
+    }
+  } catch (error) {
+    console.error("[segment] Failed to change the segment:", error);
+    return { intent, errors: { form: error.message } };
+  }
+
+  // The mirror is synced again from the new source
+  if (Object.keys(errors).length === 0) {
+    await resyncPetProfiles(admin, session.shop);
+  }
+  return { intent, errors };
+};
+
+const STATUS_BADGES = {
+  active: { label: "Active", tone: "success" },
+  deleted: { label: "Deleted in Shopify", tone: "critical" },
+  none: { label: "All customers" },
+  "not-set-up": { label: "Not set up", tone: "attention" },
+};
+
+const SUCCESS_MESSAGES = {
+  "find-or-create": "Segment set up, syncing customers",
+  choose: "Segment saved, syncing customers",
+  clear: "Segment removed, syncing customers",
+};
+
+/**
+ * Extracts the numeric ID of a segment GID, as shown in the segment's URL
+ * @param {string} gid - Segment GID
+ * @returns {string} Numeric ID
+ */
+const toNumericId = (gid) => gid.split("/").pop();
+
+export default function SegmentPage() {
+  const { status, segment, defaultSegment, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [segmentId, setSegmentId] = useState("");
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingIntent = fetcher.formData?.get("intent");
+  const errors = fetcher.data?.errors || {};
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (Object.keys(fetcher.data.errors).length > 0) return;
+    setSegmentId("");
+    shopify.toast.show(SUCCESS_MESSAGES[fetcher.data.intent]);
+  }, [fetcher.state, fetcher.data]);
+
+  const submit = (intent, values = {}) => fetcher.submit({ intent, ...values }, { method: "post" });
+
+  return (
+    <Page
+      title="Customer segment"
+      subtitle="Choose which customers the dashboard, View profiles and exports include"
+      backAction={{ content: "Dashboard", url: "/app" }}
+    >
+      <Layout>
+        {status === "deleted" && (
+          <Layout.Section>
+            <Banner tone="critical" title="The segment was deleted in Shopify">
+              <p>
+                Customers can't be synced until you choose another segment, or include every
+                customer with a profile.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {error && (
+          <Layout.Section>
+            <Banner tone="warning" title="Couldn't check the segment in Shopify">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {errors.form && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{errors.form}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Current segment</Text>
+                <Badge tone={STATUS_BADGES[status].tone}>{STATUS_BADGES[status].label}</Badge>
+              </InlineStack>
+              {status === "active" && (
+                <Text as="p">
+                  {segment.name ? `${segment.name} (ID ${toNumericId(segment.id)})` : `ID ${toNumericId(segment.id)}`}
+                  {segment.query && ` · ${segment.query}`}
+                </Text>
+              )}
+              {(status === "none" || status === "not-set-up") && (
+                <Text as="p">
+                  No segment is used: every customer who saved a pet profile is included.
+                </Text>
+              )}
+              {status !== "none" && (
+                <InlineStack>
+                  <Button
+                    onClick={() => submit("clear")}
+                    loading={isSubmitting && submittingIntent === "clear"}
+                    disabled={isSubmitting}
+                  >
+                    Include every customer with a profile instead
+                  </Button>
+                </InlineStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">{`"${defaultSegment.name}" segment`}</Text>
+              <Text as="p" tone="subdued">
+                Uses your {defaultSegment.name} segment, or creates it with the customers who
+                submitted a pet profile or have pets ({defaultSegment.query}).
+              </Text>
+              <InlineStack>
+                <Button
+                  variant="primary"
+                  onClick={() => submit("find-or-create")}
+                  loading={isSubmitting && submittingIntent === "find-or-create"}
+                  disabled={isSubmitting}
+                >
+                  Find or create segment
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Another segment</Text>
+              <TextField
+                label="Segment ID"
+                helpText="The number at the end of the segment's URL in Customers › Segments"
+                value={segmentId}
+                onChange={setSegmentId}
+                error={errors.segmentId}
+                autoComplete="off"
+              />
+              <InlineStack>
+                <Button
+                  onClick={() => submit("choose", { segmentId })}
+                  loading={isSubmitting && submittingIntent === "choose"}
+                  disabled={isSubmitting || !segmentId.trim()}
+                >
+                  Use segment
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
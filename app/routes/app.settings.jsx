@@ -0,0 +1,489 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  TextField,
+  Checkbox,
+  Button,
+  ButtonGroup,
+  BlockStack,
+  InlineStack,
+  Box,
+  Banner,
+  Badge,
+  DataTable,
+  Divider,
+} from "@shopify/polaris";
+import { ArrowDownIcon, ArrowUpIcon, DeleteIcon, PlusIcon } from "@shopify/polaris-icons";
+import { Modal, TitleBar } from "@shopify/app-bridge-react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useRef } from "react";
+import { authenticate } from "../shopify.server";
+import {
+  getFieldConfig,
+  isDefaultFieldConfig,
+  resetFieldConfig,
+  saveFieldConfig,
+} from "../models/fieldConfig.server";
+import {
+  advanceMetafieldMigration,
+  getMetafieldMigration,
+  registerMetafieldDefinitions,
+} from "../models/metafieldDefinitions.server";
+import { PRIVACY_TOPICS, getPrivacyRequests } from "../models/privacy.server";
+import { downloadFile } from "../utils/downloadReport";
+import { MAX_FIELD_OPTIONS, MAX_PROFILE_FIELDS } from "../utils/petProfileSchema";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [fields, isDefault, migration, privacyRequests] = await Promise.all([
+    getFieldConfig(session.shop),
+    isDefaultFieldConfig(session.shop),
+    getMetafieldMigration(session.shop),
+    getPrivacyRequests(session.shop),
+  ]);
+
+  return { fields, isDefault, migration, privacyRequests, privacyTopics: PRIVACY_TOPICS };
+};
+
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "reset") {
+      await resetFieldConfig(admin, session.shop);
+      return { intent, errors: [] };
+    }
+    if (intent === "migrate") {
+      // The first step runs right away; `/cron/jobs` runs the rest
+      await registerMetafieldDefinitions(admin, session.shop, { force: true });
+      await advanceMetafieldMigration(admin, session.shop);
+      return { intent, errors: [] };
+    }
+
+    const fields = JSON.parse(String(formData.get("fields") || "[]"));
+    const { errors } = await saveFieldConfig(admin, session.shop, fields);
+    return { intent, errors };
+  } catch (error) {
+    console.error("[field-config] Failed to save profile fields:", error);
+    return { intent, errors: [error.message] };
+  }
+};
+
+/**
+ * Moves an item of an array one position up or down
+ * @param {Array} items - Items
+ * @param {number} index - Index of the item to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array} A new array
+ */
+const move = (items, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+const PRIVACY_TOPIC_LABELS = {
+  CUSTOMERS_DATA_REQUEST: "Data request",
+  CUSTOMERS_REDACT: "Customer erasure",
+  SHOP_REDACT: "Shop erasure",
+};
+
+const PRIVACY_BADGES = {
+  running: { label: "In progress", tone: "info" },
+  completed: { label: "Completed", tone: "success" },
+  failed: { label: "Failed, Shopify will retry", tone: "critical" },
+};
+
+const MIGRATION_BADGES = {
+  waiting: { label: "Waiting for the customer sync", tone: "attention" },
+  running: { label: "Running", tone: "info" },
+  completed: { label: "Completed", tone: "success" },
+  failed: { label: "Failed", tone: "critical" },
+};
+
+// Local IDs used as React keys, since new fields and options have no key or value yet
+let nextLocalId = 0;
+const withLocalIds = (fields) =>
+  fields.map((field) => ({
+    ...field,
+    localId: nextLocalId++,
+    options: field.options.map((option) => ({ ...option, localId: nextLocalId++ })),
+  }));
+
+// Drops the local IDs before the fields are submitted
+const withoutLocalIds = (fields) =>
+  fields.map(({ localId, ...field }) => ({
+    ...field,
+    options: field.options.map(({ localId, ...option }) => option),
+  }));
+
+export default function ProfileSettingsPage() {
+  const { fields: savedFields, isDefault, migration, privacyRequests, privacyTopics } = useLoaderData();
+  const fetcher = useFetcher();
+  const [fields, setFields] = useState(() => withLocalIds(savedFields));
+  const [isDirty, setIsDirty] = useState(false);
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingIntent = fetcher.formData?.get("intent");
+  const errors = fetcher.data?.errors || [];
+
+  // After a successful save or reset, start again from the saved configuration so derived
+  // keys show up; after a failed save, keep the edits so they can be fixed
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (fetcher.data.errors.length > 0) return;
+    if (fetcher.data.intent === "migrate") {
+      shopify.toast.show("Metafield values checked");
+      return;
+    }
+
+    setFields(withLocalIds(savedFields));
+    setIsDirty(false);
+    shopify.toast.show(fetcher.data.intent === "reset" ? "Default fields restored" : "Profile fields saved");
+  }, [fetcher.state, fetcher.data, savedFields]);
+
+  const updateFields = (update) => {
+    setFields(update);
+    setIsDirty(true);
+  };
+
+  const updateField = (fieldIndex, changes) =>
+    updateFields((prev) => prev.map((field, i) => (i === fieldIndex ? { ...field, ...changes } : field)));
+
+  const updateOptions = (fieldIndex, update) =>
+    updateFields((prev) =>
+      prev.map((field, i) => (i === fieldIndex ? { ...field, options: update(field.options) } : field)),
+    );
+
+  const addField = () =>
+    updateFields((prev) => [
+      ...prev,
+      {
+        key: "",
+        type: "choice",
+        label: "",
+        required: false,
+        localId: nextLocalId++,
+        options: [{ label: "", value: "", localId: nextLocalId++ }],
+      },
+    ]);
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save", fields: JSON.stringify(withoutLocalIds(fields)) },
+      { method: "post" },
+    );
+  };
+
+  const handleReset = () => {
+    shopify.modal.hide("reset-fields-modal");
+    fetcher.submit({ intent: "reset" }, { method: "post" });
+  };
+
+  return (
+    <Page
+      title="Profile fields"
+      subtitle="Choose the questions customers answer about each pet"
+      backAction={{ content: "Dashboard", url: "/app" }}
+      primaryAction={{
+        content: "Save",
+        onAction: handleSave,
+        loading: isSubmitting && submittingIntent === "save",
+        disabled: !isDirty || isSubmitting,
+      }}
+      secondaryActions={[
+        {
+          content: "Reset to defaults",
+          onAction: () => shopify.modal.show("reset-fields-modal"),
+          loading: isSubmitting && submittingIntent === "reset",
+          disabled: isDefault || isSubmitting,
+        },
+      ]}
+    >
+      <Modal id="reset-fields-modal">
+        <p style={{ padding: "16px" }}>
+          Replace your profile fields with the default species, stress level, drug usage, age and
+          weight questions. Answers customers gave to other fields are kept in Shopify but no
+          longer shown.
+        </p>
+        <TitleBar title="Reset profile fields">
+          <button variant="primary" tone="critical" onClick={handleReset}>Reset</button>
+          <button onClick={() => shopify.modal.hide("reset-fields-modal")}>Cancel</button>
+        </TitleBar>
+      </Modal>
+      <Layout>
+        {errors.length > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="critical"
+              title={fetcher.data?.intent === "migrate" ? "The values couldn't be checked" : "The profile fields weren't saved"}
+            >
+              <ul style={{ margin: 0, paddingLeft: "20px" }}>
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Banner tone="info">
+            <p>
+              Removing a field or option hides it from customers and reports, but keeps the
+              answers already stored in Shopify. Dashboard charts and the View profiles columns
+              follow the order of the fields below.
+            </p>
+          </Banner>
+        </Layout.Section>
+
+        {fields.map((field, fieldIndex) => (
+          <Layout.Section key={field.localId}>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">
+                    {field.label || "New field"}
+                  </Text>
+                  <ButtonGroup>
+                    <Button
+                      icon={ArrowUpIcon}
+                      accessibilityLabel="Move field up"
+                      disabled={fieldIndex === 0}
+                      onClick={() => updateFields((prev) => move(prev, fieldIndex, -1))}
+                    />
+                    <Button
+                      icon={ArrowDownIcon}
+                      accessibilityLabel="Move field down"
+                      disabled={fieldIndex === fields.length - 1}
+                      onClick={() => updateFields((prev) => move(prev, fieldIndex, 1))}
+                    />
+                    <Button
+                      icon={DeleteIcon}
+                      tone="critical"
+                      accessibilityLabel="Remove field"
+                      disabled={fields.length === 1}
+                      onClick={() => updateFields((prev) => prev.filter((_, i) => i !== fieldIndex))}
+                    />
+                  </ButtonGroup>
+                </InlineStack>
+
+                <TextField
+                  label="Label"
+                  value={field.label}
+                  onChange={(value) => updateField(fieldIndex, { label: value })}
+                  helpText={field.key ? `Stored as "${field.key}"` : "The key is generated from the label"}
+                  autoComplete="off"
+                />
+                <Checkbox
+                  label="Required"
+                  helpText="Customers must answer this question to save a pet"
+                  checked={field.required}
+                  onChange={(checked) => updateField(fieldIndex, { required: checked })}
+                />
+
+                <Divider />
+                <Text variant="headingSm" as="h3">Options</Text>
+                {field.options.map((option, optionIndex) => (
+                  <InlineStack key={option.localId} gap="200" blockAlign="end" wrap={false}>
+                    <Box minWidth="40%">
+                      <TextField
+                        label="Label"
+                        labelHidden={optionIndex > 0}
+                        value={option.label}
+                        onChange={(value) =>
+                          updateOptions(fieldIndex, (options) =>
+                            options.map((o, i) => (i === optionIndex ? { ...o, label: value } : o)),
+                          )
+                        }
+                        helpText={option.value && option.value !== option.label ? `Stored as "${option.value}"` : undefined}
+                        autoComplete="off"
+                      />
+                    </Box>
+                    <Box minWidth="25%">
+                      <TextField
+                        label="Short label"
+                        labelHidden={optionIndex > 0}
+                        value={option.shortLabel || ""}
+                        placeholder="Optional"
+                        onChange={(value) =>
+                          updateOptions(fieldIndex, (options) =>
+                            options.map((o, i) => (i === optionIndex ? { ...o, shortLabel: value } : o)),
+                          )
+                        }
+                        autoComplete="off"
+                      />
+                    </Box>
+                    <ButtonGroup>
+                      <Button
+                        icon={ArrowUpIcon}
+                        accessibilityLabel="Move option up"
+                        disabled={optionIndex === 0}
+                        onClick={() => updateOptions(fieldIndex, (options) => move(options, optionIndex, -1))}
+                      />
+                      <Button
+                        icon={ArrowDownIcon}
+                        accessibilityLabel="Move option down"
+                        disabled={optionIndex === field.options.length - 1}
+                        onClick={() => updateOptions(fieldIndex, (options) => move(options, optionIndex, 1))}
+                      />
+                      <Button
+                        icon={DeleteIcon}
+                        tone="critical"
+                        accessibilityLabel="Remove option"
+                        disabled={field.options.length === 1}
+                        onClick={() =>
+                          updateOptions(fieldIndex, (options) => options.filter((_, i) => i !== optionIndex))
+                        }
+                      />
+                    </ButtonGroup>
+                  </InlineStack>
+                ))}
+                <InlineStack>
+                  <Button
+                    icon={PlusIcon}
+                    disabled={field.options.length >= MAX_FIELD_OPTIONS}
+                    onClick={() =>
+                      updateOptions(fieldIndex, (options) => [
+                        ...options,
+                        { label: "", value: "", localId: nextLocalId++ },
+                      ])
+                    }
+                  >
+                    Add option
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ))}
+
+        <Layout.Section>
+          <InlineStack align="start">
+            <Button icon={PlusIcon} onClick={addField} disabled={fields.length >= MAX_PROFILE_FIELDS}>
+              Add field
+            </Button>
+          </InlineStack>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Metafield definitions</Text>
+                {migration && (
+                  <Badge tone={MIGRATION_BADGES[migration.status]?.tone}>
+                    {MIGRATION_BADGES[migration.status]?.label || migration.status}
+                  </Badge>
+                )}
+              </InlineStack>
+              <Text as="p" tone="subdued">
+                Pet values are stored in typed metafields that only accept your options. Values
+                saved before the definitions existed are converted in the background when the app
+                is installed or reopened after an update.
+              </Text>
+              {migration?.status === "waiting" ? (
+                <Text as="p">Values are converted once the first customer sync completes.</Text>
+              ) : migration ? (
+                <Text as="p">
+                  {`${migration.convertedCount} values converted, ${migration.failureCount} could not be converted`}
+                  {migration.completedAt && ` · checked ${new Date(migration.completedAt).toLocaleString()}`}
+                </Text>
+              ) : (
+                <Text as="p">Existing values haven't been checked yet.</Text>
+              )}
+              {migration?.error && (
+                <Banner tone="critical">
+                  <p>{migration.error}</p>
+                </Banner>
+              )}
+              {migration?.failures.length > 0 && (
+                <BlockStack gap="200">
+                  <Text as="p" tone="subdued">
+                    Edit these values in the Shopify admin or ask the customer to update their
+                    profile, then check again.
+                    {migration.failureCount > migration.failures.length &&
+                      ` Showing the first ${migration.failures.length}.`}
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Owner", "Field", "Value", "Reason"]}
+                    rows={migration.failures.map((failure) => [
+                      failure.owner.split("/").slice(-2).join(" "),
+                      failure.key,
+                      failure.value,
+                      failure.reason,
+                    ])}
+                  />
+                </BlockStack>
+              )}
+              <InlineStack>
+                <Button
+                  onClick={() => fetcher.submit({ intent: "migrate" }, { method: "post" })}
+                  loading={isSubmitting && submittingIntent === "migrate"}
+                  disabled={isSubmitting || migration?.status === "running"}
+                >
+                  Check again
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Privacy requests</Text>
+              <Text as="p" tone="subdued">
+                Shopify forwards customers&apos; data and erasure requests to the app. Download the
+                data of a data request to send it to the customer; erasure requests delete their pets
+                and history from Shopify and the app.
+              </Text>
+              {privacyRequests.length === 0 ? (
+                <Text as="p">No privacy requests received yet.</Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "text"]}
+                  headings={["Request", "Customer", "Received", "Status", ""]}
+                  rows={privacyRequests.map((privacyRequest) => [
+                    PRIVACY_TOPIC_LABELS[privacyRequest.topic] || privacyRequest.topic,
+                    privacyRequest.customerId || "All customers",
+                    new Date(privacyRequest.receivedAt).toLocaleString(),
+                    <Badge key={privacyRequest.id} tone={PRIVACY_BADGES[privacyRequest.status]?.tone}>
+                      {PRIVACY_BADGES[privacyRequest.status]?.label || privacyRequest.status}
+                    </Badge>,
+                    privacyRequest.topic === privacyTopics.dataRequest && privacyRequest.status === "completed" ? (
+                      <Button
+                        key={privacyRequest.id}
+                        variant="plain"
+                        onClick={() =>
+                          downloadFile(
+                            `/app/privacy-requests/${privacyRequest.id}`,
+                            `customer-${privacyRequest.customerId}-pet-data.json`,
+                          ).catch(() => shopify.toast.show("Download failed", { isError: true }))
+                        }
+                      >
+                        Download data
+                      </Button>
+                    ) : (
+                      ""
+                    ),
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
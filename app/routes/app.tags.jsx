@@ -0,0 +1,244 @@
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  TextField,
+  Select,
+  Button,
+  BlockStack,
+  InlineStack,
+  Box,
+  Banner,
+  EmptyState,
+} from "@shopify/polaris";
+import { DeleteIcon, PlusIcon } from "@shopify/polaris-icons";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useRef } from "react";
+import { authenticate } from "../shopify.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+import { MAX_TAGGING_RULES, getTaggingRules, saveTaggingRules } from "../models/tagging.server";
+import {
+  TAGGING_BACKFILL_ACTION,
+  advanceBulkActionJob,
+  getRecentBulkActionJob,
+  startTaggingBackfill,
+} from "../models/bulkActions.server";
+import { BulkActionBanner } from "../components/BulkActionBanner";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [rules, fields, backfill] = await Promise.all([
+    getTaggingRules(session.shop),
+    getFieldConfig(session.shop),
+    getRecentBulkActionJob(session.shop, [TAGGING_BACKFILL_ACTION]),
+  ]);
+
+  return { rules, fields, backfill, maxRules: MAX_TAGGING_RULES };
+};
+
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "backfill") {
+      // The first step runs right away; `/cron/jobs` runs the rest
+      const { job, errors } = await startTaggingBackfill(session.shop);
+      if (job) await advanceBulkActionJob(admin, session.shop, job.id);
+      return { intent, errors: errors.form ? [errors.form] : [] };
+    }
+
+    const fields = await getFieldConfig(session.shop);
+    const rules = JSON.parse(String(formData.get("rules") || "[]"));
+    const { errors } = await saveTaggingRules(session.shop, rules, fields);
+    return { intent, errors };
+  } catch (error) {
+    console.error("[tagging] Failed to save tagging rules:", error);
+    return { intent, errors: [error.message] };
+  }
+};
+
+// Local IDs used as React keys, since new rules have no field or tag yet
+let nextLocalId = 0;
+const withLocalIds = (rules) => rules.map((rule) => ({ ...rule, localId: nextLocalId++ }));
+
+// Drops the local IDs before the rules are submitted
+const withoutLocalIds = (rules) => rules.map(({ localId, ...rule }) => rule);
+
+export default function CustomerTagsPage() {
+  const { rules: savedRules, fields, backfill, maxRules } = useLoaderData();
+  const fetcher = useFetcher();
+  const [rules, setRules] = useState(() => withLocalIds(savedRules));
+  const [isDirty, setIsDirty] = useState(false);
+  const [dismissedJobId, setDismissedJobId] = useState(null);
+  // The last action result handled by the effect below, so each result is handled once
+  const handledResult = useRef(null);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingIntent = fetcher.formData?.get("intent");
+  const errors = fetcher.data?.errors || [];
+  const isBackfillRunning = backfill?.status === "running";
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data || handledResult.current === fetcher.data) return;
+    handledResult.current = fetcher.data;
+    if (fetcher.data.errors.length > 0) return;
+    if (fetcher.data.intent === "backfill") {
+      shopify.toast.show("Tagging existing customers");
+      return;
+    }
+
+    setRules(withLocalIds(savedRules));
+    setIsDirty(false);
+    shopify.toast.show("Tagging rules saved");
+  }, [fetcher.state, fetcher.data, savedRules]);
+
+  const updateRules = (update) => {
+    setRules(update);
+    setIsDirty(true);
+  };
+
+  const updateRule = (ruleIndex, changes) =>
+    updateRules((prev) => prev.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule)));
+
+  const addRule = () =>
+    updateRules((prev) => [...prev, { field: fields[0]?.key || "", value: "", tag: "", localId: nextLocalId++ }]);
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "save", rules: JSON.stringify(withoutLocalIds(rules)) }, { method: "post" });
+  };
+
+  const fieldOptions = fields.map((field) => ({ label: field.label, value: field.key }));
+  const answerOptions = (fieldKey) => [
+    { label: "Choose an answer", value: "" },
+    ...(fields.find((field) => field.key === fieldKey)?.options || []).map((option) => ({
+      label: option.label,
+      value: option.value,
+    })),
+  ];
+
+  return (
+    <Page
+      title="Customer tags"
+      subtitle="Tag customers from their pet profile answers, for email and ads tools that work from tags"
+      backAction={{ content: "Dashboard", url: "/app" }}
+      primaryAction={{
+        content: "Save",
+        onAction: handleSave,
+        loading: isSubmitting && submittingIntent === "save",
+        disabled: !isDirty || isSubmitting,
+      }}
+    >
+      <Layout>
+        {errors.length > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="critical"
+              title={fetcher.data?.intent === "backfill" ? "Existing customers weren't tagged" : "The rules weren't saved"}
+            >
+              <ul style={{ margin: 0, paddingLeft: "20px" }}>
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {backfill && backfill.id !== dismissedJobId && (
+          <Layout.Section>
+            <BulkActionBanner key={backfill.id} job={backfill} onDismiss={() => setDismissedJobId(backfill.id)} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <BlockStack gap="100">
+                <Text variant="headingMd" as="h2">Tagging rules</Text>
+                <Text as="p" tone="subdued">
+                  Customers get a tag while one of their pets has the answer, and lose it when the
+                  answer changes. Tags are updated each time a customer or merchant saves a pet.
+                  Tags that no rule names are never changed.
+                </Text>
+              </BlockStack>
+
+              {rules.length === 0 ? (
+                <EmptyState heading="No tagging rules yet" image="">
+                  <p>Add a rule such as Pet Species Dog → "dog-owner".</p>
+                </EmptyState>
+              ) : (
+                rules.map((rule, ruleIndex) => (
+                  <InlineStack key={rule.localId} gap="200" blockAlign="end" wrap={false}>
+                    <Box minWidth="30%">
+                      <Select
+                        label="Field"
+                        labelHidden={ruleIndex > 0}
+                        options={fieldOptions}
+                        value={rule.field}
+                        onChange={(value) => updateRule(ruleIndex, { field: value, value: "" })}
+                      />
+                    </Box>
+                    <Box minWidth="30%">
+                      <Select
+                        label="Answer"
+                        labelHidden={ruleIndex > 0}
+                        options={answerOptions(rule.field)}
+                        value={rule.value}
+                        onChange={(value) => updateRule(ruleIndex, { value })}
+                      />
+                    </Box>
+                    <Box minWidth="30%">
+                      <TextField
+                        label="Tag"
+                        labelHidden={ruleIndex > 0}
+                        value={rule.tag}
+                        onChange={(value) => updateRule(ruleIndex, { tag: value })}
+                        autoComplete="off"
+                      />
+                    </Box>
+                    <Button
+                      icon={DeleteIcon}
+                      tone="critical"
+                      accessibilityLabel="Remove rule"
+                      onClick={() => updateRules((prev) => prev.filter((_, i) => i !== ruleIndex))}
+                    />
+                  </InlineStack>
+                ))
+              )}
+
+              <InlineStack>
+                <Button icon={PlusIcon} onClick={addRule} disabled={rules.length >= maxRules || fields.length === 0}>
+                  Add rule
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">Existing customers</Text>
+              <Text as="p" tone="subdued">
+                Apply the saved rules to every synced customer once, for example after adding a
+                rule. Keep this page open while it runs.
+              </Text>
+              <InlineStack>
+                <Button
+                  onClick={() => fetcher.submit({ intent: "backfill" }, { method: "post" })}
+                  loading={isSubmitting && submittingIntent === "backfill"}
+                  disabled={isSubmitting || isDirty || isBackfillRunning || savedRules.length === 0}
+                >
+                  Tag existing customers
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -17,38 +17,52 @@ import {
   Banner,
   Badge,
   EmptyState,
+  Select,
+  FormLayout,
 } from "@shopify/polaris";
-import { useLoaderData, useNavigate } from "@remix-run/react";
-import { useState, useCallback, useEffect, useMemo } from "react";
+import { Modal, TitleBar } from "@shopify/app-bridge-react";
+import { useFetcher, useLoaderData, useNavigate, useNavigation, useSearchParams } from "@remix-run/react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import { authenticate } from "../shopify.server";
-import { fetchCustomersWithPagination, getProfileCompleteness, extractIdFromGid } from "../utils/customerDataUtils";
+import { getProfileCompleteness, getPetCompleteness, extractIdFromGid } from "../utils/customerDataUtils";
+import { ANSWER_PARAM_PREFIX, parseProfileFilters, PROFILES_PAGE_SIZE } from "../utils/profileFilters";
+import { downloadReport } from "../utils/downloadReport";
+import { getOptionLabel, getPetField, PET_PROFILE_FIELDS } from "../utils/petProfileSchema";
+import { CustomerSyncBanner, isSyncActive, useRefreshData } from "../components/CustomerSyncBanner";
+import { BulkActionBanner } from "../components/BulkActionBanner";
+import { queryPetProfiles } from "../models/petProfile.server";
+import { ensurePetProfilesSynced } from "../models/customerSync.server";
+import { getFieldConfig } from "../models/fieldConfig.server";
+import { getRecentBulkActionJob } from "../models/bulkActions.server";
 
 export const loader = async ({ request }) => {
   const { session, admin } = await authenticate.admin(request);
+  const filters = parseProfileFilters(new URL(request.url).searchParams);
   
   try {
-    const result = await fetchCustomersWithPagination(admin, 1000, 100);
-    
-    if (result.error) {
-      return { 
-        customers: [],
-        totalCustomers: 0,
-        shop: session.shop,
-        error: result.error,
-        dataQuality: {
-          completeProfiles: 0,
-          incompleteProfiles: 0,
-          missingData: {}
-        }
-      };
+    const sync = await ensurePetProfilesSynced(admin, session.shop);
+    if (!sync.completedAt && !isSyncActive(sync)) {
+      throw new Error(sync.error || "Initial customer sync has not completed");
     }
 
+    const [result, fields, bulkJob] = await Promise.all([
+      queryPetProfiles(session.shop, filters, PROFILES_PAGE_SIZE),
+      getFieldConfig(session.shop),
+      getRecentBulkActionJob(session.shop),
+    ]);
+
     return { 
       customers: result.customers,
       totalCustomers: result.totalCustomers,
+      shopTotal: result.shopTotal,
+      page: result.page,
+      pageCount: result.pageCount,
+      fields,
       shop: session.shop,
       error: null,
-      paginationInfo: result.paginationInfo
+      lastSyncedAt: sync.completedAt,
+      sync,
+      bulkJob,
     };
 
   } catch (error) {
@@ -57,159 +71,150 @@ export const loader = async ({ request }) => {
     return { 
       customers: [],
       totalCustomers: 0,
+      shopTotal: 0,
+      page: 1,
+      pageCount: 1,
       shop: session.shop,
       error: error.message,
-      dataQuality: {
-        completeProfiles: 0,
-        incompleteProfiles: 0,
-        missingData: {}
-      }
     };
   }
 };
 
+/**
+ * Builds ChoiceList choices from the allowed values of a pet field
+ * @param {Object} field - Field schema
+ * @returns {Array} `{ label, value }` choices
+ */
+const fieldChoices = (field) =>
+  field.options.map((option) => ({
+    label: option.shortLabel || option.label,
+    value: option.value,
+  }));
+
+// Bulk actions that ask for a field or tags before they start
+const BULK_ACTION_MODALS = {
+  "set-field": { title: "Set pet field", submit: "Set field" },
+  "clear-field": { title: "Clear pet field", submit: "Clear field" },
+  "add-tags": { title: "Add customer tags", submit: "Add tags" },
+  "remove-tags": { title: "Remove customer tags", submit: "Remove tags" },
+};
+
 export default function CustomerProfilesPage() {
   const [isMounted, setIsMounted] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
   const navigate = useNavigate();
 
-  const itemsPerPage = 50;
+  const {
+    customers,
+    totalCustomers,
+    shopTotal,
+    page: currentPage,
+    pageCount,
+    fields = PET_PROFILE_FIELDS,
+    error,
+    lastSyncedAt,
+    sync,
+    bulkJob,
+  } = useLoaderData();
 
-  const { customers: allCustomers, totalCustomers, shop, error, paginationInfo } = useLoaderData();
-  const [filteredCustomers, setFilteredCustomers] = useState(allCustomers);
-
-  const paginatedCustomers = useMemo(() => {
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    return filteredCustomers.slice(startIndex, endIndex);
-  }, [currentPage, filteredCustomers]);
+  // "Has ..." checkbox filters, stored as repeated `has` search parameters
+  const hasFieldFilters = useMemo(() => fields.map((field) => ({
+    field: field.key,
+    key: `has_${field.key}`,
+    label: `Has ${field.label}`,
+  })), [fields]);
+  // Answer filters, one per configured field with a list of answers
+  const answerFields = useMemo(() => fields.filter((field) => field.options), [fields]);
+  const filters = useMemo(() => parseProfileFilters(searchParams), [searchParams]);
+  const isLoading = navigation.state === "loading" && navigation.location?.pathname === "/app/view-profiles";
 
   // 1. Mount check
   useEffect(() => {
     setIsMounted(true);
   }, []);
 
-  // Update filtered customers when allCustomers changes
+  // Updates search parameters through a Remix navigation, so the loader fetches the matching page.
+  // Any filter change goes back to the first page.
+  const updateParams = useCallback((changes) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        next.delete(key);
+        const values = Array.isArray(value) ? value : value ? [value] : [];
+        values.forEach((v) => next.append(key, String(v)));
+      });
+      if (!("page" in changes)) next.delete("page");
+      return next;
+    });
+  }, [setSearchParams]);
+
+  // The search field is debounced so typing doesn't trigger a request per key
+  const [queryValue, setQueryValue] = useState(filters.query);
   useEffect(() => {
-    setFilteredCustomers(allCustomers);
-  }, [allCustomers]);
-
-  const [queryValue, setQueryValue] = useState("");
-  const [petTypeFilter, setPetTypeFilter] = useState([]);
-  const [stressLevelFilter, setStressLevelFilter] = useState([]);
-  const [hasPetType, setHasPetType] = useState(false);
-  const [hasStressLevel, setHasStressLevel] = useState(false);
-  const [hasDrugUsage, setHasDrugUsage] = useState(false);
-  const [hasPetAge, setHasPetAge] = useState(false);
-  const [hasPetWeight, setHasPetWeight] = useState(false);
+    setQueryValue(filters.query);
+  }, [filters.query]);
+  useEffect(() => {
+    if (queryValue.trim() === filters.query) return;
+    const timeout = setTimeout(() => updateParams({ q: queryValue.trim() }), 400);
+    return () => clearTimeout(timeout);
+  }, [queryValue, filters.query, updateParams]);
 
   // Callbacks
   const handleQueryChange = useCallback((value) => setQueryValue(value), []);
-  const handlePetTypeChange = useCallback((value) => setPetTypeFilter(value), []);
-  const handleStressLevelChange = useCallback((value) => setStressLevelFilter(value), []);
-
-  const handleQueryValueRemove = () => setQueryValue("");
-  const handlePetTypeFilterRemove = () => setPetTypeFilter([]);
-  const handleStressLevelFilterRemove = () => setStressLevelFilter([]);
-  const handleHasPetTypeRemove = () => setHasPetType(false);
-  const handleHasStressLevelRemove = () => setHasStressLevel(false);
-  const handleHasDrugUsageRemove = () => setHasDrugUsage(false);
-  const handleHasPetAgeRemove = () => setHasPetAge(false);
-  const handleHasPetWeightRemove = () => setHasPetWeight(false);
-
-  const handleHasPetTypeChange = useCallback(
-    (checked) => setHasPetType(checked),
-    [],
-  );
-  const handleHasStressLevelChange = useCallback(
-    (checked) => setHasStressLevel(checked),
-    [],
+  const handleAnswerChange = useCallback(
+    (field, value) => updateParams({ [`${ANSWER_PARAM_PREFIX}${field}`]: value }),
+    [updateParams],
   );
-  const handleHasDrugUsageChange = useCallback(
-    (checked) => setHasDrugUsage(checked),
-    [],
-  );
-  const handleHasPetAgeChange = useCallback(
-    (checked) => setHasPetAge(checked),
-    [],
-  );
-  const handleHasPetWeightChange = useCallback(
-    (checked) => setHasPetWeight(checked),
-    [],
+  const handleHasFieldChange = useCallback(
+    (field, checked) => updateParams({
+      has: checked
+        ? [...filters.has.filter((f) => f !== field), field]
+        : filters.has.filter((f) => f !== field),
+    }),
+    [filters.has, updateParams],
   );
 
+  const handleQueryValueRemove = () => {
+    setQueryValue("");
+    updateParams({ q: null });
+  };
+
   const handleClearAll = useCallback(() => {
     setQueryValue("");
-    setPetTypeFilter([]);
-    setStressLevelFilter([]);
-    setHasPetType(false);
-    setHasStressLevel(false);
-    setHasDrugUsage(false);
-    setHasPetAge(false);
-    setHasPetWeight(false);
-    setFilteredCustomers(allCustomers);
-    setCurrentPage(1);
-  }, [allCustomers]);
+    const answerParams = Object.keys(filters.answers).map((field) => [`${ANSWER_PARAM_PREFIX}${field}`, null]);
+    updateParams({ q: null, has: null, ...Object.fromEntries(answerParams) });
+  }, [filters.answers, updateParams]);
 
   const appliedFilters = [];
-  if (queryValue) {
+  if (filters.query) {
     appliedFilters.push({
       key: "query",
-      label: `Search: ${queryValue}`,
+      label: `Search: ${filters.query}`,
       onRemove: handleQueryValueRemove,
     });
   }
-  if (petTypeFilter.length > 0) {
-    appliedFilters.push({
-      key: "petType",
-      label: `Pet Type: ${petTypeFilter.join(", ")}`,
-      onRemove: handlePetTypeFilterRemove,
-    });
-  }
-  if (stressLevelFilter.length > 0) {
-    appliedFilters.push({
-      key: "stressLevel",
-      label: `Stress Level: ${stressLevelFilter.join(", ")}`,
-      onRemove: handleStressLevelFilterRemove,
-    });
-  }
-  if (hasPetType) {
-    appliedFilters.push({
-      key: "hasPetType",
-      label: "Has Pet Type",
-      onRemove: handleHasPetTypeRemove,
-    });
-  }
-  if (hasStressLevel) {
-    appliedFilters.push({
-      key: "hasStressLevel",
-      label: "Has Stress Level",
-      onRemove: handleHasStressLevelRemove,
-    });
-  }
-  if (hasDrugUsage) {
-    appliedFilters.push({
-      key: "hasDrugUsage",
-      label: "Has Drug Usage",
-      onRemove: handleHasDrugUsageRemove,
-    });
-  }
-  if (hasPetAge) {
-    appliedFilters.push({
-      key: "hasPetAge",
-      label: "Has Pet Age",
-      onRemove: handleHasPetAgeRemove,
-    });
-  }
-  if (hasPetWeight) {
-    appliedFilters.push({
-      key: "hasPetWeight",
-      label: "Has Pet Weight",
-      onRemove: handleHasPetWeightRemove,
-    });
-  }
+  answerFields.forEach((field) => {
+    const values = filters.answers[field.key] || [];
+    if (values.length > 0) {
+      appliedFilters.push({
+        key: `answer_${field.key}`,
+        label: `${field.label}: ${values.join(", ")}`,
+        onRemove: () => handleAnswerChange(field.key, null),
+      });
+    }
+  });
+  hasFieldFilters.forEach(({ field, key, label }) => {
+    if (filters.has.includes(field)) {
+      appliedFilters.push({
+        key,
+        label,
+        onRemove: () => handleHasFieldChange(field, false),
+      });
+    }
+  });
 
-  const filters = [
+  const filterControls = [
     {
       key: "query",
       label: "Search",
@@ -224,176 +229,216 @@ export default function CustomerProfilesPage() {
       ),
       shortcut: true,
     },
-    {
-      key: "petType",
-      label: "Pet Type",
+    ...answerFields.map((field) => ({
+      key: `answer_${field.key}`,
+      label: field.label,
       filter: (
         <ChoiceList
-          title="Pet Type"
+          title={field.label}
           titleHidden
-          choices={[
-            { label: "Dog", value: "Dog" },
-            { label: "Cat", value: "Cat" },
-            { label: "Bird", value: "Bird" },
-            { label: "Fish", value: "Fish" },
-            { label: "Other", value: "Other" },
-          ]}
-          selected={petTypeFilter}
-          onChange={handlePetTypeChange}
+          choices={fieldChoices(field)}
+          selected={filters.answers[field.key] || []}
+          onChange={(value) => handleAnswerChange(field.key, value)}
           allowMultiple
         />
       ),
-    },
-    {
-      key: "stressLevel",
-      label: "Stress Level",
+    })),
+    ...hasFieldFilters.map(({ field, key, label }) => ({
+      key,
+      label,
       filter: (
-        <ChoiceList
-          title="Stress Level"
-          titleHidden
-          choices={[
-            { label: "Low", value: "Low" },
-            { label: "Medium", value: "Medium" },
-            { label: "High", value: "High" },
-          ]}
-          selected={stressLevelFilter}
-          onChange={handleStressLevelChange}
-          allowMultiple
+        <Checkbox
+          label={label}
+          checked={filters.has.includes(field)}
+          onChange={(checked) => handleHasFieldChange(field, checked)}
         />
       ),
+    })),
+  ];
+
+  const resourceName = {
+    singular: "customer",
+    plural: "customers",
+  };
+
+  // Each customer row is followed by one child row per pet
+  const tableRows = useMemo(() => {
+    return customers.flatMap(customer => [
+      { id: customer.id, customer },
+      ...customer.pets.map((pet, index) => ({
+        id: `${customer.id}/${pet.id || `legacy-${index}`}`,
+        customer,
+        pet,
+      })),
+    ]);
+  }, [customers]);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(tableRows);
+
+  // Child rows are "<customerId>/<petId>", so the customer ID is always the first segment
+  const selectedCustomerIds = useMemo(
+    () => [...new Set(selectedResources.map((id) => id.split("/")[0]))],
+    [selectedResources],
+  );
+
+  const handleExport = async (format) => {
+    try {
+      await downloadReport({ format, filters: searchParams });
+      shopify.toast.show("Report downloaded");
+    } catch (err) {
+      shopify.toast.show(err.message, { isError: true });
+    }
+  };
+
+  const { refresh, isRefreshing } = useRefreshData();
+
+  // Bulk actions run as jobs; the banner below the page title shows the latest one
+  const bulkFetcher = useFetcher();
+  const [bulkModal, setBulkModal] = useState(null);
+  const [bulkField, setBulkField] = useState(fields[0]?.key || "");
+  const [bulkValue, setBulkValue] = useState("");
+  const [bulkTags, setBulkTags] = useState("");
+  const [dismissedJobId, setDismissedJobId] = useState(null);
+  // The last action result handled by the effect below, so each result is handled once
+  const handledBulkResult = useRef(null);
+
+  const isStartingBulkAction = bulkFetcher.state !== "idle";
+  const bulkErrors = bulkFetcher.data?.errors || {};
+  const isBulkJobRunning = bulkJob?.status === "running";
+  const bulkFieldSchema = getPetField(bulkField, fields);
+
+  useEffect(() => {
+    const result = bulkFetcher.data;
+    if (bulkFetcher.state !== "idle" || !result || handledBulkResult.current === result) return;
+    handledBulkResult.current = result;
+    if (!result.job) {
+      // Field and tag errors are shown in the modal
+      if (result.errors.form) shopify.toast.show(result.errors.form, { isError: true });
+      return;
+    }
+    setBulkModal(null);
+    clearSelection();
+    shopify.toast.show("Bulk action started");
+  }, [bulkFetcher.state, bulkFetcher.data, clearSelection]);
+
+  const startBulkAction = (action, values = {}) => {
+    const formData = new FormData();
+    formData.append("action", action);
+    selectedCustomerIds.forEach((id) => formData.append("customerId", id));
+    // Child rows are selected pets
+    selectedResources.filter((id) => id.includes("/")).forEach((id) => formData.append("petId", id));
+    Object.entries(values).forEach(([key, value]) => formData.append(key, value));
+    bulkFetcher.submit(formData, { method: "post", action: "/app/bulk-actions" });
+  };
+
+  const openBulkModal = (action) => {
+    setBulkValue("");
+    setBulkTags("");
+    setBulkModal(action);
+  };
+
+  const handleBulkModalSubmit = () => {
+    if (bulkModal === "add-tags" || bulkModal === "remove-tags") {
+      startBulkAction(bulkModal, { tags: bulkTags });
+    } else {
+      startBulkAction(bulkModal, { field: bulkField, value: bulkModal === "set-field" ? bulkValue : "" });
+    }
+  };
+
+  const promotedBulkActions = [
+    {
+      content: "Send reminders",
+      disabled: isStartingBulkAction || isBulkJobRunning,
+      onAction: () => startBulkAction("send-reminders"),
     },
     {
-      key: "hasPetType",
-      label: "Has Pet Type",
-      filter: (
-        <Checkbox
-          label="Has Pet Type"
-          checked={hasPetType}
-          onChange={handleHasPetTypeChange}
-        />
-      ),
+      title: "Export selected",
+      actions: [
+        { content: "Excel (XLSX)", onAction: () => startBulkAction("export", { format: "xlsx" }) },
+        { content: "CSV", onAction: () => startBulkAction("export", { format: "csv" }) },
+      ],
     },
     {
-      key: "hasStressLevel",
-      label: "Has Stress Level",
-      filter: (
-        <Checkbox
-          label="Has Stress Level"
-          checked={hasStressLevel}
-          onChange={handleHasStressLevelChange}
-        />
-      ),
+      content: "Set pet field",
+      disabled: isStartingBulkAction || isBulkJobRunning || fields.length === 0,
+      onAction: () => openBulkModal("set-field"),
     },
+  ];
+
+  const bulkActions = [
     {
-      key: "hasDrugUsage",
-      label: "Has Drug Usage",
-      filter: (
-        <Checkbox
-          label="Has Drug Usage"
-          checked={hasDrugUsage}
-          onChange={handleHasDrugUsageChange}
-        />
-      ),
+      content: "Clear pet field",
+      disabled: isStartingBulkAction || isBulkJobRunning || fields.length === 0,
+      onAction: () => openBulkModal("clear-field"),
     },
     {
-      key: "hasPetAge",
-      label: "Has Pet Age",
-      filter: (
-        <Checkbox
-          label="Has Pet Age"
-          checked={hasPetAge}
-          onChange={handleHasPetAgeChange}
-        />
-      ),
+      content: "Add tags",
+      disabled: isStartingBulkAction || isBulkJobRunning,
+      onAction: () => openBulkModal("add-tags"),
     },
     {
-      key: "hasPetWeight",
-      label: "Has Pet Weight",
-      filter: (
-        <Checkbox
-          label="Has Pet Weight"
-          checked={hasPetWeight}
-          onChange={handleHasPetWeightChange}
-        />
-      ),
+      content: "Remove tags",
+      disabled: isStartingBulkAction || isBulkJobRunning,
+      onAction: () => openBulkModal("remove-tags"),
     },
   ];
 
-  // Apply filters
-  useEffect(() => {
-    let filtered = allCustomers;
-
-    // Text search
-    if (queryValue) {
-      const searchTerm = queryValue.toLowerCase();
-      filtered = filtered.filter(customer => 
-        customer.firstName?.toLowerCase().includes(searchTerm) ||
-        customer.lastName?.toLowerCase().includes(searchTerm) ||
-        customer.email?.toLowerCase().includes(searchTerm)
-      );
-    }
-
-    // Pet type filter
-    if (petTypeFilter.length > 0) {
-      filtered = filtered.filter(customer => 
-        petTypeFilter.includes(customer.pet_type)
-      );
-    }
-
-    // Stress level filter
-    if (stressLevelFilter.length > 0) {
-      filtered = filtered.filter(customer => 
-        stressLevelFilter.includes(customer.stress_level)
-      );
-    }
-
-    // Has metafield filters
-    if (hasPetType) {
-      filtered = filtered.filter(customer => customer.pet_type && customer.pet_type.trim() !== '');
-    }
-    if (hasStressLevel) {
-      filtered = filtered.filter(customer => customer.stress_level && customer.stress_level.trim() !== '');
-    }
-    if (hasDrugUsage) {
-      filtered = filtered.filter(customer => customer.drug_usage && customer.drug_usage.trim() !== '');
-    }
-    if (hasPetAge) {
-      filtered = filtered.filter(customer => customer.pet_age && customer.pet_age.trim() !== '');
-    }
-    if (hasPetWeight) {
-      filtered = filtered.filter(customer => customer.pet_weight && customer.pet_weight.trim() !== '');
-    }
+  // Opens the customer's pets and change history
+  const handleCustomerClick = (customerId) => {
+    // Extract the numeric ID if it's a GID format
+    navigate(`/app/profiles/${extractIdFromGid(customerId)}`);
+  };
 
-    setFilteredCustomers(filtered);
-    setCurrentPage(1);
-  }, [queryValue, petTypeFilter, stressLevelFilter, hasPetType, hasStressLevel, hasDrugUsage, hasPetAge, hasPetWeight, allCustomers]);
+  const completenessTone = (completeness) =>
+    completeness === 100 ? 'success' : completeness >= 60 ? 'warning' : 'critical';
 
-  const resourceName = {
-    singular: "customer",
-    plural: "customers",
-  };
+  const rowMarkup = tableRows.map((row, index) => {
+    const { customer, pet } = row;
 
-  const { selectedResources, allResourcesSelected, handleSelectionChange } =
-    useIndexResourceState(filteredCustomers);
+    if (pet) {
+      const petCompleteness = getPetCompleteness(pet, fields);
 
-  const handleCustomerClick = (customerId) => {
-    // Extract the numeric ID if it's a GID format
-    const extractedId = extractIdFromGid(customerId);
-    const shopDomain = shop.replace('.myshopify.com', '');
-    const customerUrl = `https://admin.shopify.com/store/${shopDomain}/customers/${extractedId}`;
-    window.open(customerUrl, '_blank');
-  };
+      return (
+        <IndexTable.Row
+          rowType="child"
+          id={row.id}
+          key={row.id}
+          position={index}
+          selected={selectedResources.includes(row.id)}
+          onClick={() => handleCustomerClick(customer.id)}
+        >
+          <IndexTable.Cell>
+            <Text as="span" variant="bodyMd">
+              {pet.name || "Unnamed pet"}
+            </Text>
+          </IndexTable.Cell>
+          <IndexTable.Cell />
+          {fields.map((field) => (
+            <IndexTable.Cell key={field.key}>
+              <Text>
+                {pet[field.key] ? getOptionLabel(field.key, pet[field.key], { short: true, fields }) : "N/A"}
+              </Text>
+            </IndexTable.Cell>
+          ))}
+          <IndexTable.Cell>
+            <Badge tone={completenessTone(petCompleteness)}>
+              {petCompleteness}% Complete
+            </Badge>
+          </IndexTable.Cell>
+        </IndexTable.Row>
+      );
+    }
 
-  const rowMarkup = paginatedCustomers.map((customer, index) => {
-    const completeness = getProfileCompleteness(customer);
-    const completenessColor = completeness === 100 ? 'success' : completeness >= 60 ? 'warning' : 'critical';
+    const completeness = getProfileCompleteness(customer, fields);
     
     return (
       <IndexTable.Row
-        id={customer.id}
-        key={customer.id}
+        id={row.id}
+        key={row.id}
         position={index}
-        selected={selectedResources.includes(customer.id)}
+        selected={selectedResources.includes(row.id)}
+        selectionRange={customer.pets.length > 0 ? [index, index + customer.pets.length] : undefined}
         onClick={() => handleCustomerClick(customer.id)}
       >
         <IndexTable.Cell>
@@ -406,33 +451,15 @@ export default function CustomerProfilesPage() {
             {customer.verifiedEmail ? "Yes" : "No"}
           </Text>
         </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text>
-            {customer.pet_type || "N/A"}
-          </Text>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text>
-            {customer.stress_level || "N/A"}
-          </Text>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text>
-            {customer.drug_usage || "N/A"}
-          </Text>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text>
-            {customer.pet_age || "N/A"}
-          </Text>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text>
-            {customer.pet_weight || "N/A"}
+        <IndexTable.Cell colSpan={fields.length}>
+          <Text tone="subdued">
+            {customer.pets.length === 0
+              ? "No pets added"
+              : `${customer.pets.length} ${customer.pets.length === 1 ? "pet" : "pets"}`}
           </Text>
         </IndexTable.Cell>
         <IndexTable.Cell>
-          <Badge tone={completenessColor}>
+          <Badge tone={completenessTone(completeness)}>
             {completeness}% Complete
           </Badge>
         </IndexTable.Cell>
@@ -459,8 +486,17 @@ export default function CustomerProfilesPage() {
     );
   }
 
-  // Show empty state if no customers
-  if (totalCustomers === 0) {
+  // The first sync of a newly installed shop is still running
+  if (!lastSyncedAt) {
+    return (
+      <Page title="Customer Profiles">
+        <CustomerSyncBanner sync={sync} />
+      </Page>
+    );
+  }
+
+  // Show empty state if the shop has no customers at all
+  if (shopTotal === 0) {
     return (
       <Page title="Customer Profiles">
         <EmptyState
@@ -477,47 +513,128 @@ export default function CustomerProfilesPage() {
     <Page
       title="Customer Profiles"
       subtitle="View customer pet profile data"
+      secondaryActions={[
+        {
+          content: "Refresh data",
+          loading: isRefreshing,
+          disabled: isSyncActive(sync),
+          onAction: refresh,
+        },
+      ]}
+      actionGroups={[
+        {
+          title: "Export filtered",
+          actions: [
+            { content: "Excel (XLSX)", onAction: () => handleExport("xlsx") },
+            { content: "CSV", onAction: () => handleExport("csv") },
+          ],
+        },
+      ]}
     >
-      {/* Data Quality Summary */}
-      {paginationInfo && (
-        <Banner
-          title="Data Quality Summary"
-          status="info"
-        >
-          <p>
-            Showing {paginationInfo.totalFetched} customers. 
-            {paginationInfo.hasMore && (
-              <span> More customers available (limited to {paginationInfo.maxCustomers} for performance).</span>
-            )}
-          </p>
-        </Banner>
+      {(isSyncActive(sync) || sync?.status === "failed") && <CustomerSyncBanner sync={sync} />}
+
+      {bulkJob && bulkJob.id !== dismissedJobId && (
+        <BulkActionBanner key={bulkJob.id} job={bulkJob} onDismiss={() => setDismissedJobId(bulkJob.id)} />
       )}
 
+      <Modal id="bulk-action-modal" open={Boolean(bulkModal)} onHide={() => setBulkModal(null)}>
+        <Box padding="400">
+          {bulkModal === "add-tags" || bulkModal === "remove-tags" ? (
+            <TextField
+              label="Tags"
+              helpText={`Separate tags with commas. Applies to ${selectedCustomerIds.length} selected customers.`}
+              value={bulkTags}
+              onChange={setBulkTags}
+              error={bulkErrors.tags}
+              autoComplete="off"
+            />
+          ) : (
+            <FormLayout>
+              <Select
+                label="Field"
+                options={fields.map((field) => ({ label: field.label, value: field.key }))}
+                value={bulkField}
+                onChange={(value) => {
+                  setBulkField(value);
+                  setBulkValue("");
+                }}
+                error={bulkErrors.field}
+              />
+              {bulkModal === "set-field" && bulkFieldSchema?.options && (
+                <Select
+                  label="Value"
+                  options={[
+                    { label: "Choose a value", value: "" },
+                    ...bulkFieldSchema.options.map((option) => ({ label: option.label, value: option.value })),
+                  ]}
+                  value={bulkValue}
+                  onChange={setBulkValue}
+                  error={bulkErrors.value}
+                />
+              )}
+              {bulkModal === "set-field" && bulkFieldSchema && !bulkFieldSchema.options && (
+                <TextField
+                  label="Value"
+                  value={bulkValue}
+                  onChange={setBulkValue}
+                  maxLength={bulkFieldSchema.maxLength}
+                  error={bulkErrors.value}
+                  autoComplete="off"
+                />
+              )}
+              <Text as="p" tone="subdued">
+                {`Applies to the selected pets of ${selectedCustomerIds.length} customers, or all their pets when only the customer is selected.`}
+              </Text>
+            </FormLayout>
+          )}
+        </Box>
+        <TitleBar title={BULK_ACTION_MODALS[bulkModal]?.title || "Bulk action"}>
+          <button
+            variant="primary"
+            tone={bulkModal === "clear-field" || bulkModal === "remove-tags" ? "critical" : undefined}
+            disabled={isStartingBulkAction}
+            onClick={handleBulkModalSubmit}
+          >
+            {BULK_ACTION_MODALS[bulkModal]?.submit || "Start"}
+          </button>
+          <button onClick={() => setBulkModal(null)}>Cancel</button>
+        </TitleBar>
+      </Modal>
+
+      {/* Data Quality Summary */}
+      <Banner
+        title="Data Quality Summary"
+        status="info"
+      >
+        <p>
+          Showing {totalCustomers} of {shopTotal} customers. Data last updated {new Date(lastSyncedAt).toLocaleString()}.
+        </p>
+      </Banner>
+
       <Card>
         <Filters
           queryValue={queryValue}
-          filters={filters}
+          filters={filterControls}
           appliedFilters={appliedFilters}
           onQueryChange={handleQueryChange}
-          onQueryClear={() => setQueryValue("")}
+          onQueryClear={handleQueryValueRemove}
           onClearAll={handleClearAll}
         />
         
         <IndexTable
           resourceName={resourceName}
-          itemCount={filteredCustomers.length}
+          itemCount={tableRows.length}
           selectedItemsCount={
             allResourcesSelected ? "All" : selectedResources.length
           }
           onSelectionChange={handleSelectionChange}
+          promotedBulkActions={promotedBulkActions}
+          bulkActions={bulkActions}
+          loading={isLoading}
           headings={[
-            { title: "Customer Name" },
+            { title: "Customer / Pet" },
             { title: "Has Account" },
-            { title: "Pet Type" },
-            { title: "Stress Level" },
-            { title: "Drug Usage" },
-            { title: "Pet Age" },
-            { title: "Pet Weight" },
+            ...fields.map((field) => ({ title: field.label })),
             { title: "Profile Completeness" },
           ]}
           selectable
@@ -527,21 +644,16 @@ export default function CustomerProfilesPage() {
         <Divider />
         <div style={{ paddingTop: "10px" }}>
           <Pagination
-            onPrevious={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
-            onNext={() =>
-              setCurrentPage((prev) =>
-                prev < Math.ceil(filteredCustomers.length / itemsPerPage)
-                  ? prev + 1
-                  : prev,
-              )
-            }
+            onPrevious={() => updateParams({ page: currentPage - 1 })}
+            onNext={() => updateParams({ page: currentPage + 1 })}
             type="page"
-            hasPrevious={currentPage > 1}
-            hasNext={
-              filteredCustomers.length > 0 &&
-              currentPage < Math.ceil(filteredCustomers.length / itemsPerPage)
+            hasPrevious={!isLoading && currentPage > 1}
+            hasNext={!isLoading && currentPage < pageCount}
+            label={
+              totalCustomers === 0
+                ? "No matching customers"
+                : `${(currentPage - 1) * PROFILES_PAGE_SIZE + 1}-${Math.min(currentPage * PROFILES_PAGE_SIZE, totalCustomers)} of ${totalCustomers} customers`
             }
-            label={`${(currentPage - 1) * itemsPerPage + 1}-${Math.min(currentPage * itemsPerPage, filteredCustomers.length)} of ${filteredCustomers.length} customers`}
           />
         </div>
       </Card>
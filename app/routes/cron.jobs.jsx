@@ -0,0 +1,35 @@
+import { timingSafeEqual } from "node:crypto";
+import { runDueJobs } from "../models/jobs.server";
+
+// Vercel runs the route every minute from the `crons` of vercel.json. Other hosts need a
+// scheduler that calls it the same way: GET with `Authorization: Bearer <CRON_SECRET>`.
+export const config = { maxDuration: 60 };
+
+/**
+ * Checks the cron secret of a request
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True when the request carries `CRON_SECRET` as its bearer token
+ */
+const isAuthorized = (request) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error("[jobs] CRON_SECRET isn't set, so background jobs can't run");
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(request.headers.get("Authorization") || "");
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+export const loader = async ({ request }) => {
+  if (!isAuthorized(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const { steps, skipped } = await runDueJobs();
+  if (steps > 0 || skipped > 0) {
+    console.log(`[jobs] Ran ${steps} job steps, skipped ${skipped} shops or jobs`);
+  }
+  return { steps, skipped };
+};
@@ -1,30 +1,139 @@
-import { authenticate, unauthenticated } from '../shopify.server';
-
-const handleOptions = () =>
-  new Response(null, {
-    status: 204,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
-    },
+import { unauthenticated } from '../shopify.server';
+import { deletePet, getCustomerPets, savePet, setCustomerMetafields } from '../models/pets.server';
+import { upsertPetProfile } from '../models/petProfile.server';
+import { getFieldConfig } from '../models/fieldConfig.server';
+import { CHANGE_SOURCES, recordProfileChange } from '../models/profileHistory.server';
+import { claimRewardCode, issuePendingRewardCode } from '../models/rewards.server';
+import { applyTaggingRules } from '../models/tagging.server';
+import db from '../db.server';
+import { consumeRateLimit } from '../models/rateLimit.server';
+import { validatePet } from '../utils/petProfileSchema';
+import { API_ERROR_CODES } from '../utils/apiErrors';
+import {
+  authenticateCustomer,
+  errorResponse,
+  failureResponse,
+  handleOptions,
+} from '../utils/customerApi.server';
+
+/*
+ * Every save or delete calls the Admin API, so customers and shops are rate limited.
+ *
+ * Settings:
+ * PET_PROFILE_CUSTOMER_LIMIT   Saves and deletes one customer may make per minute (default 10)
+ * PET_PROFILE_SHOP_LIMIT       Saves and deletes all customers of a shop may make per minute (default 120)
+ * PET_PROFILE_MAX_BODY_BYTES   Largest request body accepted (default 16384)
+ */
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const CUSTOMER_LIMIT = Number(process.env.PET_PROFILE_CUSTOMER_LIMIT) || 10;
+const SHOP_LIMIT = Number(process.env.PET_PROFILE_SHOP_LIMIT) || 120;
+const MAX_BODY_BYTES = Number(process.env.PET_PROFILE_MAX_BODY_BYTES) || 16 * 1024;
+
+/**
+ * Reads the request body as JSON, refusing bodies over `MAX_BODY_BYTES`
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} `{ body, tooLarge }`; `body` is null when it isn't valid JSON
+ */
+const readJsonBody = async (request) => {
+  if (Number(request.headers.get('Content-Length')) > MAX_BODY_BYTES) return { body: null, tooLarge: true };
+
+  // Content-Length can be missing or wrong, so the stream is measured while it's read and
+  // abandoned as soon as it gets too large
+  const chunks = [];
+  let size = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      size += chunk.value.byteLength;
+      if (size > MAX_BODY_BYTES) {
+        await reader.cancel();
+        return { body: null, tooLarge: true };
+      }
+      chunks.push(chunk.value);
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  try {
+    return { body: JSON.parse(new TextDecoder().decode(bytes)), tooLarge: false };
+  } catch {
+    return { body: null, tooLarge: false };
+  }
+};
+
+/**
+ * Counts a save or delete against the customer's and the shop's rate limits
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<number>} Seconds to wait before retrying, 0 when the request is allowed
+ */
+const checkRateLimits = async (shop, customerId) => {
+  const customer = await consumeRateLimit(`pet-profile:customer:${shop}:${customerId}`, {
+    max: CUSTOMER_LIMIT,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+  });
+  if (!customer.allowed) return customer.retryAfter;
+
+  const shopLimit = await consumeRateLimit(`pet-profile:shop:${shop}`, {
+    max: SHOP_LIMIT,
+    windowMs: RATE_LIMIT_WINDOW_MS,
   });
+  return shopLimit.retryAfter;
+};
+
+/**
+ * Validates the action body against the pet profile schema
+ * @param {*} body - Parsed JSON body
+ * @param {Array} fields - Profile fields configured by the shop
+ * @returns {Object} `{ errors, issues }` as returned by `validatePet`; errors of the body itself
+ * have no issue. Both are empty when the body is valid.
+ */
+const validateBody = (body, fields) => {
+  if (!body || typeof body !== 'object') return { errors: { body: 'Request body must be a JSON object' }, issues: {} };
+
+  if (body.intent === 'delete') {
+    if (body.petId !== undefined && body.petId !== null && typeof body.petId !== 'string') {
+      return { errors: { petId: 'Pet ID must be a string' }, issues: {} };
+    }
+    return { errors: {}, issues: {} };
+  }
+
+  if (body.intent !== 'save') return { errors: { intent: 'Intent must be "save" or "delete"' }, issues: {} };
+
+  // Whether the save is a first submission is decided from stored state, so an
+  // `isFirstSubmission` sent by older versions of the extension is ignored
+  const { errors, issues } = validatePet(body.pet, { fields });
+  return { errors, issues };
+};
 
 export const loader = async ({ request }) => {
-  if (request.method === "OPTIONS") {
-    // Respond to preflight with CORS headers
-    return new Response(null, {
-      status: 204,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Max-Age": "86400"  // Optional: cache preflight response for 1 day
-      }
-    });
+  if (request.method === "OPTIONS") return handleOptions();
+
+  // Load the customer's pets for the Customer Account extension
+  const { cors, sessionToken, response } = await authenticateCustomer(request);
+  if (response) return response;
+
+  try {
+    const { admin } = await unauthenticated.admin(sessionToken.dest);
+    const [{ pets, hasSubmitted }, fields] = await Promise.all([
+      getCustomerPets(admin, sessionToken.sub),
+      getFieldConfig(sessionToken.dest),
+    ]);
+
+    // The extension renders its form from the shop's configured fields
+    return cors(new Response(JSON.stringify({ pets, hasSubmitted, fields }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    }));
+  } catch (err) {
+    return failureResponse(cors, "Error loading pets", err);
   }
-  // (Optional) For any other GET requests to this route, you can return 404 or handle accordingly
-  return new Response("Not Found", { status: 404 });
 };
 
 export const action = async ({ request }) => {
@@ -32,89 +141,113 @@ export const action = async ({ request }) => {
 
   // Authenticate request from the Customer Account extension
   console.log("[pet-profile] Authenticating request...");
-  const { cors, sessionToken } = await authenticate.public.customerAccount(request);
+  const { cors, sessionToken, response: unauthenticatedResponse } = await authenticateCustomer(request);
+  if (unauthenticatedResponse) return unauthenticatedResponse;
   console.log("[pet-profile] Authentication result:", sessionToken);
-  if (!sessionToken?.dest || !sessionToken?.sub) {
-    console.error("[pet-profile] Invalid session token", sessionToken);
-    return cors(new Response(JSON.stringify({ error: "Invalid session token" }), {
-      status: 401,
-      headers: { "Content-Type": "application/json" },
-    }));
-  }
 
   const shop = sessionToken.dest;             // e.g. "your-store.myshopify.com"
   const customerGID = sessionToken.sub;       // e.g. "gid://shopify/Customer/1234567890"
   const customerId = customerGID.split('/').pop();  // e.g. "1234567890" (numeric ID if needed)
 
-  const body = await request.json();
-  console.log("[pet-profile] Incoming data:", body);
-
   try {
-    // Use Admin GraphQL API to save metafields
-    const mutation = `#graphql
-    mutation SavePetProfile($metafields: [MetafieldsSetInput!]!) {
-      metafieldsSet(metafields: $metafields) {
-        metafields {
-          id
-          namespace
-          key
-          value
-        }
-        userErrors {
-          field
-          message
-        }
-      }
+    const retryAfter = await checkRateLimits(shop, customerId);
+    if (retryAfter > 0) {
+      console.warn(`[pet-profile] Rate limited customer ${customerId} on ${shop} for ${retryAfter}s`);
+      const response = cors(errorResponse(API_ERROR_CODES.RATE_LIMITED, "Too many requests", { retryAfter }, {
+        "Retry-After": String(retryAfter),
+      }));
+      // cors() replaces the exposed headers, so Retry-After is added back afterwards
+      response.headers.append("Access-Control-Expose-Headers", "Retry-After");
+      return response;
     }
-  `;
-    
-    // Prepare metafields array with pet profile data
-    const metafieldsInput = [
-      { ownerId: customerGID, namespace: "variables", key: "pet_type", value: body.pet_type, type: "single_line_text_field" },
-      { ownerId: customerGID, namespace: "variables", key: "stress_level", value: body.stress_level, type: "single_line_text_field" },
-      { ownerId: customerGID, namespace: "variables", key: "drug_usage", value: body.drug_usage, type: "single_line_text_field" },
-      { ownerId: customerGID, namespace: "variables", key: "pet_age", value: body.pet_age, type: "single_line_text_field" },
-      { ownerId: customerGID, namespace: "variables", key: "pet_weight", value: body.pet_weight, type: "single_line_text_field" },
-    ];
-
-    // If this is the first submission, set the first_submission metafield value
-    if (body.isFirstSubmission) {
-      console.log("[pet-profile] First time submission detected, setting first_submission metafield");
-      metafieldsInput.push({
-        ownerId: customerGID,
-        namespace: "variables",
-        key: "first_submission",
-        value: "true",
-        type: "single_line_text_field"
-      });
+
+    const { body, tooLarge } = await readJsonBody(request);
+    if (tooLarge) {
+      console.warn(`[pet-profile] Rejected a request body over ${MAX_BODY_BYTES} bytes from customer ${customerId}`);
+      return cors(errorResponse(API_ERROR_CODES.PAYLOAD_TOO_LARGE, "Request body too large"));
+    }
+    console.log("[pet-profile] Incoming data:", body);
+
+    const fields = await getFieldConfig(shop);
+    const { errors: fieldErrors, issues } = validateBody(body, fields);
+    if (Object.keys(fieldErrors).length > 0) {
+      console.warn("[pet-profile] Rejected invalid request:", fieldErrors);
+      return cors(errorResponse(API_ERROR_CODES.VALIDATION_FAILED, "Validation failed", { fields: fieldErrors, issues }));
     }
 
     console.log("[pet-profile] Getting unauthenticated admin context for shop:", shop);
     const { admin } = await unauthenticated.admin(shop);
-    console.log("[pet-profile] Sending mutation to Shopify Admin API via admin.graphql...");
 
-    const response = await admin.graphql(mutation, {
-      variables: { metafields: metafieldsInput },
+    let profile;
+    if (body.intent === "delete") {
+      console.log(`[pet-profile] Deleting pet ${body.petId} for customer ${customerId}`);
+      profile = await deletePet(admin, customerGID, body.petId || null);
+    } else {
+      console.log(`[pet-profile] Saving pet ${body.pet?.id || "(new)"} for customer ${customerId}`);
+      profile = await savePet(admin, shop, customerGID, validatePet(body.pet, { fields }).pet);
+
+      // The first save of a customer who never submitted sets the first_submission metafield
+      if (!profile.hasSubmitted) {
+        console.log("[pet-profile] First time submission detected, setting first_submission metafield");
+        await setCustomerMetafields(admin, [{
+          ownerId: customerGID,
+          namespace: "variables",
+          key: "first_submission",
+          value: "true",
+          type: "boolean"
+        }]);
+      }
+    }
+
+    // Keep the local mirror used by the admin pages in step with Shopify, and record what changed.
+    // A first submission claims the reward in the same transaction, so replaying it can't claim again.
+    const isSave = body.intent === "save";
+    await db.$transaction(async (tx) => {
+      const mirrored = await tx.petProfile.findUnique({
+        where: { shop_customerId: { shop, customerId } },
+        select: { hasSubmitted: true },
+      });
+      const isFirstSubmission = isSave && !profile.hasSubmitted && !mirrored?.hasSubmitted;
+
+      await upsertPetProfile(shop, profile.customer, profile.pets, {
+        hasSubmitted: profile.hasSubmitted || isSave,
+        tx,
+      });
+      await recordProfileChange(shop, profile.customer, profile.previousPets, profile.pets, CHANGE_SOURCES.customer, { tx });
+      if (isFirstSubmission) await claimRewardCode(shop, profile.customer, { tx });
     });
 
-    const result = await response.json();
-    console.log("[pet-profile] Shopify API response:", result);
-    const errors = result.data?.metafieldsSet?.userErrors;
-    if (errors && errors.length) {
-      console.error("[pet-profile] Shopify API userErrors:", errors);
-      throw new Error(errors.map(e => e.message).join(", "));
+    // Tags follow the answers, so a deleted pet or a changed answer removes tags that no longer apply.
+    // Like the reward below, tags must not fail the save.
+    try {
+      await applyTaggingRules(admin, shop, customerGID, profile.pets);
+    } catch (err) {
+      console.error(`[pet-profile] Failed to update the tags of customer ${customerId}:`, err);
+    }
+
+    // Creates the claimed discount in Shopify, or retries one that failed on an earlier save.
+    // The reward is a bonus: failing to issue it must not fail the save.
+    let reward = null;
+    if (isSave) {
+      try {
+        reward = await issuePendingRewardCode(admin, shop, customerId);
+      } catch (err) {
+        console.error(`[pet-profile] Failed to issue a reward code for customer ${customerId}:`, err);
+      }
     }
 
-    console.log(`[pet-profile] Saved metafields for customer ${customerId} on ${shop}`);
-    return cors(new Response(JSON.stringify({ success: true }), {
+    console.log(`[pet-profile] Saved pets for customer ${customerId} on ${shop}`);
+    return cors(new Response(JSON.stringify({
+      success: true,
+      pets: profile.pets,
+      reward: reward
+        ? { code: reward.code, percentage: reward.percentage, expiresAt: reward.expiresAt }
+        : null,
+    }), {
       status: 200,
       headers: { "Content-Type": "application/json" },
     }));
   } catch (err) {
-    console.error("[pet-profile] Error saving metafields:", err);
-    return cors(new Response(JSON.stringify({ error: err.message, stack: err.stack }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" },
-    }));
+    return failureResponse(cors, "Error saving pets", err);
   }
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { unauthenticated } from '../shopify.server';
+import { getCustomerPets } from '../models/pets.server';
+import { consumeRateLimit } from '../models/rateLimit.server';
+import { getRecommendationRules, getRecommendations } from '../models/recommendations.server';
+import { API_ERROR_CODES } from '../utils/apiErrors';
+import {
+  authenticateCustomer,
+  errorResponse,
+  failureResponse,
+  handleOptions,
+} from '../utils/customerApi.server';
+
+/*
+ * Resolving recommendations reads the pets and products through the Admin API, so customers and
+ * shops are rate limited.
+ *
+ * Settings:
+ * PET_RECOMMENDATIONS_CUSTOMER_LIMIT   Loads one customer may make per minute (default 20)
+ * PET_RECOMMENDATIONS_SHOP_LIMIT       Loads all customers of a shop may make per minute (default 300)
+ */
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const CUSTOMER_LIMIT = Number(process.env.PET_RECOMMENDATIONS_CUSTOMER_LIMIT) || 20;
+const SHOP_LIMIT = Number(process.env.PET_RECOMMENDATIONS_SHOP_LIMIT) || 300;
+
+/**
+ * Counts a load against the customer's and the shop's rate limits
+ * @param {string} shop - Shop domain
+ * @param {string} customerId - Numeric customer ID
+ * @returns {Promise<number>} Seconds to wait before retrying, 0 when the request is allowed
+ */
+const checkRateLimits = async (shop, customerId) => {
+  const customer = await consumeRateLimit(`pet-recommendations:customer:${shop}:${customerId}`, {
+    max: CUSTOMER_LIMIT,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+  });
+  if (!customer.allowed) return customer.retryAfter;
+
+  const shopLimit = await consumeRateLimit(`pet-recommendations:shop:${shop}`, {
+    max: SHOP_LIMIT,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+  });
+  return shopLimit.retryAfter;
+};
+
+// Products recommended for the customer's pets, shown by the Customer Account extension.
+// The rules are resolved against the pets saved in Shopify, so a save shows up on the next load.
+export const loader = async ({ request }) => {
+  if (request.method === "OPTIONS") return handleOptions();
+
+  const { cors, sessionToken, response } = await authenticateCustomer(request);
+  if (response) return response;
+
+  const shop = sessionToken.dest;
+  const customerId = sessionToken.sub.split('/').pop();
+  try {
+    const rules = await getRecommendationRules(shop);
+    let recommendations = [];
+    if (rules.length > 0) {
+      const retryAfter = await checkRateLimits(shop, customerId);
+      if (retryAfter > 0) {
+        console.warn(`[recommendations] Rate limited customer ${customerId} on ${shop} for ${retryAfter}s`);
+        const limited = cors(errorResponse(API_ERROR_CODES.RATE_LIMITED, "Too many requests", { retryAfter }, {
+          "Retry-After": String(retryAfter),
+        }));
+        // cors() replaces the exposed headers, so Retry-After is added back afterwards
+        limited.headers.append("Access-Control-Expose-Headers", "Retry-After");
+        return limited;
+      }
+
+      const { admin } = await unauthenticated.admin(shop);
+      const { pets } = await getCustomerPets(admin, sessionToken.sub);
+      recommendations = await getRecommendations(admin, shop, pets, { rules });
+    }
+
+    return cors(new Response(JSON.stringify({ recommendations }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    }));
+  } catch (err) {
+    return failureResponse(cors, "Error loading recommendations", err);
+  }
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { handleBulkOperationFinish } from "../models/customerSync.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Only the sync's state is recorded, so the webhook is answered quickly; the status checks of
+  // the admin pages import the result. A retry finds the sync importing and leaves it alone.
+  if (admin) {
+    await handleBulkOperationFinish(admin, shop, payload);
+  }
+
+  return new Response();
+};
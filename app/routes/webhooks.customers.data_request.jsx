@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { handleCustomerDataRequest } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The compiled data is kept on the request, for the merchant to download from the settings page
+  await handleCustomerDataRequest(admin, shop, payload, webhookId);
+
+  return new Response();
+};
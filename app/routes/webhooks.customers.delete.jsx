@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { deletePetProfile } from "../models/petProfile.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await deletePetProfile(shop, payload.id);
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { handleCustomerRedact } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // A failure is rethrown so Shopify retries the webhook
+  await handleCustomerRedact(admin, shop, payload, webhookId);
+
+  return new Response();
+};
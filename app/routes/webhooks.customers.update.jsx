@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { refreshPetProfile } from "../models/petProfile.server";
+import { CHANGE_SOURCES } from "../models/profileHistory.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Webhook requests can arrive after the app was uninstalled, when there is no session to query with.
+  // The payload doesn't include metafields, so the customer's pets are re-read from the Admin API.
+  // Saves made through the app already updated the mirror, so any remaining difference
+  // comes from an edit in the Shopify admin.
+  if (admin) {
+    await refreshPetProfile(admin, shop, payload.admin_graphql_api_id, {
+      source: CHANGE_SOURCES.merchant,
+    });
+  }
+
+  return new Response();
+};
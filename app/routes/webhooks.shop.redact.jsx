@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { handleShopRedact } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleShopRedact(shop, webhookId);
+
+  return new Response();
+};
@@ -6,16 +6,44 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { ensurePetProfilesSynced } from "./models/customerSync.server";
+import { registerMetafieldDefinitions } from "./models/metafieldDefinitions.server";
+import { ensurePetProfileSegment } from "./models/segment.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
-  apiVersion: ApiVersion.January25,
+  apiVersion: ApiVersion.July25,
   scopes: process.env.SCOPES?.split(","),
   appUrl: process.env.SHOPIFY_APP_URL || "",
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    // Runs on install and whenever the shop re-authenticates, e.g. after a scopes change
+    afterAuth: async ({ session, admin }) => {
+      try {
+        // The segment can't be created on a first install yet, before the definitions exist;
+        // the first sync then reads every customer
+        await ensurePetProfileSegment(admin, session.shop);
+      } catch (err) {
+        console.error(`[segment] Failed to set up the segment of ${session.shop}:`, err);
+      }
+      try {
+        // The value migration waits for the first customer sync, started here on install
+        await ensurePetProfilesSynced(admin, session.shop);
+      } catch (err) {
+        console.error(`[pet-profile-sync] Failed to start the customer sync for ${session.shop}:`, err);
+      }
+      try {
+        // Values that need converting first are converted by a background job, which registers
+        // the definitions when it completes
+        await registerMetafieldDefinitions(admin, session.shop);
+      } catch (err) {
+        console.error(`[definitions] Failed to register definitions for ${session.shop}:`, err);
+      }
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
@@ -26,7 +54,7 @@ const shopify = shopifyApp({
 });
 
 export default shopify;
-export const apiVersion = ApiVersion.January25;
+export const apiVersion = ApiVersion.July25;
 export const addDocumentResponseHeaders = shopify.addDocumentResponseHeaders;
 export const authenticate = shopify.authenticate;
 export const unauthenticated = shopify.unauthenticated;
@@ -0,0 +1,72 @@
+/**
+ * Error envelope of the `/pet-profile` endpoint, shared with the customer account extension
+ *
+ * Every failed request answers with:
+ *
+ *   { "error": { "code": "VALIDATION_FAILED", "message": "...", "fields": { "pet_type": "..." } } }
+ *
+ * - `code` is one of `API_ERROR_CODES` and never changes meaning; clients pick their message from it
+ * - `message` is an English description for logs and debugging, not meant for customers
+ * - `fields` (optional) maps pet field keys to what is wrong with them, in English
+ * - `issues` (optional, `VALIDATION_FAILED` only) maps the same keys to `{ rule, max }` from
+ *   `validatePet`, so clients can word the messages in the customer's language
+ * - `retryAfter` (optional, `RATE_LIMITED` only) is the number of seconds to wait
+ *
+ * Keep this module free of imports: the extension bundles it directly.
+ */
+
+export const API_ERROR_CODES = {
+  // The body or one of the pet fields is invalid; see `fields`
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  // The session token is missing, expired or doesn't identify a customer
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  // The pet doesn't belong to the customer, or no longer exists
+  NOT_FOUND: 'NOT_FOUND',
+  // The body is larger than the endpoint accepts
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  // Too many requests from the customer or the shop; see `retryAfter`
+  RATE_LIMITED: 'RATE_LIMITED',
+  // Shopify refused the change, usually a value its definitions don't accept; see `fields`
+  SHOPIFY_USER_ERROR: 'SHOPIFY_USER_ERROR',
+  // Shopify couldn't be reached or answered with an error
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  // Anything else; the details are only in the server logs
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+export const API_ERROR_STATUS = {
+  VALIDATION_FAILED: 400,
+  UNAUTHENTICATED: 401,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  SHOPIFY_USER_ERROR: 422,
+  UPSTREAM_UNAVAILABLE: 502,
+  INTERNAL_ERROR: 500,
+};
+
+/**
+ * Creates an error carrying an API error code, for the endpoint to report as is
+ * @param {string} code - One of `API_ERROR_CODES`
+ * @param {string} message - English description
+ * @param {Object} [details] - `fields` and other envelope properties
+ * @returns {Error} Error with `code` and `details`
+ */
+export const createApiError = (code, message, details = {}) =>
+  Object.assign(new Error(message), { code, details });
+
+/**
+ * Converts a thrown error into the error envelope
+ * Errors without an API error code become `INTERNAL_ERROR`, and their message is replaced
+ * so internal details don't reach the client.
+ * @param {*} err - Thrown value
+ * @returns {Object} `{ status, body }`
+ */
+export const toApiErrorResponse = (err) => {
+  const code = API_ERROR_CODES[err?.code] ? err.code : API_ERROR_CODES.INTERNAL_ERROR;
+  const message = code === API_ERROR_CODES.INTERNAL_ERROR ? 'Something went wrong' : err.message;
+  return {
+    status: API_ERROR_STATUS[code],
+    body: { error: { code, message, ...(code === API_ERROR_CODES.INTERNAL_ERROR ? {} : err.details) } },
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * CSV parsing and serialization helpers shared by the import page and reports
+ */
+
+/**
+ * Parses CSV text into rows of cells (RFC 4180: quoted cells, escaped quotes, CRLF or LF)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of cells, without fully empty lines
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  // Strip the byte order mark spreadsheet tools put at the start of UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Escapes a value for CSV, neutralising values that spreadsheets would run as formulas
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes objects as CSV lines
+ * @param {Array} columns - `{ key, header }` column descriptors
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {Array<string>} CSV lines, header first
+ */
+export const toCsvLines = (columns, rows) => [
+  columns.map(column => toCsvCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => toCsvCell(row[column.key])).join(',')),
+];
@@ -0,0 +1,88 @@
+/**
+ * Helpers of the endpoints called by the Customer Account extension
+ *
+ * Responses carry the error envelope documented in `utils/apiErrors`, with CORS headers so the
+ * extension can read them.
+ */
+import { authenticate } from "../shopify.server";
+import { API_ERROR_CODES, API_ERROR_STATUS, toApiErrorResponse } from "./apiErrors";
+
+/**
+ * Builds a JSON response in the error envelope documented in `utils/apiErrors`
+ * @param {string} code - One of `API_ERROR_CODES`
+ * @param {string} message - English description
+ * @param {Object} [details] - `fields`, `retryAfter`
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} Response without CORS headers
+ */
+export const errorResponse = (code, message, details = {}, headers = {}) =>
+  new Response(JSON.stringify({ error: { code, message, ...details } }), {
+    status: API_ERROR_STATUS[code],
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+/**
+ * Authenticates a request from the Customer Account extension
+ * The thank-you page target runs in checkout and sends `?surface=checkout`, so its token is
+ * checked as a checkout session token. Its `sub` names the customer only when they're logged in.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} `{ cors, sessionToken }`, or `{ response }` with an
+ * `UNAUTHENTICATED` error when the session token is missing, invalid or names no customer
+ */
+export const authenticateCustomer = async (request) => {
+  const isCheckout = new URL(request.url).searchParams.get("surface") === "checkout";
+  let context;
+  try {
+    context = isCheckout
+      ? await authenticate.public.checkout(request)
+      : await authenticate.public.customerAccount(request);
+  } catch (err) {
+    // The library throws a bare 401 without a body or CORS headers, which the extension can't read
+    if (!(err instanceof Response)) throw err;
+    console.error("[customer-api] Session token rejected");
+    return {
+      response: errorResponse(API_ERROR_CODES.UNAUTHENTICATED, "Invalid session token", {}, {
+        "Access-Control-Allow-Origin": "*",
+      }),
+    };
+  }
+
+  const { cors, sessionToken } = context;
+  if (!sessionToken?.dest || !sessionToken?.sub) {
+    console.error("[customer-api] Invalid session token", sessionToken);
+    return { response: cors(errorResponse(API_ERROR_CODES.UNAUTHENTICATED, "Invalid session token")) };
+  }
+  return context;
+};
+
+/**
+ * Logs a failure and converts it into the error envelope; stacks and internal messages stay in the logs
+ * @param {Function} cors - CORS helper of the authenticated request
+ * @param {string} context - What failed, for the log
+ * @param {*} err - Thrown value
+ * @returns {Response}
+ */
+export const failureResponse = (cors, context, err) => {
+  console.error(`[customer-api] ${context}:`, err);
+  const { status, body } = toApiErrorResponse(err);
+  return cors(new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  }));
+};
+
+/**
+ * Answers a CORS preflight request
+ * @returns {Response}
+ */
+export const handleOptions = () =>
+  new Response(null, {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      // Browsers may cache the preflight for a day
+      "Access-Control-Max-Age": "86400",
+    },
+  });
@@ -1,6 +1,7 @@
 /**
  * Utility functions for customer data processing and validation
  */
+import { MAX_PETS, PET_PROFILE_FIELDS, validatePet } from './petProfileSchema';
 
 /**
  * Extracts the numeric ID from a Shopify GID (Global ID)
@@ -35,24 +36,58 @@ export const extractIdFromGid = (gid) => {
   return numericMatch ? numericMatch[1] : gid;
 };
 
+/**
+ * Default pet profile fields, see `petProfileSchema`
+ * These are also the keys of the legacy flat `variables.*` customer metafields.
+ */
+export const PET_FIELDS = PET_PROFILE_FIELDS.map(field => field.key);
+
+/**
+ * Display labels of each pet field
+ */
+export const PET_FIELD_LABELS = Object.fromEntries(PET_PROFILE_FIELDS.map(field => [field.key, field.label]));
+
+/**
+ * Maps a raw value onto one of the allowed values of a pet field
+ * Option values and labels are matched case-insensitively
+ * @param {string} field - Pet field key
+ * @param {string} raw - Raw value, e.g. from a spreadsheet
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {string|null} The allowed option value, or null when the value isn't allowed
+ *
+ * Examples:
+ * normalizePetFieldValue('pet_type', 'small animal') => 'small animal'
+ * normalizePetFieldValue('pet_type', 'DOG') => 'Dog'
+ * normalizePetFieldValue('pet_type', 'Bird') => null
+ */
+export const normalizePetFieldValue = (field, raw, fields = PET_PROFILE_FIELDS) => {
+  const needle = sanitizeMetafieldValue(raw).toLowerCase();
+  const options = fields.find(({ key }) => key === field)?.options || [];
+  const option = options.find(({ label, value }) =>
+    value.toLowerCase() === needle || label.toLowerCase() === needle
+  );
+  return option ? option.value : null;
+};
+
 /**
  * Validates customer data for required fields and data types
  * @param {Object} customer - Customer object to validate
+ * @param {Array} [fields] - Configured profile fields
  * @returns {Array} Array of validation error messages
  */
-export const validateCustomerData = (customer) => {
+export const validateCustomerData = (customer, fields = PET_PROFILE_FIELDS) => {
   const errors = [];
   
   // Check for required fields
   if (!customer.email) errors.push('Missing email');
   if (!customer.id) errors.push('Missing customer ID');
   
-  // Validate metafield values
-  const metafields = ['pet_type', 'stress_level', 'drug_usage', 'pet_age', 'pet_weight'];
-  metafields.forEach(field => {
-    if (customer[field] && typeof customer[field] !== 'string') {
-      errors.push(`Invalid ${field} data type`);
-    }
+  // Validate pet field values against the schema; stored profiles may be incomplete
+  (customer.pets || []).forEach((pet, index) => {
+    const { errors: petErrors } = validatePet(pet, { partial: true, fields });
+    Object.values(petErrors).forEach(message => {
+      errors.push(`${message} (pet ${index + 1})`);
+    });
   });
   
   return errors;
@@ -68,28 +103,133 @@ export const sanitizeMetafieldValue = (value) => {
   return value.trim();
 };
 
+/**
+ * Converts a `pet` metaobject node into a flat pet object
+ * Every metaobject field is kept, including fields the merchant has since removed
+ * from the profile configuration, so their values aren't lost on the next save.
+ * @param {Object} node - Metaobject node with `id` and `fields` ({ key, value } pairs)
+ * @returns {Object} Pet object with `id`, `name` and one property per metaobject field
+ */
+export const parsePetMetaobject = (node) => {
+  const values = Object.fromEntries((node.fields || []).map(({ key, value }) => [key, sanitizeMetafieldValue(value)]));
+  return { ...values, id: node.id, name: values.name || '' };
+};
+
+/**
+ * Extracts the pets of a customer node returned by the Admin API
+ * @param {Object} node - Customer node queried with the `pets` metafield references
+ *                        and the legacy flat metafields
+ * @returns {Array} Array of pet objects
+ *
+ * Customers who saved their profile before pets became metaobjects only have the
+ * flat `variables.*` metafields. Those are returned as a single pet with a null `id`
+ * and `legacy: true`, so the data stays visible until the customer saves it again.
+ */
+export const extractCustomerPets = (node) => {
+  const references = node.pets?.references?.nodes || [];
+  if (references.length > 0) {
+    return references.filter(ref => ref?.id).map(parsePetMetaobject);
+  }
+
+  const legacyPet = { id: null, name: '', legacy: true };
+  PET_FIELDS.forEach(field => {
+    legacyPet[field] = sanitizeMetafieldValue(node[field]?.value);
+  });
+  return PET_FIELDS.some(field => legacyPet[field]) ? [legacyPet] : [];
+};
+
+/**
+ * Derives when a customer first submitted and last updated their pet profile
+ * @param {Object} node - Customer node queried with `createdAt`/`updatedAt` on the pet metafields
+ *                        and `updatedAt` on the pet metaobjects
+ * @returns {Object} `{ submittedAt, profileUpdatedAt }` as ISO strings, null when there is no profile
+ */
+export const extractProfileTimestamps = (node) => {
+  const metafields = [node.pets, ...PET_FIELDS.map(field => node[field])].filter(Boolean);
+  const metaobjects = node.pets?.references?.nodes?.filter(ref => ref?.id) || [];
+
+  const created = metafields.map(m => m.createdAt).filter(Boolean).sort();
+  const updated = [...metafields, ...metaobjects].map(m => m.updatedAt).filter(Boolean).sort();
+
+  return {
+    submittedAt: created[0] || null,
+    profileUpdatedAt: updated[updated.length - 1] || null,
+  };
+};
+
+/**
+ * Converts a Pet Profile segment member node into the customer shape used by the UI
+ * @param {Object} node - CustomerSegmentMember node queried with the pet metafields
+ * @returns {Object} Customer object
+ */
+export const toSegmentCustomer = (node) => ({
+  id: extractIdFromGid(node.id),
+  firstName: node.firstName,
+  lastName: node.lastName,
+  email: node.defaultEmailAddress?.emailAddress || null,
+  pets: extractCustomerPets(node),
+  ...extractProfileTimestamps(node),
+});
+
+/**
+ * Flattens the pets of all customers into a single array
+ * @param {Array} customers - Array of customer objects
+ * @returns {Array} Array of pet objects
+ */
+export const getAllPets = (customers) => customers.flatMap(customer => customer.pets || []);
+
+/**
+ * Checks if a single pet has every required profile field filled in
+ * Optional fields don't count, so adding one doesn't make existing pets incomplete.
+ * @param {Object} pet - Pet object to check
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {boolean} True if the pet is complete
+ */
+export const isCompletePet = (pet, fields = PET_PROFILE_FIELDS) => {
+  return fields.filter(field => field.required).every(({ key }) => {
+    const value = pet[key];
+    return value && value.trim() !== '';
+  });
+};
+
+/**
+ * Calculates the completeness percentage of a single pet, over the required profile fields
+ * @param {Object} pet - Pet object
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {number} Completeness percentage (0-100)
+ */
+export const getPetCompleteness = (pet, fields = PET_PROFILE_FIELDS) => {
+  const required = fields.filter(field => field.required);
+  if (required.length === 0) return 100;
+  const completedFields = required.filter(({ key }) => pet[key] && pet[key].trim() !== '');
+  return Math.round((completedFields.length / required.length) * 100);
+};
+
 /**
  * Checks if a customer has a complete profile
+ * A profile is complete when the customer has at least one pet and every pet has its required
+ * fields filled in
  * @param {Object} customer - Customer object to check
+ * @param {Array} [fields] - Configured profile fields
  * @returns {boolean} True if profile is complete
  */
-export const isCompleteProfile = (customer) => {
-  const requiredFields = ['pet_type', 'stress_level', 'drug_usage', 'pet_age', 'pet_weight'];
-  return requiredFields.every(field => {
-    const value = customer[field];
-    return value && value.trim() !== '';
-  });
+export const isCompleteProfile = (customer, fields = PET_PROFILE_FIELDS) => {
+  const pets = customer.pets || [];
+  return pets.length > 0 && pets.every(pet => isCompletePet(pet, fields));
 };
 
 /**
  * Calculates profile completeness percentage
+ * Averages the completeness of the customer's pets; customers without pets are 0% complete
  * @param {Object} customer - Customer object
+ * @param {Array} [fields] - Configured profile fields
  * @returns {number} Completeness percentage (0-100)
  */
-export const getProfileCompleteness = (customer) => {
-  const fields = ['pet_type', 'stress_level', 'drug_usage', 'pet_age', 'pet_weight'];
-  const completedFields = fields.filter(field => customer[field] && customer[field].trim() !== '');
-  return Math.round((completedFields.length / fields.length) * 100);
+export const getProfileCompleteness = (customer, fields = PET_PROFILE_FIELDS) => {
+  const pets = customer.pets || [];
+  if (pets.length === 0) return 0;
+  const total = pets.reduce((sum, pet) => sum + getPetCompleteness(pet, fields), 0);
+  return Math.round(total / pets.length);
 };
 
 /**
@@ -110,11 +250,7 @@ export const processCustomerData = (edges) => {
       numberOfOrders: edge.node.numberOfOrders || 0,
       createdAt: edge.node.createdAt,
       updatedAt: edge.node.updatedAt,
-      pet_type: sanitizeMetafieldValue(edge.node.pet_type?.value),
-      stress_level: sanitizeMetafieldValue(edge.node.stress_level?.value),
-      drug_usage: sanitizeMetafieldValue(edge.node.drug_usage?.value),
-      pet_age: sanitizeMetafieldValue(edge.node.pet_age?.value),
-      pet_weight: sanitizeMetafieldValue(edge.node.pet_weight?.value),
+      pets: extractCustomerPets(edge.node),
     };
 
     // Validate customer data
@@ -130,23 +266,24 @@ export const processCustomerData = (edges) => {
 /**
  * Calculates data quality metrics for a set of customers
  * @param {Array} customers - Array of customer objects
- * @returns {Object} Data quality metrics
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {Object} Data quality metrics; `missingData` counts the pets missing each field
  */
-export const calculateDataQuality = (customers) => {
-  const completeProfiles = customers.filter(isCompleteProfile).length;
+export const calculateDataQuality = (customers, fields = PET_PROFILE_FIELDS) => {
+  const completeProfiles = customers.filter(customer => isCompleteProfile(customer, fields)).length;
   const incompleteProfiles = customers.length - completeProfiles;
+  const pets = getAllPets(customers);
   
-  const missingData = {
-    pet_type: customers.filter(c => !c.pet_type || c.pet_type.trim() === '').length,
-    stress_level: customers.filter(c => !c.stress_level || c.stress_level.trim() === '').length,
-    drug_usage: customers.filter(c => !c.drug_usage || c.drug_usage.trim() === '').length,
-    pet_age: customers.filter(c => !c.pet_age || c.pet_age.trim() === '').length,
-    pet_weight: customers.filter(c => !c.pet_weight || c.pet_weight.trim() === '').length,
-  };
+  const missingData = Object.fromEntries(fields.map(({ key }) => [
+    key,
+    pets.filter(p => !p[key] || p[key].trim() === '').length,
+  ]));
 
   return {
     completeProfiles,
     incompleteProfiles,
+    totalPets: pets.length,
+    customersWithoutPets: customers.filter(c => !c.pets || c.pets.length === 0).length,
     missingData
   };
 };
@@ -289,17 +426,17 @@ export const calculateDataQuality = (customers) => {
 /**
  * Fetches customers from a specific Shopify segment with pagination and error handling
  * @param {Object} admin - Shopify admin API client
+ * @param {string} segmentGID - Segment GID, see `getSegmentSettings`
  * @param {number} maxCustomers - Maximum number of customers to fetch
  * @param {number} batchSize - Number of customers per batch
  * @returns {Promise<Object>} Object containing customers and metadata
  */
 export const fetchCustomersWithPagination = async (
   admin,
+  segmentGID,
   maxCustomers = 1000,
   batchSize = 100
 ) => {
-  const segmentGID = `gid://shopify/Segment/${process.env.PET_PROFILE_SEGMENT_ID_PROD}`; // Pet Profile segment
-
   try {
     let allCustomers = [];
     let hasNextPage = true;
@@ -323,11 +460,24 @@ export const fetchCustomersWithPagination = async (
                 defaultEmailAddress {
                   emailAddress
                 }
-                pet_type: metafield(namespace: "variables", key: "pet_type") { value }
-                stress_level: metafield(namespace: "variables", key: "stress_level") { value }
-                drug_usage: metafield(namespace: "variables", key: "drug_usage") { value }
-                pet_age: metafield(namespace: "variables", key: "pet_age") { value }
-                pet_weight: metafield(namespace: "variables", key: "pet_weight") { value }
+                pets: metafield(namespace: "variables", key: "pets") {
+                  createdAt
+                  updatedAt
+                  references(first: ${MAX_PETS}) {
+                    nodes {
+                      ... on Metaobject {
+                        id
+                        updatedAt
+                        fields { key value }
+                      }
+                    }
+                  }
+                }
+                pet_type: metafield(namespace: "variables", key: "pet_type") { value createdAt updatedAt }
+                stress_level: metafield(namespace: "variables", key: "stress_level") { value createdAt updatedAt }
+                drug_usage: metafield(namespace: "variables", key: "drug_usage") { value createdAt updatedAt }
+                pet_age: metafield(namespace: "variables", key: "pet_age") { value createdAt updatedAt }
+                pet_weight: metafield(namespace: "variables", key: "pet_weight") { value createdAt updatedAt }
               }
             }
           }
@@ -350,17 +500,7 @@ export const fetchCustomersWithPagination = async (
       }
 
       const segmentMembers = responseJson.data.customerSegmentMembers;
-      const customers = segmentMembers.edges.map(({ node }) => ({
-        id: extractIdFromGid(node.id),
-        firstName: node.firstName,
-        lastName: node.lastName,
-        email: node.defaultEmailAddress?.emailAddress || null,
-        pet_type: node.pet_type?.value || null,
-        stress_level: node.stress_level?.value || null,
-        drug_usage: node.drug_usage?.value || null,
-        pet_age: node.pet_age?.value || null,
-        pet_weight: node.pet_weight?.value || null,
-      }));
+      const customers = segmentMembers.edges.map(({ node }) => toSegmentCustomer(node));
 
       allCustomers = allCustomers.concat(customers);
       hasNextPage = segmentMembers.pageInfo.hasNextPage;
@@ -400,60 +540,20 @@ export const fetchCustomersWithPagination = async (
 
 /**
  * Generates dimension data for charts based on customer data
+ * Each pet is counted once, so customers with several pets contribute to several bars
  * @param {Array} customers - Array of customer objects
+ * @param {Array} [fields] - Configured profile fields
  * @returns {Object} Dimension data for different chart types
  */
-export const generateDimensionData = (customers) => {
-  if (customers.length === 0) {
-    return {
-      pet_age: [],
-      drug_usage: [],
-      pet_weight: [],
-      pet_type: [],
-      stress_level: []
-    };
-  }
-
-  const petAgeData = [
-    { name: '1-6', customers: parseInt(customers.filter(c => c.pet_age === '1-6').length) },
-    { name: '7-12', customers: parseInt(customers.filter(c => c.pet_age === '7-12').length) },
-    { name: '13-20', customers: parseInt(customers.filter(c => c.pet_age === '13-20').length) }
-  ];
-
-  const drugUsageData = [
-    { name: 'Allergies', customers: parseInt(customers.filter(c => c.drug_usage && c.drug_usage.toLowerCase().includes('allergies')).length) },
-    { name: 'Gut Health', customers: parseInt(customers.filter(c => c.drug_usage === 'Gut Health and Immune Support').length) },
-    { name: 'Hip and Joint Health', customers: parseInt(customers.filter(c => c.drug_usage === 'Hip and Joint Health').length) },
-    { name: 'Longevity', customers: parseInt(customers.filter(c => c.drug_usage === 'Longevity').length) },
-    { name: 'Anxiety', customers: parseInt(customers.filter(c => c.drug_usage === 'Anxiety').length) },
-    { name: 'Skin or Paw Irritation', customers: parseInt(customers.filter(c => c.drug_usage === 'Skin or Paw Irritation').length) }
-  ];
-
-  const petWeightData = [
-    { name: 'Under 20lbs', customers: parseInt(customers.filter(c => c.pet_weight === 'under 20lbs').length) },
-    { name: '20-50lbs', customers: parseInt(customers.filter(c => c.pet_weight === '20-50lbs').length) },
-    { name: '50+lbs', customers: parseInt(customers.filter(c => c.pet_weight === '50+lbs').length) }
-  ];
-
-  const petSpeciesData = [
-    { name: 'Dog', customers: parseInt(customers.filter(c => c.pet_type === 'Dog').length) },
-    { name: 'Cat', customers: parseInt(customers.filter(c => c.pet_type === 'Cat').length) },
-    { name: 'Small Animal', customers: parseInt(customers.filter(c => c.pet_type === 'small animal').length) }
-  ];
-
-  const stressLevelData = [
-    { name: 'Low', customers: parseInt(customers.filter(c => c.stress_level === 'low discomfort or stress').length) },
-    { name: '2', customers: parseInt(customers.filter(c => c.stress_level === '2').length) },
-    { name: 'Moderate', customers: parseInt(customers.filter(c => c.stress_level === 'moderate discomfort or stress').length) },
-    { name: '4', customers: parseInt(customers.filter(c => c.stress_level === '4').length) },
-    { name: 'Severe', customers: parseInt(customers.filter(c => c.stress_level === 'severe discomfort or stress').length) }
-  ];
-
-  return {
-    pet_age: petAgeData,
-    drug_usage: drugUsageData,
-    pet_weight: petWeightData,
-    pet_type: petSpeciesData,
-    stress_level: stressLevelData
-  };
-}; 
\ No newline at end of file
+export const generateDimensionData = (customers, fields = PET_PROFILE_FIELDS) => {
+  const pets = getAllPets(customers);
+
+  // One bar per allowed option; stored values are matched like imported ones, ignoring case
+  return Object.fromEntries(fields.map(field => [
+    field.key,
+    pets.length === 0 ? [] : field.options.map(option => ({
+      name: option.shortLabel || option.label,
+      pets: pets.filter(pet => normalizePetFieldValue(field.key, pet[field.key], fields) === option.value).length
+    }))
+  ]));
+};
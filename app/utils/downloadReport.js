@@ -0,0 +1,41 @@
+/**
+ * Downloads a file from one of the app's resource routes
+ * App Bridge adds the session token to same-origin `fetch` calls, which a plain link can't do.
+ * @param {string} url - Same-origin URL of the resource route
+ * @param {string} fallbackFilename - Used when the response has no Content-Disposition filename
+ * @returns {Promise<void>}
+ */
+export const downloadFile = async (url, fallbackFilename) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+
+  const blob = await response.blob();
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFilename;
+
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
+/**
+ * Downloads the pet profile report from the export resource route
+ * @param {Object} options
+ * @param {string} options.format - "csv" or "xlsx"
+ * @param {URLSearchParams} [options.filters] - View profiles filter parameters
+ * @param {Array<string>} [options.customerIds] - Restrict the report to these customers
+ * @returns {Promise<void>}
+ */
+export const downloadReport = async ({ format, filters, customerIds = [] }) => {
+  const params = new URLSearchParams(filters);
+  params.delete('page');
+  params.set('format', format);
+  customerIds.forEach(id => params.append('id', id));
+
+  await downloadFile(`/app/export?${params}`, `pet-profile-report.${format}`);
+};
@@ -0,0 +1,74 @@
+/**
+ * Pluggable outgoing mail transport
+ *
+ * A transport is an object with `send({ from, replyTo, to, subject, text, html })`.
+ * The transport is picked with MAIL_TRANSPORT (default "smtp"); other transports
+ * can be added with `registerMailTransport`.
+ *
+ * SMTP settings:
+ * SMTP_HOST     Defaults to localhost, so a local mail catcher (e.g. Mailpit) works in development
+ * SMTP_PORT     Defaults to 1025
+ * SMTP_SECURE   "true" to connect with TLS
+ * SMTP_USER / SMTP_PASS   Optional credentials
+ * MAIL_FROM     Sender address, defaults to no-reply@localhost
+ */
+import nodemailer from "nodemailer";
+
+/**
+ * Creates the SMTP transport from the environment
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER
+      ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }
+      : {}),
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+};
+
+let transport = null;
+
+/**
+ * Registers a mail transport that can be selected with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns an object with a `send(message)` method
+ * @returns {void}
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+/**
+ * Returns the configured mail transport, creating it on first use
+ * @returns {Object} Mail transport
+ */
+export const getMailTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || "smtp";
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  transport = factory();
+  return transport;
+};
+
+/**
+ * Sender address for outgoing mail
+ * @returns {string} Email address
+ */
+export const getMailFrom = () => process.env.MAIL_FROM || "no-reply@localhost";
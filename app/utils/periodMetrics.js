@@ -0,0 +1,104 @@
+/**
+ * Dashboard time periods and the metrics compared between them
+ */
+import { calculateDataQuality, getAllPets, getPetCompleteness } from './customerDataUtils';
+import { PET_PROFILE_FIELDS } from './petProfileSchema';
+
+export const PERIOD_OPTIONS = [
+  { label: 'Last 7 days', value: '7' },
+  { label: 'Last 30 days', value: '30' },
+  { label: 'Last 90 days', value: '90' },
+  { label: 'Last year', value: '365' },
+];
+
+export const DEFAULT_PERIOD = '30';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the selected period from URL search parameters
+ * @param {URLSearchParams} searchParams - Search parameters of the request or location
+ * @returns {string} One of the `PERIOD_OPTIONS` values
+ */
+export const parsePeriod = (searchParams) => {
+  const period = searchParams.get('period');
+  return PERIOD_OPTIONS.some(option => option.value === period) ? period : DEFAULT_PERIOD;
+};
+
+/**
+ * Calculates the selected period and the previous period of the same length
+ * @param {string} period - Number of days
+ * @param {Date} [now] - End of the selected period
+ * @returns {Object} `{ current: { start, end }, previous: { start, end } }`
+ */
+export const getPeriodRanges = (period, now = new Date()) => {
+  const length = Number(period) * DAY_MS;
+  const start = new Date(now.getTime() - length);
+
+  return {
+    current: { start, end: now },
+    previous: { start: new Date(start.getTime() - length), end: start },
+  };
+};
+
+/**
+ * Checks whether a date falls in a range, start inclusive and end exclusive
+ * @param {Date|string|null} date - Date to check
+ * @param {Object} range - `{ start, end }`
+ * @returns {boolean} True if the date is in the range
+ */
+export const isInRange = (date, { start, end }) => {
+  if (!date) return false;
+  const time = new Date(date).getTime();
+  return time >= start.getTime() && time < end.getTime();
+};
+
+/**
+ * Summarizes the metrics shown on the dashboard cards for a set of customers
+ * @param {Array} customers - Customers active in the period
+ * @param {Object} range - `{ start, end }` of the period, used to count new profiles
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {Object} `{ customers, newProfiles, pets, completeProfiles, completeness }`
+ */
+export const summarizePeriod = (customers, range, fields = PET_PROFILE_FIELDS) => {
+  const pets = getAllPets(customers);
+  const completeness = pets.length > 0
+    ? pets.reduce((sum, pet) => sum + getPetCompleteness(pet, fields), 0) / pets.length
+    : 0;
+
+  return {
+    customers: customers.length,
+    newProfiles: customers.filter(customer => isInRange(customer.submittedAt, range)).length,
+    pets: pets.length,
+    completeProfiles: calculateDataQuality(customers, fields).completeProfiles,
+    completeness: Math.round(completeness * 10) / 10,
+  };
+};
+
+/**
+ * Describes how a metric changed against the previous period
+ * @param {number} current - Value in the selected period
+ * @param {number} previous - Value in the previous period
+ * @param {Object} [options]
+ * @param {boolean} [options.points] - Compare percentages in points instead of relative change
+ * @returns {Object} `{ label, tone }` for a badge
+ */
+export const compareMetric = (current, previous, { points = false } = {}) => {
+  if (points) {
+    const diff = Math.round((current - previous) * 10) / 10;
+    return {
+      label: `${diff > 0 ? '+' : ''}${diff} pts`,
+      tone: diff > 0 ? 'success' : diff < 0 ? 'critical' : undefined,
+    };
+  }
+
+  if (previous === 0) {
+    return { label: current > 0 ? 'New' : 'No change', tone: current > 0 ? 'success' : undefined };
+  }
+
+  const change = Math.round(((current - previous) / previous) * 100);
+  return {
+    label: `${change > 0 ? '+' : ''}${change}%`,
+    tone: change > 0 ? 'success' : change < 0 ? 'critical' : undefined,
+  };
+};
@@ -0,0 +1,270 @@
+/**
+ * Pet profile schema shared by the admin, the `/pet-profile` action and the customer account extension
+ *
+ * Each field has a `key` (metaobject field key), a `type`, a `label`, whether it is `required`
+ * and, for choice fields, its allowed `options`. An option's `shortLabel` is used where space is
+ * tight, such as chart axes and filter choices.
+ *
+ * `PET_PROFILE_FIELDS` is the default configuration. Merchants can change the fields of their
+ * shop on the settings page, so functions that depend on the fields take them as a parameter.
+ *
+ * Keep this module free of imports: the extension bundles it directly.
+ */
+
+export const PET_NAME_FIELD = {
+  key: 'name',
+  type: 'text',
+  label: 'Pet Name',
+  required: true,
+  maxLength: 100,
+};
+
+export const PET_PROFILE_FIELDS = [
+  {
+    key: 'pet_type',
+    type: 'choice',
+    label: 'Pet Species',
+    required: true,
+    options: [
+      { label: 'Dog', value: 'Dog' },
+      { label: 'Cat', value: 'Cat' },
+      { label: 'Small Animal', value: 'small animal' },
+    ],
+  },
+  {
+    key: 'stress_level',
+    type: 'choice',
+    label: 'Stress Level',
+    required: true,
+    options: [
+      { label: 'Low Discomfort or Stress', shortLabel: 'Low', value: 'low discomfort or stress' },
+      { label: '2', value: '2' },
+      { label: 'Moderate Discomfort or Stress', shortLabel: 'Moderate', value: 'moderate discomfort or stress' },
+      { label: '4', value: '4' },
+      { label: 'Severe Discomfort or Stress', shortLabel: 'Severe', value: 'severe discomfort or stress' },
+    ],
+  },
+  {
+    key: 'drug_usage',
+    type: 'choice',
+    label: 'Drug Usage',
+    required: true,
+    options: [
+      { label: 'Allergies', value: 'allergies' },
+      { label: 'Gut Health and Immune Support', shortLabel: 'Gut Health', value: 'Gut Health and Immune Support' },
+      { label: 'Hip and Joint Health', value: 'Hip and Joint Health' },
+      { label: 'Longevity', value: 'Longevity' },
+      { label: 'Anxiety', value: 'Anxiety' },
+      { label: 'Skin or Paw Irritation', value: 'Skin or Paw Irritation' },
+    ],
+  },
+  {
+    key: 'pet_age',
+    type: 'choice',
+    label: 'Pet Age',
+    required: true,
+    options: [
+      { label: '1-6', value: '1-6' },
+      { label: '7-12', value: '7-12' },
+      { label: '13-20', value: '13-20' },
+    ],
+  },
+  {
+    key: 'pet_weight',
+    type: 'choice',
+    label: 'Pet Weight',
+    required: true,
+    options: [
+      { label: 'Under 20lbs', value: 'under 20lbs' },
+      { label: '20-50lbs', value: '20-50lbs' },
+      { label: '50+lbs', value: '50+lbs' },
+    ],
+  },
+];
+
+// Pets a customer can have; pets are loaded as one page of the customer's references, so saving
+// from a longer list would drop the pets past it
+export const MAX_PETS = 20;
+
+// Keys a pet sent by a client may contain besides the schema fields
+const PET_META_KEYS = ['id', 'legacy'];
+
+/**
+ * Finds the schema of a pet field
+ * @param {string} key - Field key
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {Object|undefined} Field schema
+ */
+export const getPetField = (key, fields = PET_PROFILE_FIELDS) =>
+  key === PET_NAME_FIELD.key ? PET_NAME_FIELD : fields.find(field => field.key === key);
+
+/**
+ * Finds the display label of a field value
+ * @param {string} key - Field key
+ * @param {string} value - Stored value
+ * @param {Object} [options]
+ * @param {boolean} [options.short] - Prefer the option's short label
+ * @param {Array} [options.fields] - Configured profile fields
+ * @returns {string} Option label, or the value itself when it isn't an allowed option
+ */
+export const getOptionLabel = (key, value, { short = false, fields = PET_PROFILE_FIELDS } = {}) => {
+  const option = getPetField(key, fields)?.options?.find(o => o.value === value);
+  if (!option) return value;
+  return (short && option.shortLabel) || option.label;
+};
+
+/**
+ * Validates a pet against the schema
+ * @param {*} pet - Pet sent by a client
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Allow required fields to be empty, e.g. for imports
+ * @param {Array} [options.fields] - Configured profile fields
+ * @param {number} [options.petCount] - Pets the customer has now; a new pet is refused once they
+ * have `MAX_PETS`
+ * @returns {Object} `{ pet, errors, issues }`; `pet` has trimmed values, plus `legacy: true` for the
+ * legacy flat profile, and `errors` maps field keys
+ * (or `pet` for the whole object) to English messages, empty when the pet is valid. `issues`
+ * has the same keys with `{ rule, max }`, for clients that word the messages themselves.
+ * Rules: `object`, `maxPets`, `unknown`, `id`, `type`, `required`, `maxLength` and `choice`.
+ *
+ * Examples:
+ * validatePet({ name: 'Rex', pet_type: 'Bird' }, { partial: true }).errors
+ *   => { pet_type: 'Pet Species must be one of: Dog, Cat, Small Animal' }
+ * validatePet({ name: 'Rex', colour: 'brown' }, { partial: true }).issues
+ *   => { colour: { rule: 'unknown' } }
+ */
+export const validatePet = (pet, { partial = false, fields = PET_PROFILE_FIELDS, petCount = 0 } = {}) => {
+  const errors = {};
+  const issues = {};
+  const fail = (key, rule, message, params = {}) => {
+    errors[key] = message;
+    issues[key] = { rule, ...params };
+  };
+
+  if (!pet || typeof pet !== 'object' || Array.isArray(pet)) {
+    return { pet: null, errors: { pet: 'Pet must be an object' }, issues: { pet: { rule: 'object' } } };
+  }
+
+  Object.keys(pet)
+    .filter(key => !PET_META_KEYS.includes(key) && !getPetField(key, fields))
+    .forEach(key => fail(key, 'unknown', `Unknown field "${key}"`));
+
+  if (pet.id !== undefined && pet.id !== null &&
+      (typeof pet.id !== 'string' || !pet.id.startsWith('gid://shopify/Metaobject/'))) {
+    fail('id', 'id', 'Pet ID must be a metaobject ID');
+  }
+
+  const cleaned = { id: typeof pet.id === 'string' ? pet.id : null };
+  // Without an ID, the flag tells a save of the legacy flat profile from a new pet
+  if (!cleaned.id && pet.legacy === true) cleaned.legacy = true;
+  if (!cleaned.id && !cleaned.legacy && petCount >= MAX_PETS) {
+    fail('pet', 'maxPets', `A customer can have at most ${MAX_PETS} pets`, { max: MAX_PETS });
+  }
+
+  [PET_NAME_FIELD, ...fields].forEach(field => {
+    const raw = pet[field.key];
+    if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+      fail(field.key, 'type', `${field.label} must be text`);
+      return;
+    }
+
+    const value = (raw || '').trim();
+    cleaned[field.key] = value;
+
+    if (!value) {
+      if (field.required && !partial) fail(field.key, 'required', `${field.label} is required`);
+      return;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      fail(field.key, 'maxLength', `${field.label} must be at most ${field.maxLength} characters`, { max: field.maxLength });
+    }
+    if (field.options && !field.options.some(option => option.value === value)) {
+      fail(field.key, 'choice', `${field.label} must be one of: ${field.options.map(o => o.label).join(', ')}`);
+    }
+  });
+
+  return { pet: cleaned, errors, issues };
+};
+
+export const MAX_PROFILE_FIELDS = 20;
+export const MAX_FIELD_OPTIONS = 50;
+const MAX_LABEL_LENGTH = 60;
+// Metaobject single line text values are limited to 255 characters
+const MAX_VALUE_LENGTH = 255;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+/**
+ * Derives a field key from its label
+ * @param {string} label - Field label
+ * @param {Array<string>} [taken] - Keys already in use
+ * @returns {string} Lowercase key of letters, digits and underscores
+ *
+ * Examples:
+ * toFieldKey('Favourite Food') => 'favourite_food'
+ * toFieldKey('Pet Age', ['pet_age']) => 'pet_age_2'
+ */
+export const toFieldKey = (label, taken = []) => {
+  let base = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 26);
+  if (!/^[a-z]/.test(base)) base = `field_${base}`.replace(/_+$/, '');
+  if (base === PET_NAME_FIELD.key) base = 'pet_name';
+
+  let key = base;
+  for (let n = 2; taken.includes(key); n++) key = `${base}_${n}`;
+  return key;
+};
+
+/**
+ * Validates a profile field configuration edited on the settings page
+ * New fields may leave `key` empty; it is derived from the label.
+ * New options may leave `value` empty; it is the trimmed label.
+ * @param {*} fields - Submitted fields
+ * @returns {Object} `{ fields, errors }`; `fields` only keeps schema properties and
+ * `errors` lists messages, empty when the configuration is valid
+ */
+export const validateFieldConfig = (fields) => {
+  const errors = [];
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { fields: [], errors: ['Add at least one field'] };
+  }
+  if (fields.length > MAX_PROFILE_FIELDS) {
+    errors.push(`Profiles can have at most ${MAX_PROFILE_FIELDS} fields`);
+  }
+
+  // Derived keys must not collide with keys of fields further down the list either
+  const existingKeys = fields.map(field => field?.key).filter(Boolean).map(String);
+  const keys = [];
+  const cleaned = fields.map((field, index) => {
+    const label = String(field?.label || '').trim();
+    const name = label || `Field ${index + 1}`;
+    const key = field?.key ? String(field.key) : toFieldKey(label, [...existingKeys, ...keys]);
+
+    if (!label) errors.push(`${name}: enter a label`);
+    if (label.length > MAX_LABEL_LENGTH) errors.push(`${name}: labels are limited to ${MAX_LABEL_LENGTH} characters`);
+    if (!FIELD_KEY_PATTERN.test(key) || key === PET_NAME_FIELD.key) errors.push(`${name}: "${key}" is not a valid key`);
+    if (keys.includes(key)) errors.push(`${name}: another field already uses the key "${key}"`);
+    keys.push(key);
+
+    const rawOptions = Array.isArray(field?.options) ? field.options : [];
+    if (rawOptions.length === 0) errors.push(`${name}: add at least one option`);
+    if (rawOptions.length > MAX_FIELD_OPTIONS) errors.push(`${name}: fields can have at most ${MAX_FIELD_OPTIONS} options`);
+
+    const values = [];
+    const options = rawOptions.map(option => {
+      const optionLabel = String(option?.label || '').trim();
+      const shortLabel = String(option?.shortLabel || '').trim();
+      const value = String(option?.value || optionLabel).trim();
+
+      if (!optionLabel) errors.push(`${name}: every option needs a label`);
+      if (value.length > MAX_VALUE_LENGTH) errors.push(`${name}: "${optionLabel}" is too long`);
+      if (values.includes(value)) errors.push(`${name}: "${optionLabel}" is listed twice`);
+      values.push(value);
+
+      return { label: optionLabel, ...(shortLabel ? { shortLabel } : {}), value };
+    });
+
+    return { key, type: 'choice', label, required: Boolean(field?.required), options };
+  });
+
+  return { fields: cleaned, errors };
+};
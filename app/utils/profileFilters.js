@@ -0,0 +1,40 @@
+/**
+ * URL search parameters used by the View profiles filters
+ */
+
+export const PROFILES_PAGE_SIZE = 50;
+
+// Profile fields are configured per shop, so `has` and answer filters accept anything shaped
+// like a field key; keys the shop doesn't have are ignored by the query
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Prefix of the search parameters filtering on the answers of one field
+export const ANSWER_PARAM_PREFIX = 'answer.';
+
+/**
+ * Parses the View profiles filters from URL search parameters
+ * @param {URLSearchParams} searchParams - Search parameters of the request or location
+ * @returns {Object} `{ query, answers, has, page }`; `answers` maps field keys to the chosen values
+ *
+ * Parameters:
+ * q=<text>                 Search in first name, last name and email
+ * answer.<field>=<value>   Any pet has this answer for the field (repeatable)
+ * has=<field>              Any pet has this field filled in (repeatable)
+ * page=<number>            1-based page number
+ */
+export const parseProfileFilters = (searchParams) => {
+  const answers = {};
+  for (const [name, value] of searchParams) {
+    if (!name.startsWith(ANSWER_PARAM_PREFIX) || !value) continue;
+    const field = name.slice(ANSWER_PARAM_PREFIX.length);
+    if (!FIELD_KEY_PATTERN.test(field)) continue;
+    answers[field] = [...(answers[field] || []), value];
+  }
+
+  return {
+    query: (searchParams.get('q') || '').trim(),
+    answers,
+    has: searchParams.getAll('has').filter(field => FIELD_KEY_PATTERN.test(field)),
+    page: Math.max(1, parseInt(searchParams.get('page'), 10) || 1),
+  };
+};
@@ -0,0 +1,140 @@
+/**
+ * Builds the pet profile report downloaded from the dashboard and View profiles
+ */
+import ExcelJS from "exceljs";
+import {
+  calculateDataQuality,
+  generateDimensionData,
+  getPetCompleteness,
+  getProfileCompleteness,
+  isCompleteProfile,
+} from "./customerDataUtils";
+import { PET_PROFILE_FIELDS } from "./petProfileSchema";
+import { toCsvCell, toCsvLines } from "./csv";
+
+/**
+ * Lists the columns of the customers table
+ * @param {Array} fields - Configured profile fields
+ * @returns {Array} Column definitions `{ key, header, width }`
+ */
+const getCustomerColumns = (fields) => [
+  { key: "customerId", header: "Customer ID", width: 16 },
+  { key: "firstName", header: "First Name", width: 16 },
+  { key: "lastName", header: "Last Name", width: 16 },
+  { key: "email", header: "Email", width: 28 },
+  { key: "profileCompleteness", header: "Profile Completeness (%)", width: 14 },
+  { key: "completeProfile", header: "Complete Profile", width: 10 },
+  { key: "petName", header: "Pet Name", width: 16 },
+  ...fields.map((field) => ({ key: field.key, header: field.label, width: 24 })),
+  { key: "petCompleteness", header: "Pet Completeness (%)", width: 14 },
+];
+
+/**
+ * Collects everything that goes into the report
+ * @param {Array} customers - Array of customer objects
+ * @param {Array} [fields] - Configured profile fields
+ * @returns {Object} `{ customerColumns, customerRows, summaryRows, dimensionRows }`
+ */
+export const buildReport = (customers, fields = PET_PROFILE_FIELDS) => {
+  // One row per pet; customers without pets still get a row with empty pet columns
+  const customerRows = customers.flatMap((customer) => {
+    const base = {
+      customerId: customer.id,
+      firstName: customer.firstName || "",
+      lastName: customer.lastName || "",
+      email: customer.email || "",
+      profileCompleteness: getProfileCompleteness(customer, fields),
+      completeProfile: isCompleteProfile(customer, fields) ? "Yes" : "No",
+    };
+    if (customer.pets.length === 0) return [base];
+
+    return customer.pets.map((pet) => ({
+      ...base,
+      petName: pet.name,
+      ...Object.fromEntries(fields.map((field) => [field.key, pet[field.key]])),
+      petCompleteness: getPetCompleteness(pet, fields),
+    }));
+  });
+
+  const dataQuality = calculateDataQuality(customers, fields);
+  const summaryRows = [
+    { metric: "Customers", value: customers.length },
+    { metric: "Pets", value: dataQuality.totalPets },
+    { metric: "Complete profiles", value: dataQuality.completeProfiles },
+    { metric: "Incomplete profiles", value: dataQuality.incompleteProfiles },
+    { metric: "Customers without pets", value: dataQuality.customersWithoutPets },
+    ...fields.map((field) => ({
+      metric: `Pets missing ${field.label}`,
+      value: dataQuality.missingData[field.key],
+    })),
+  ];
+
+  const dimensions = generateDimensionData(customers, fields);
+  const dimensionRows = fields.flatMap((field) =>
+    dimensions[field.key].map(({ name, pets }) => ({
+      attribute: field.label,
+      value: name,
+      pets,
+    })),
+  );
+
+  return { customerColumns: getCustomerColumns(fields), customerRows, summaryRows, dimensionRows };
+};
+
+/**
+ * Serializes a report as CSV, with one section per table separated by blank lines
+ * @param {Object} report - Report returned by `buildReport`
+ * @returns {string} CSV document
+ */
+export const reportToCsv = ({ customerColumns, customerRows, summaryRows, dimensionRows }) => {
+  const lines = [];
+  const addTable = (title, columns, rows) => {
+    if (lines.length > 0) lines.push("");
+    lines.push(toCsvCell(title), ...toCsvLines(columns, rows));
+  };
+
+  addTable("Customers", customerColumns, customerRows);
+  addTable("Data Quality Summary", [{ key: "metric", header: "Metric" }, { key: "value", header: "Value" }], summaryRows);
+  addTable(
+    "Profile Breakdown",
+    [{ key: "attribute", header: "Attribute" }, { key: "value", header: "Value" }, { key: "pets", header: "Pets" }],
+    dimensionRows,
+  );
+
+  return lines.join("\r\n");
+};
+
+/**
+ * Serializes a report as an XLSX workbook with one sheet per table
+ * @param {Object} report - Report returned by `buildReport`
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+export const reportToXlsx = async ({ customerColumns, customerRows, summaryRows, dimensionRows }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const addSheet = (name, columns, rows) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+  };
+
+  addSheet("Customers", customerColumns, customerRows);
+  addSheet(
+    "Data Quality",
+    [{ key: "metric", header: "Metric", width: 32 }, { key: "value", header: "Value", width: 12 }],
+    summaryRows,
+  );
+  addSheet(
+    "Breakdown",
+    [
+      { key: "attribute", header: "Attribute", width: 16 },
+      { key: "value", header: "Value", width: 24 },
+      { key: "pets", header: "Pets", width: 10 },
+    ],
+    dimensionRows,
+  );
+
+  return workbook.xlsx.writeBuffer();
+};
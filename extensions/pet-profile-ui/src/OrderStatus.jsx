@@ -0,0 +1,9 @@
+import { reactExtension, useApi, useSettings, useTranslate } from '@shopify/ui-extensions-react/customer-account';
+import { PetProfileBlock } from './PetProfile';
+
+const SURFACE = { name: 'customer-account', useApi, useSettings, useTranslate };
+
+export default reactExtension(
+  'customer-account.order-status.block.render',
+  () => <PetProfileBlock surface={SURFACE} afterPurchase />,
+);
@@ -0,0 +1,467 @@
+// The customer account package re-exports the checkout components, so every target can render
+// them; only `Card` is specific to customer accounts
+import {
+  BlockStack,
+  InlineStack,
+  Card,
+  View,
+  TextBlock,
+  TextField,
+  Select,
+  Button,
+  Heading,
+  Banner,
+  Divider,
+  Grid,
+  Image,
+  Link,
+} from '@shopify/ui-extensions-react/customer-account';
+import { createContext, useContext, useEffect, useState } from 'react';
+import {
+  MAX_PETS,
+  PET_NAME_FIELD,
+  PET_PROFILE_FIELDS,
+  getPetField,
+  validatePet,
+} from '../../../app/utils/petProfileSchema';
+import { isCompleteProfile } from '../../../app/utils/customerDataUtils';
+import { API_ERROR_CODES } from '../../../app/utils/apiErrors';
+
+const API_URL = "https://pet-profile-ruby.vercel.app/pet-profile";
+const RECOMMENDATIONS_URL = "https://pet-profile-ruby.vercel.app/pet-recommendations";
+
+// The surface rendering the block, `{ name, useApi, useSettings, useTranslate }` from its own
+// package: the checkout and customer account packages keep the extension API in separate contexts
+const Surface = createContext(null);
+const useSurface = () => useContext(Surface);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Form values of a pet, limited to the shop's configured fields
+// Values of fields the merchant removed stay on the pet in Shopify but aren't edited here
+const toFormPet = (fields, pet = {}) => ({
+  id: pet.id || null,
+  ...(pet.legacy ? { legacy: true } : {}),
+  name: pet.name || '',
+  ...Object.fromEntries(fields.map(field => [field.key, pet[field.key] || ''])),
+});
+
+// Locale key of a stored option value, e.g. "small animal" => "small_animal"
+// Stored values never change with the language; only their labels are translated
+const toTranslationKey = (value) =>
+  String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// The default field a configured field still matches, so its labels are in the locale files
+// Fields the merchant added or renamed on the settings page show their configured labels
+const getDefaultField = (field) =>
+  PET_PROFILE_FIELDS.find(defaultField => defaultField.key === field.key && defaultField.label === field.label);
+
+// Translated labels of the profile fields and their options
+function usePetLabels() {
+  const translate = useSurface().useTranslate();
+
+  const fieldLabel = (field) => {
+    if (field.key === PET_NAME_FIELD.key) return translate('fields.name.label');
+    return getDefaultField(field) ? translate(`fields.${field.key}.label`) : field.label;
+  };
+
+  const optionLabel = (field, value) => {
+    const option = field.options?.find(o => o.value === value);
+    if (!option) return value;
+    const isDefault = getDefaultField(field)?.options.some(o => o.value === option.value && o.label === option.label);
+    return isDefault ? translate(`fields.${field.key}.options.${toTranslationKey(option.value)}`) : option.label;
+  };
+
+  // Select options of a field, led by an empty placeholder
+  const selectOptions = (field) => [
+    { label: translate('form.selectPlaceholder', { field: fieldLabel(field) }), value: '' },
+    ...field.options.map(({ value }) => ({ label: optionLabel(field, value), value })),
+  ];
+
+  return { fieldLabel, optionLabel, selectOptions };
+}
+
+// Reads the error envelope of a failed response (see app/utils/apiErrors) into a throwable error
+// Responses without a known code, such as a proxy's error page, count as INTERNAL_ERROR
+const readApiError = async (response) => {
+  const data = await response.json().catch(() => null);
+  const error = data?.error && typeof data.error === 'object' ? data.error : {};
+  const code = API_ERROR_CODES[error.code] || API_ERROR_CODES.INTERNAL_ERROR;
+  return Object.assign(new Error(code), {
+    code,
+    fields: error.fields || {},
+    issues: error.issues || {},
+    retryAfter: Number(response.headers.get('Retry-After')) || error.retryAfter || null,
+  });
+};
+
+/**
+ * Renders the pet profile block for an extension target
+ * @param {Object} props
+ * @param {Object} props.surface - `{ name, useApi, useSettings, useTranslate }`; `name` is
+ * "checkout" or "customer-account", the hooks come from that surface's package
+ * @param {boolean} [props.afterPurchase] - Ask for a missing profile after a purchase
+ */
+export function PetProfileBlock({ surface, afterPurchase = false }) {
+  return (
+    <Surface.Provider value={surface}>
+      <PetProfile afterPurchase={afterPurchase} />
+    </Surface.Provider>
+  );
+}
+
+// https://shopify.dev/docs/apps/build/customer-accounts/metafields
+// https://shopify.dev/docs/apps/build/customer-accounts/
+// After a purchase the block asks for a missing profile: it stays hidden while loading, for
+// customers whose profile was already complete and when the profile can't be loaded, e.g. for
+// guests whose session token names no customer
+function PetProfile({ afterPurchase }) {
+  const surface = useSurface();
+  const { sessionToken } = surface.useApi();
+  const { heading } = surface.useSettings();
+  const translate = surface.useTranslate();
+  const { fieldLabel, optionLabel } = usePetLabels();
+
+  const [pets, setPets] = useState([]);
+  // Products recommended for the pets, `{ petId, petName, products }` per pet
+  const [recommendations, setRecommendations] = useState([]);
+  // Profile fields configured by the shop, sent along with the pets
+  const [fields, setFields] = useState(PET_PROFILE_FIELDS);
+  // The pet being added or edited, or null when the form is closed
+  const [editingPet, setEditingPet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Set once after loading, so completing the profile here still shows the result
+  const [hidden, setHidden] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(undefined);
+
+  // Field-level errors from the last validation, keyed by field
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Customer-facing message of an error thrown by a request; errors without a code never
+  // reached the backend
+  const toErrorMessage = (err) => {
+    if (!err.code) return translate('errors.NETWORK');
+    if (err.issues?.pet?.rule === 'maxPets') return translate('validation.maxPets', { count: err.issues.pet.max });
+    if (err.code === API_ERROR_CODES.RATE_LIMITED) {
+      return err.retryAfter
+        ? translate('errors.RATE_LIMITED', { count: err.retryAfter })
+        : translate('errors.RATE_LIMITED_SOON');
+    }
+    return translate(`errors.${err.code}`);
+  };
+
+  // Customer-facing messages of field errors, keyed by field
+  // `issues` come from validatePet; fields without one get a generic message
+  const toFieldErrors = (issues, fieldMessages = {}) => {
+    const keys = [...new Set([...Object.keys(fieldMessages), ...Object.keys(issues)])];
+    return Object.fromEntries(keys.map(key => {
+      const field = getPetField(key, fields);
+      const issue = issues[key];
+      if (!field || !issue) return [key, translate('validation.invalid')];
+      return [key, translate(`validation.${issue.rule}`, {
+        field: fieldLabel(field),
+        ...(issue.max ? { count: issue.max } : {}),
+      })];
+    }));
+  };
+
+  // Sends an authenticated request to the app backend
+  // Checkout session tokens are checked differently, so the backend is told which one it gets
+  const callApi = async (init = {}, url = API_URL) => {
+    const token = await sessionToken.get();
+    return fetch(`${url}?surface=${surface.name}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+    });
+  };
+
+  // Recommendations follow the saved answers, so they're reloaded after every change
+  // They're an extra: failing to load them leaves the list empty without an error
+  const loadRecommendations = async () => {
+    try {
+      const response = await callApi({}, RECOMMENDATIONS_URL);
+      if (!response.ok) throw await readApiError(response);
+      const data = await response.json();
+      setRecommendations(data.recommendations || []);
+    } catch (err) {
+      console.error('Failed to load recommendations', err);
+    }
+  };
+
+  // Load the customer's pets from the app backend
+  useEffect(() => {
+    async function load() {
+      try {
+        const response = await callApi();
+        if (!response.ok) throw await readApiError(response);
+        const data = await response.json();
+
+        const shopFields = data.fields || PET_PROFILE_FIELDS;
+        if (afterPurchase && isCompleteProfile({ pets: data.pets }, shopFields)) {
+          setHidden(true);
+          return;
+        }
+        setFields(shopFields);
+        setPets(data.pets || []);
+        // Customers without pets start straight on the form
+        if (!data.pets?.length) setEditingPet(toFormPet(shopFields));
+        else loadRecommendations();
+      } catch (err) {
+        if (afterPurchase) setHidden(true);
+        else setStatus({ type: 'error', message: toErrorMessage(err) });
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+    // Only load once when the block mounts
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleChange = (key, value) => {
+    setEditingPet(prev => ({ ...prev, [key]: value }));
+    setFieldErrors(prev => ({ ...prev, [key]: undefined }));
+    setStatus(null);
+  };
+
+  const openForm = (pet) => {
+    setStatus(null);
+    setFieldErrors({});
+    setEditingPet(pet);
+  };
+
+  const handleSubmit = async () => {
+    // The same schema validation runs again on the server
+    const { pet, issues } = validatePet(editingPet, { fields, petCount: pets.length });
+
+    if (Object.keys(issues).length > 0) {
+      setFieldErrors(toFieldErrors(issues));
+      setStatus({ type: 'error', message: toErrorMessage({ code: API_ERROR_CODES.VALIDATION_FAILED, issues }) });
+      return;
+    }
+
+    // Clear any previous status messages and set saving state
+    setStatus(null);
+    setFieldErrors({});
+    setSaving(true);
+
+    try {
+      const response = await callApi({
+        method: 'POST',
+        body: JSON.stringify({ intent: 'save', pet }),
+      });
+      if (!response.ok) {
+        const error = await readApiError(response);
+        // Highlight the fields the server or Shopify rejected
+        setFieldErrors(toFieldErrors(error.issues, error.fields));
+        throw error;
+      }
+      const data = await response.json();
+      setPets(data.pets || []);
+      setEditingPet(null);
+      loadRecommendations();
+      
+      // The server decides whether this save earned the first-submission reward
+      if (data.reward) {
+        const daysLeft = Math.max(1, Math.ceil((new Date(data.reward.expiresAt) - Date.now()) / DAY_MS));
+        setStatus({
+          type: 'success',
+          message: translate('status.reward', {
+            code: data.reward.code,
+            percentage: data.reward.percentage,
+            count: daysLeft,
+          }),
+        });
+      } else {
+        setStatus({ type: 'success', message: translate('status.saved') });
+      }
+    } catch (err) {
+      setStatus({ type: 'error', message: toErrorMessage(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (pet) => {
+    setStatus(null);
+    setDeletingId(pet.id);
+
+    try {
+      const response = await callApi({
+        method: 'POST',
+        body: JSON.stringify({ intent: 'delete', petId: pet.id }),
+      });
+      if (!response.ok) throw await readApiError(response);
+      const data = await response.json();
+      setPets(data.pets || []);
+      loadRecommendations();
+      setStatus({ type: 'success', message: translate('status.removed', { name: pet.name || translate('pet.unnamed') }) });
+    } catch (err) {
+      setStatus({ type: 'error', message: toErrorMessage(err) });
+    } finally {
+      setDeletingId(undefined);
+    }
+  };
+
+  if (afterPurchase && (loading || hidden)) return null;
+
+  if (loading) {
+    return <TextBlock>{translate('loading')}</TextBlock>;
+  }
+
+  const content = (
+    <BlockStack spacing="loose">
+      {/* 🔸 Use the customizable heading from settings, fallback to default text */}
+      <Heading level={3}>{heading || translate(afterPurchase ? 'afterPurchase.heading' : 'heading')}</Heading>
+      {afterPurchase && <TextBlock appearance="subdued">{translate('afterPurchase.intro')}</TextBlock>}
+
+      {status?.type === 'success' && <Banner status="success">{status.message}</Banner>}
+      {status?.type === 'error' && <Banner status="critical">{status.message}</Banner>}
+      {status?.type === 'info' && <Banner status="info">{status.message}</Banner>}
+
+      {pets.map((pet) => (
+        <BlockStack key={pet.id || 'legacy'} spacing="tight">
+          <InlineStack spacing="base" blockAlignment="center">
+            <Heading level={4}>{pet.name || translate('pet.unnamed')}</Heading>
+            <TextBlock appearance="subdued">
+              {fields
+                .slice(0, 3)
+                .filter(field => pet[field.key])
+                .map(field => optionLabel(field, pet[field.key]))
+                .join(' · ')}
+            </TextBlock>
+          </InlineStack>
+          <InlineStack spacing="tight">
+            <Button
+              kind="secondary"
+              disabled={saving || deletingId !== undefined}
+              onPress={() => openForm(toFormPet(fields, pet))}
+            >
+              {translate('pet.edit')}
+            </Button>
+            <Button
+              kind="plain"
+              appearance="critical"
+              loading={deletingId === pet.id}
+              disabled={saving || deletingId !== undefined}
+              onPress={() => handleDelete(pet)}
+            >
+              {translate('pet.remove')}
+            </Button>
+          </InlineStack>
+          <Divider />
+        </BlockStack>
+      ))}
+
+      {editingPet ? (
+        <PetForm
+          pet={editingPet}
+          fields={fields}
+          errors={fieldErrors}
+          saving={saving}
+          canCancel={pets.length > 0}
+          onChange={handleChange}
+          onSubmit={handleSubmit}
+          onCancel={() => { setEditingPet(null); setStatus(null); setFieldErrors({}); }}
+        />
+      ) : pets.length >= MAX_PETS ? (
+        <TextBlock appearance="subdued">{translate('validation.maxPets', { count: MAX_PETS })}</TextBlock>
+      ) : (
+        <Button kind="secondary" onPress={() => openForm(toFormPet(fields))}>
+          {translate('pet.add')}
+        </Button>
+      )}
+
+      {recommendations.length > 0 && <PetRecommendations recommendations={recommendations} />}
+    </BlockStack>
+  );
+
+  // Cards only exist in customer accounts; the thank-you page gets a bordered view instead
+  return surface.name === 'checkout'
+    ? <View border="base" cornerRadius="base" padding="base">{content}</View>
+    : <Card padding>{content}</Card>;
+}
+
+// Products recommended for each pet, linking to the online store
+function PetRecommendations({ recommendations }) {
+  const { useApi, useTranslate } = useSurface();
+  const translate = useTranslate();
+  const { i18n } = useApi();
+
+  return (
+    <BlockStack spacing="loose">
+      <Divider />
+      {recommendations.map((recommendation) => (
+        <BlockStack key={recommendation.petId || 'legacy'} spacing="base">
+          <Heading level={4}>
+            {translate('recommendations.heading', { name: recommendation.petName || translate('pet.unnamed') })}
+          </Heading>
+          <Grid columns={['fill', 'fill']} spacing="base">
+            {recommendation.products.map((product) => (
+              <Link key={product.id} to={product.url} external>
+                <BlockStack spacing="extraTight">
+                  {product.imageUrl && <Image source={product.imageUrl} accessibilityDescription={product.imageAlt} />}
+                  <TextBlock emphasis="bold">{product.title}</TextBlock>
+                  <TextBlock appearance="subdued">
+                    {translate('recommendations.price', {
+                      price: i18n.formatCurrency(Number(product.price.amount), { currency: product.price.currencyCode }),
+                    })}
+                  </TextBlock>
+                </BlockStack>
+              </Link>
+            ))}
+          </Grid>
+        </BlockStack>
+      ))}
+    </BlockStack>
+  );
+}
+
+function PetForm({ pet, fields, errors, saving, canCancel, onChange, onSubmit, onCancel }) {
+  const translate = useSurface().useTranslate();
+  const { fieldLabel, selectOptions } = usePetLabels();
+
+  let title = translate('form.addTitle');
+  if (pet.id || pet.legacy) title = pet.name ? translate('form.editTitle', { name: pet.name }) : translate('form.editTitleUnnamed');
+
+  return (
+    <BlockStack spacing="base">
+      <Heading level={4}>{title}</Heading>
+
+      <TextField
+        label={fieldLabel(PET_NAME_FIELD)}
+        value={pet.name}
+        maxLength={PET_NAME_FIELD.maxLength}
+        error={errors.name}
+        onChange={(val) => onChange('name', val)}
+      />
+
+      {fields.map(field => (
+        <Select
+          key={field.key}
+          label={fieldLabel(field)}
+          options={selectOptions(field)}
+          value={pet[field.key]}
+          error={errors[field.key]}
+          onChange={(val) => onChange(field.key, val)}
+        />
+      ))}
+
+      <InlineStack spacing="tight">
+        <Button onPress={onSubmit} loading={saving} disabled={saving}>
+          {saving ? translate('form.saving') : translate('form.save')}
+        </Button>
+        {canCancel && (
+          <Button kind="secondary" onPress={onCancel} disabled={saving}>
+            {translate('form.cancel')}
+          </Button>
+        )}
+      </InlineStack>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,9 @@
+import { reactExtension, useApi, useSettings, useTranslate } from '@shopify/ui-extensions-react/checkout';
+import { PetProfileBlock } from './PetProfile';
+
+const SURFACE = { name: 'checkout', useApi, useSettings, useTranslate };
+
+export default reactExtension(
+  'purchase.thank-you.block.render',
+  () => <PetProfileBlock surface={SURFACE} afterPurchase />,
+);
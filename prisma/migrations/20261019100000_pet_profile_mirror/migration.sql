@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "PetProfile" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerGid" TEXT NOT NULL,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "email" TEXT,
+    "hasSubmitted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PetProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Pet" (
+    "id" TEXT NOT NULL,
+    "profileId" TEXT NOT NULL,
+    "metaobjectId" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "name" TEXT,
+    "petType" TEXT,
+    "stressLevel" TEXT,
+    "drugUsage" TEXT,
+    "petAge" TEXT,
+    "petWeight" TEXT,
+
+    CONSTRAINT "Pet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PetProfileSync" (
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "customerCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+
+    CONSTRAINT "PetProfileSync_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PetProfile_shop_customerId_key" ON "PetProfile"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "Pet_profileId_idx" ON "Pet"("profileId");
+
+-- AddForeignKey
+ALTER TABLE "Pet" ADD CONSTRAINT "Pet_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "PetProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "PetProfileChange" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerGid" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PetProfileChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PetProfileChange_shop_customerId_createdAt_idx" ON "PetProfileChange"("shop", "customerId", "createdAt");
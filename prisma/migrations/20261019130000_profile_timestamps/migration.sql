@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "PetProfile" ADD COLUMN     "profileUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "submittedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "PetProfile_shop_profileUpdatedAt_idx" ON "PetProfile"("shop", "profileUpdatedAt");
+
+-- Run the full sync again so existing profiles get their timestamps
+UPDATE "PetProfileSync" SET "completedAt" = NULL;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "PetFieldValue" (
+    "id" TEXT NOT NULL,
+    "petId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+
+    CONSTRAINT "PetFieldValue_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProfileFieldConfig" (
+    "shop" TEXT NOT NULL,
+    "fields" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProfileFieldConfig_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PetFieldValue_petId_key_key" ON "PetFieldValue"("petId", "key");
+
+-- CreateIndex
+CREATE INDEX "PetFieldValue_key_value_idx" ON "PetFieldValue"("key", "value");
+
+-- AddForeignKey
+ALTER TABLE "PetFieldValue" ADD CONSTRAINT "PetFieldValue_petId_fkey" FOREIGN KEY ("petId") REFERENCES "Pet"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move the values of the fixed pet columns into PetFieldValue
+INSERT INTO "PetFieldValue" ("id", "petId", "key", "value")
+SELECT gen_random_uuid()::text, "id", field.key, field.value
+FROM "Pet"
+CROSS JOIN LATERAL (VALUES
+    ('pet_type', "petType"),
+    ('stress_level', "stressLevel"),
+    ('drug_usage', "drugUsage"),
+    ('pet_age', "petAge"),
+    ('pet_weight', "petWeight")
+) AS field(key, value)
+WHERE field.value IS NOT NULL AND field.value <> '';
+
+-- AlterTable
+ALTER TABLE "Pet" DROP COLUMN "drugUsage",
+DROP COLUMN "petAge",
+DROP COLUMN "petType",
+DROP COLUMN "petWeight",
+DROP COLUMN "stressLevel";
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "MetafieldMigration" (
+    "shop" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "error" TEXT,
+    "convertedCount" INTEGER NOT NULL DEFAULT 0,
+    "failureCount" INTEGER NOT NULL DEFAULT 0,
+    "failures" JSONB NOT NULL DEFAULT '[]',
+
+    CONSTRAINT "MetafieldMigration_pkey" PRIMARY KEY ("shop")
+);
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "RewardSettings" (
+    "shop" TEXT NOT NULL,
+    "percentage" INTEGER NOT NULL,
+    "expiryDays" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RewardSettings_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateTable
+CREATE TABLE "RewardCode" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerGid" TEXT NOT NULL,
+    "email" TEXT,
+    "code" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "percentage" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "redeemedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RewardCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RewardCode_shop_customerId_key" ON "RewardCode"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "RewardCode_shop_createdAt_idx" ON "RewardCode"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RewardCode" ALTER COLUMN "discountId" DROP NOT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PetProfileSync" ADD COLUMN     "bulkOperationId" TEXT,
+ADD COLUMN     "objectCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "importTotal" INTEGER;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "PetProfileSync" ADD COLUMN     "segmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "SegmentSettings" (
+    "shop" TEXT NOT NULL,
+    "segmentId" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SegmentSettings_pkey" PRIMARY KEY ("shop")
+);
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "BulkActionJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "params" JSONB NOT NULL,
+    "customerIds" TEXT[],
+    "status" TEXT NOT NULL,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "results" JSONB NOT NULL DEFAULT '[]',
+    "output" BYTEA,
+    "error" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "BulkActionJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BulkActionJob_shop_createdAt_idx" ON "BulkActionJob"("shop", "createdAt");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "BulkActionJob" ADD COLUMN     "total" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "TaggingRules" (
+    "shop" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaggingRules_pkey" PRIMARY KEY ("shop")
+);
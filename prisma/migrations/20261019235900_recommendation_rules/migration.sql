@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "RecommendationRules" (
+    "shop" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecommendationRules_pkey" PRIMARY KEY ("shop")
+);
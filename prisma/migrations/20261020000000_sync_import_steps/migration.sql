@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "PetProfileSync" ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "resultUrl" TEXT;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "MetafieldMigration" ADD COLUMN     "cursor" TEXT,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "pending" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "phase" TEXT;
+
+-- Migrations left running by a request start over from the metaobjects
+UPDATE "MetafieldMigration" SET "phase" = 'metaobjects' WHERE "status" = 'running';
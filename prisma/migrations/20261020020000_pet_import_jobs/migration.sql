@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PetImportJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "dryRun" BOOLEAN NOT NULL,
+    "keyType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "phase" TEXT NOT NULL DEFAULT 'resolving',
+    "rows" JSONB NOT NULL,
+    "summary" JSONB NOT NULL,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PetImportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PetImportJob_shop_createdAt_idx" ON "PetImportJob"("shop", "createdAt");
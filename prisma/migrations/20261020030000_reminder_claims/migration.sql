@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ReminderClaim" (
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "claimedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReminderClaim_pkey" PRIMARY KEY ("shop","customerId")
+);
+
+-- Customers reminded before claims existed keep their cool-down
+INSERT INTO "ReminderClaim" ("shop", "customerId", "claimedAt")
+SELECT "shop", "customerId", MAX("sentAt") FROM "ReminderSend" WHERE "status" = 'sent' GROUP BY "shop", "customerId";
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "PetProfileSync" ADD COLUMN     "importPosition" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PetProfileSyncLine" (
+    "shop" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "parentId" TEXT,
+    "data" JSONB NOT NULL,
+    "end" BIGINT NOT NULL,
+
+    CONSTRAINT "PetProfileSyncLine_pkey" PRIMARY KEY ("shop","position")
+);
+
+-- CreateIndex
+CREATE INDEX "PetProfileSyncLine_shop_parentId_idx" ON "PetProfileSyncLine"("shop", "parentId");
+
+-- Imports left halfway read their result again from the start
+UPDATE "PetProfileSync" SET "importTotal" = NULL, "customerCount" = 0 WHERE "status" = 'importing';